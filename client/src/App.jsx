@@ -7,8 +7,23 @@ import Layout from './components/Layout';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import PostList from './components/PostList';
 import PostDetail from './components/PostDetail';
+import ProtectedRoute from './components/ProtectedRoute';
+import PostEditor from './pages/PostEditor';
+import Search from './pages/Search';
+import ModerationQueue from './pages/ModerationQueue';
+import UserManagement from './pages/UserManagement';
+import AuditLog from './pages/AuditLog';
+import PostRevisions from './pages/PostRevisions';
+import Sessions from './pages/Sessions';
+import AccessTokens from './pages/AccessTokens';
+import AccountSettings from './pages/AccountSettings';
+import ConfirmEmail from './pages/ConfirmEmail';
+import OidcCallback from './pages/OidcCallback';
 
 function App() {
   return (
@@ -19,8 +34,86 @@ function App() {
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route path="/confirm-email/:token" element={<ConfirmEmail />} />
+            <Route path="/auth/callback" element={<OidcCallback />} />
             <Route path="/posts" element={<PostList />} />
             <Route path="/posts/:id" element={<PostDetail />} />
+            <Route path="/search" element={<Search />} />
+            <Route
+              path="/admin/posts/create"
+              element={
+                <ProtectedRoute permissions={['posts:create']}>
+                  <PostEditor />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/posts/:id/edit"
+              element={
+                <ProtectedRoute permissions={['posts:update:own', 'posts:update:any']}>
+                  <PostEditor />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/posts/:id/revisions"
+              element={
+                <ProtectedRoute permissions={['posts:update:own', 'posts:update:any']}>
+                  <PostRevisions />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/comments"
+              element={
+                <ProtectedRoute permissions={['comments:moderate']}>
+                  <ModerationQueue />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/users"
+              element={
+                <ProtectedRoute permissions={['users:manage']}>
+                  <UserManagement />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/audit"
+              element={
+                <ProtectedRoute permissions={['audit:read']}>
+                  <AuditLog />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/account"
+              element={
+                <ProtectedRoute>
+                  <AccountSettings />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/account/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/account/tokens"
+              element={
+                <ProtectedRoute>
+                  <AccessTokens />
+                </ProtectedRoute>
+              }
+            />
             <Route path="*" element={<Navigate to="/" />} />
           </Routes>
         </Layout>
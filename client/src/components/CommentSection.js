@@ -0,0 +1,335 @@
+// CommentSection.js - Threaded comments with replies, editing and deletion
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { commentService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { getImageUrl } from '../utils/imageUrl';
+import { parseApiError } from '../hooks/useApi';
+
+const PAGE_SIZE = 10;
+
+// Apply `update` to the comment with the given id anywhere in the thread tree
+const updateComment = (comments, id, update) =>
+  comments.map((comment) =>
+    comment._id === id
+      ? update(comment)
+      : { ...comment, replies: updateComment(comment.replies || [], id, update) }
+  );
+
+const errorMessage = (err, fallback) => parseApiError(err, fallback).message;
+
+const CommentForm = ({ initialValue = '', submitLabel, onSubmit, onCancel, autoFocus }) => {
+  const [content, setContent] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) {
+      setError('Comment cannot be empty');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+
+    try {
+      await onSubmit(content);
+      setContent('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save comment'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3">
+      <textarea
+        rows="3"
+        value={content}
+        autoFocus={autoFocus}
+        onChange={(e) => setContent(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        placeholder="Write your comment here..."
+      ></textarea>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      <div className="mt-2 flex items-center space-x-3">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+        >
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, maxDepth, onReply, onEdit, onDelete }) => {
+  const { user, isAuthenticated, can } = useAuth();
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+
+  const isAuthor = user && comment.user?._id === user.id;
+  const canDelete = isAuthor || can('comments:delete:any');
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this comment?')) {
+      onDelete(comment._id);
+    }
+  };
+
+  return (
+    <div className="pt-4">
+      <div className="flex items-start">
+        <img
+          src={getImageUrl(comment.user?.avatar, 'thumbnail', '/default-avatar.jpg')}
+          alt={comment.user?.name || ''}
+          className="w-10 h-10 rounded-full mr-4"
+        />
+        <div className="flex-1">
+          <div className="flex items-center">
+            <h4 className="text-sm font-medium text-gray-900">
+              {comment.isDeleted ? 'Deleted' : comment.user?.name}
+            </h4>
+            <time className="ml-2 text-sm text-gray-500">
+              {new Date(comment.createdAt).toLocaleDateString()}
+            </time>
+            {comment.editedAt && !comment.isDeleted && (
+              <span className="ml-2 text-xs text-gray-400" title={new Date(comment.editedAt).toLocaleString()}>
+                (edited)
+              </span>
+            )}
+          </div>
+
+          {editing ? (
+            <CommentForm
+              initialValue={comment.content}
+              submitLabel="Save"
+              autoFocus
+              onSubmit={async (content) => {
+                await onEdit(comment._id, content);
+                setEditing(false);
+              }}
+              onCancel={() => setEditing(false)}
+            />
+          ) : comment.isDeleted ? (
+            <p className="mt-2 text-gray-400 italic">This comment was deleted.</p>
+          ) : (
+            <p className="mt-2 text-gray-700 whitespace-pre-line">{comment.content}</p>
+          )}
+
+          {!comment.isDeleted && !editing && isAuthenticated && (
+            <div className="mt-2 flex items-center space-x-4 text-sm">
+              {comment.depth < maxDepth && (
+                <button type="button" onClick={() => setReplying(!replying)} className="text-indigo-600 hover:text-indigo-900">
+                  Reply
+                </button>
+              )}
+              {isAuthor && (
+                <button type="button" onClick={() => setEditing(true)} className="text-gray-600 hover:text-gray-900">
+                  Edit
+                </button>
+              )}
+              {canDelete && (
+                <button type="button" onClick={handleDelete} className="text-red-600 hover:text-red-800">
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+
+          {replying && (
+            <CommentForm
+              submitLabel="Reply"
+              autoFocus
+              onSubmit={async (content) => {
+                await onReply(comment._id, content);
+                setReplying(false);
+              }}
+              onCancel={() => setReplying(false)}
+            />
+          )}
+
+          {comment.replies?.length > 0 && (
+            <div className="mt-2 pl-4 border-l-2 border-gray-100">
+              {comment.replies.map((reply) => (
+                <CommentItem
+                  key={reply._id}
+                  comment={reply}
+                  maxDepth={maxDepth}
+                  onReply={onReply}
+                  onEdit={onEdit}
+                  onDelete={onDelete}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CommentSection = ({ postId }) => {
+  const { isAuthenticated } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [maxDepth, setMaxDepth] = useState(0);
+  const [sort, setSort] = useState('newest');
+  // Cursor for the next page of threads, or null when there are no more
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchComments = useCallback(
+    async (cursor = '') => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const data = await commentService.getComments(postId, {
+          cursor,
+          limit: PAGE_SIZE,
+          sort,
+        });
+        setComments((prev) => (cursor ? [...prev, ...data.data] : data.data));
+        setTotal(data.total);
+        setMaxDepth(data.maxDepth);
+        setNextCursor(data.pagination.next?.cursor || null);
+      } catch (err) {
+        setError(errorMessage(err, 'Failed to load comments'));
+      } finally {
+        setLoading(false);
+      }
+    },
+    [postId, sort]
+  );
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  // Comments that need moderation aren't shown until approved
+  const awaitingModeration = (comment) => {
+    if (comment.status === 'approved') return false;
+    setNotice('Thanks! Your comment is awaiting moderation.');
+    return true;
+  };
+
+  const handleAdd = async (content) => {
+    const response = await commentService.addComment(postId, { content });
+    if (awaitingModeration(response.data)) return;
+    setComments((prev) => (sort === 'newest' ? [response.data, ...prev] : [...prev, response.data]));
+    setTotal((prev) => prev + 1);
+  };
+
+  const handleReply = async (parentId, content) => {
+    const response = await commentService.addComment(postId, { content, parentId });
+    if (awaitingModeration(response.data)) return;
+    setComments((prev) =>
+      updateComment(prev, parentId, (parent) => ({
+        ...parent,
+        replies: [...(parent.replies || []), response.data],
+      }))
+    );
+  };
+
+  const handleEdit = async (commentId, content) => {
+    const response = await commentService.updateComment(postId, commentId, { content });
+    setComments((prev) =>
+      updateComment(prev, commentId, (comment) => ({ ...comment, ...response.data, replies: comment.replies }))
+    );
+    awaitingModeration(response.data);
+  };
+
+  const handleDelete = async (commentId) => {
+    try {
+      const response = await commentService.deleteComment(postId, commentId);
+      setComments((prev) =>
+        updateComment(prev, commentId, (comment) => ({ ...comment, ...response.data, replies: comment.replies }))
+      );
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete comment'));
+    }
+  };
+
+  return (
+    <section className="mt-10 bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-gray-900">Comments ({total})</h2>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+          aria-label="Sort comments"
+        >
+          <option value="newest">Newest first</option>
+          <option value="oldest">Oldest first</option>
+        </select>
+      </div>
+
+      {isAuthenticated ? (
+        <div className="mb-8">
+          <label className="block text-sm font-medium text-gray-700">Add a comment</label>
+          <CommentForm submitLabel="Add Comment" onSubmit={handleAdd} />
+        </div>
+      ) : (
+        <div className="mb-8 text-center py-4">
+          <p className="text-gray-600 mb-4">
+            Please <Link to="/login" className="text-indigo-600 hover:text-indigo-900">log in</Link> to add a comment.
+          </p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="rounded-md bg-blue-50 p-4 mb-4">
+          <div className="text-sm text-blue-700">{notice}</div>
+        </div>
+      )}
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      <div className="divide-y divide-gray-200">
+        {comments.map((comment) => (
+          <CommentItem
+            key={comment._id}
+            comment={comment}
+            maxDepth={maxDepth}
+            onReply={handleReply}
+            onEdit={handleEdit}
+            onDelete={handleDelete}
+          />
+        ))}
+      </div>
+
+      {!loading && comments.length === 0 && !error && (
+        <p className="text-gray-500 text-center py-4">No comments yet. Be the first to comment!</p>
+      )}
+
+      {loading && <p className="text-center py-4 text-gray-500">Loading comments...</p>}
+
+      {nextCursor && !loading && (
+        <div className="mt-6 text-center">
+          <button
+            type="button"
+            onClick={() => fetchComments(nextCursor)}
+            className="text-indigo-600 hover:text-indigo-900 font-medium"
+          >
+            Load more comments
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CommentSection;
@@ -3,9 +3,10 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import VerifyEmailBanner from './VerifyEmailBanner';
 
 const Layout = ({ children }) => {
-  const { user, isAuthenticated, logout } = useAuth();
+  const { user, isAuthenticated, logout, can } = useAuth();
   const location = useLocation();
 
   const handleLogout = () => {
@@ -43,7 +44,17 @@ const Layout = ({ children }) => {
                 >
                   Posts
                 </Link>
-                {isAuthenticated && user?.role === 'admin' && (
+                <Link
+                  to="/search"
+                  className={`px-3 py-2 rounded-md text-sm font-medium ${
+                    location.pathname === '/search'
+                      ? 'bg-indigo-100 text-indigo-700'
+                      : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  Search
+                </Link>
+                {can('posts:create') && (
                   <Link
                     to="/admin/posts/create"
                     className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
@@ -51,12 +62,42 @@ const Layout = ({ children }) => {
                     Create Post
                   </Link>
                 )}
+                {can('comments:moderate') && (
+                  <Link
+                    to="/admin/comments"
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
+                  >
+                    Moderation
+                  </Link>
+                )}
+                {can('users:manage') && (
+                  <Link
+                    to="/admin/users"
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
+                  >
+                    Users
+                  </Link>
+                )}
+                {can('audit:read') && (
+                  <Link
+                    to="/admin/audit"
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
+                  >
+                    Audit Log
+                  </Link>
+                )}
               </div>
             </div>
             <div className="flex items-center">
               {isAuthenticated ? (
                 <div className="flex items-center space-x-4">
                   <span className="text-sm text-gray-700">Welcome, {user?.name}</span>
+                  <Link
+                    to="/account"
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
+                  >
+                    Account
+                  </Link>
                   <button
                     onClick={handleLogout}
                     className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100"
@@ -85,6 +126,8 @@ const Layout = ({ children }) => {
         </div>
       </nav>
 
+      {isAuthenticated && user?.emailVerified === false && <VerifyEmailBanner email={user.email} />}
+
       {/* Main Content */}
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
         {children}
@@ -1,63 +1,54 @@
 // PostDetail.js - Component to display a single blog post
 
-import React, { useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useState, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import useApi from '../hooks/useApi';
 import { postService } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { getImageUrl } from '../utils/imageUrl';
+import CommentSection from './CommentSection';
+import PublishStatus from './PublishStatus';
+import 'highlight.js/styles/github.css';
 
 const PostDetail = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
   const { request, loading, error } = useApi();
-  const { isAuthenticated } = useAuth();
+  const { user, can } = useAuth();
   const [post, setPost] = useState(null);
-  const [comment, setComment] = useState('');
-  const [addingComment, setAddingComment] = useState(false);
-  const [commentError, setCommentError] = useState('');
+  const canonicalSlug = useRef(null);
 
   React.useEffect(() => {
+    // Already loaded; the URL was only rewritten to the canonical slug
+    if (id === canonicalSlug.current) return;
+
     const fetchPost = async () => {
       try {
         const data = await request(() => postService.getPost(id));
         setPost(data.data);
+
+        canonicalSlug.current = data.data.slug;
+
+        // Show the canonical slug in the address bar, e.g. after following a renamed post's redirect
+        if (data.data.slug && id !== data.data.slug) {
+          navigate(`/posts/${data.data.slug}`, { replace: true });
+        }
       } catch (err) {
         // Error is handled by the useApi hook
       }
     };
 
     fetchPost();
-  }, [id, request]);
-
-  const handleAddComment = async (e) => {
-    e.preventDefault();
-    if (!comment.trim()) {
-      setCommentError('Comment cannot be empty');
-      return;
-    }
-
-    if (!isAuthenticated) {
-      setCommentError('You must be logged in to comment');
-      return;
-    }
+  }, [id, request, navigate]);
 
-    setAddingComment(true);
-    setCommentError('');
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this post? This cannot be undone.')) return;
 
     try {
-      const response = await postService.addComment(post._id, { content: comment });
-      
-      // Update the post with the new comment
-      setPost(prevPost => ({
-        ...prevPost,
-        comments: [...prevPost.comments, response.data]
-      }));
-      
-      setComment('');
+      await postService.deletePost(post._id);
+      navigate('/posts');
     } catch (err) {
-      const errorMessage = err.response?.data?.error || 'Failed to add comment';
-      setCommentError(errorMessage);
-    } finally {
-      setAddingComment(false);
+      window.alert(err.response?.data?.error || 'Failed to delete post');
     }
   };
 
@@ -65,6 +56,11 @@ const PostDetail = () => {
   if (error) return <div className="text-center py-10 text-red-500">Error: {error}</div>;
   if (!post) return <div className="text-center py-10">Post not found</div>;
 
+  // Authors manage their own posts; editors and admins also manage other people's
+  const isOwnPost = user && post.author?._id === user.id;
+  const canEdit = can('posts:update:any') || (isOwnPost && can('posts:update:own'));
+  const canDelete = can('posts:delete:any') || (isOwnPost && can('posts:delete:own'));
+
   return (
     <div className="max-w-3xl mx-auto">
       <Link to="/posts" className="inline-flex items-center text-indigo-600 hover:text-indigo-900 mb-6">
@@ -72,15 +68,23 @@ const PostDetail = () => {
       </Link>
       
       <article className="bg-white rounded-lg shadow-md overflow-hidden">
+        {post.featuredImage && post.featuredImage !== 'default-post.jpg' && (
+          <img
+            src={getImageUrl(post.featuredImage, 'full')}
+            alt={post.title}
+            className="w-full max-h-96 object-cover"
+          />
+        )}
         <div className="p-6">
           <header className="mb-6">
             <div className="flex items-center mb-4">
               <img
-                src={post.author?.avatar || '/default-avatar.jpg'}
+                src={getImageUrl(post.author?.avatar, 'thumbnail', '/default-avatar.jpg')}
                 alt={post.author?.name}
                 className="w-12 h-12 rounded-full mr-4"
               />
               <div>
+                <PublishStatus post={post} />
                 <h1 className="text-2xl font-bold text-gray-900">{post.title}</h1>
                 <div className="flex items-center text-sm text-gray-500 mt-1">
                   <span>By {post.author?.name}</span>
@@ -88,20 +92,68 @@ const PostDetail = () => {
                   <time>{new Date(post.createdAt).toLocaleDateString()}</time>
                   <span className="mx-2">•</span>
                   <span>{post.viewCount} views</span>
+                  {post.readingTime > 0 && (
+                    <>
+                      <span className="mx-2">•</span>
+                      <span title={`${post.wordCount} words`}>{post.readingTime} min read</span>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
             
-            <div className="flex items-center mt-4">
+            <div className="flex items-center justify-between mt-4">
               <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-indigo-100 text-indigo-800">
                 {post.category?.name}
               </span>
+              <div className="flex items-center space-x-4">
+                {canEdit && (
+                  <Link
+                    to={`/admin/posts/${post._id}/edit`}
+                    className="text-sm text-indigo-600 hover:text-indigo-900 font-medium"
+                  >
+                    Edit post
+                  </Link>
+                )}
+                {canDelete && (
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    className="text-sm text-red-600 hover:text-red-800 font-medium"
+                  >
+                    Delete post
+                  </button>
+                )}
+              </div>
             </div>
           </header>
           
-          <div className="prose max-w-none mb-8">
-            <p className="text-gray-700 whitespace-pre-line">{post.content}</p>
-          </div>
+          {post.toc && post.toc.length > 1 && (
+            <nav className="mb-8 p-4 bg-gray-50 rounded-md" aria-label="Table of contents">
+              <h2 className="text-sm font-medium text-gray-900 mb-2">Contents</h2>
+              <ul className="space-y-1 text-sm">
+                {post.toc.map((heading) => (
+                  <li key={heading.id} style={{ paddingLeft: `${(heading.level - 1) * 0.75}rem` }}>
+                    <a href={`#${heading.id}`} className="text-indigo-600 hover:text-indigo-900">
+                      {heading.text}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </nav>
+          )}
+
+          {/* contentHtml is rendered from Markdown and sanitized on the server */}
+          {post.contentHtml ? (
+            <div
+              className="prose max-w-none mb-8"
+              dangerouslySetInnerHTML={{ __html: post.contentHtml }}
+            />
+          ) : (
+            <div className="prose max-w-none mb-8">
+              <p className="text-gray-700 whitespace-pre-line">{post.content}</p>
+            </div>
+          )}
           
           {post.tags && post.tags.length > 0 && (
             <div className="mt-6">
@@ -121,71 +173,7 @@ const PostDetail = () => {
         </div>
       </article>
       
-      {/* Comments Section */}
-      <section className="mt-10 bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-xl font-bold text-gray-900 mb-6">
-          Comments ({post.comments?.length || 0})
-        </h2>
-        
-        {isAuthenticated ? (
-          <form onSubmit={handleAddComment} className="mb-8">
-            <div className="mb-4">
-              <label htmlFor="comment" className="block text-sm font-medium text-gray-700 mb-2">
-                Add a comment
-              </label>
-              <textarea
-                id="comment"
-                rows="4"
-                value={comment}
-                onChange={(e) => setComment(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                placeholder="Write your comment here..."
-              ></textarea>
-              {commentError && <p className="mt-1 text-sm text-red-600">{commentError}</p>}
-            </div>
-            <button
-              type="submit"
-              disabled={addingComment}
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
-            >
-              {addingComment ? 'Adding...' : 'Add Comment'}
-            </button>
-          </form>
-        ) : (
-          <div className="mb-8 text-center py-4">
-            <p className="text-gray-600 mb-4">
-              Please <Link to="/login" className="text-indigo-600 hover:text-indigo-900">log in</Link> to add a comment.
-            </p>
-          </div>
-        )}
-        
-        <div className="space-y-6">
-          {post.comments && post.comments.length > 0 ? (
-            post.comments.map((comment) => (
-              <div key={comment._id} className="border-b border-gray-200 pb-6 last:border-0 last:pb-0">
-                <div className="flex items-start">
-                  <img
-                    src={comment.user?.avatar || '/default-avatar.jpg'}
-                    alt={comment.user?.name}
-                    className="w-10 h-10 rounded-full mr-4"
-                  />
-                  <div className="flex-1">
-                    <div className="flex items-center">
-                      <h4 className="text-sm font-medium text-gray-900">{comment.user?.name}</h4>
-                      <time className="ml-2 text-sm text-gray-500">
-                        {new Date(comment.createdAt).toLocaleDateString()}
-                      </time>
-                    </div>
-                    <p className="mt-2 text-gray-700">{comment.content}</p>
-                  </div>
-                </div>
-              </div>
-            ))
-          ) : (
-            <p className="text-gray-500 text-center py-4">No comments yet. Be the first to comment!</p>
-          )}
-        </div>
-      </section>
+      <CommentSection postId={post._id} />
     </div>
   );
 };
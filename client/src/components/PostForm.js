@@ -0,0 +1,313 @@
+// PostForm.js - Form for creating and editing blog posts
+
+import React, { useState, useEffect } from 'react';
+import { categoryService, uploadService } from '../services/api';
+import { getImageUrl } from '../utils/imageUrl';
+
+const inputClass =
+  'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+const emptyPost = {
+  title: '',
+  content: '',
+  excerpt: '',
+  featuredImage: '',
+  category: '',
+  tags: [],
+  isPublished: false,
+  publishAt: '',
+};
+
+// Convert a date to the local 'YYYY-MM-DDTHH:mm' format used by datetime-local inputs
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const FieldError = ({ message }) =>
+  message ? <p className="mt-1 text-sm text-red-600">{message}</p> : null;
+
+const PostForm = ({ initialValues, onSubmit, submitLabel = 'Save Post', fieldErrors = {}, submitting }) => {
+  const [formData, setFormData] = useState(() => ({
+    ...emptyPost,
+    ...initialValues,
+    publishAt: toLocalInput(initialValues?.publishAt),
+  }));
+  const [tagInput, setTagInput] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [categoriesError, setCategoriesError] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState('');
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const data = await categoryService.getAllCategories();
+        setCategories(data.data);
+      } catch (err) {
+        setCategoriesError(err.response?.data?.error || 'Failed to load categories');
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value,
+    });
+  };
+
+  const addTags = (value) => {
+    const newTags = value
+      .split(',')
+      .map((tag) => tag.trim().toLowerCase())
+      .filter((tag) => tag && !formData.tags.includes(tag));
+
+    if (newTags.length > 0) {
+      setFormData({ ...formData, tags: [...formData.tags, ...newTags] });
+    }
+    setTagInput('');
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTags(tagInput);
+    } else if (e.key === 'Backspace' && !tagInput && formData.tags.length > 0) {
+      setFormData({ ...formData, tags: formData.tags.slice(0, -1) });
+    }
+  };
+
+  const removeTag = (tag) => {
+    setFormData({ ...formData, tags: formData.tags.filter((t) => t !== tag) });
+  };
+
+  const handleImageChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setUploading(true);
+    setUploadError('');
+
+    try {
+      const response = await uploadService.uploadImage(file);
+      setFormData((prev) => ({ ...prev, featuredImage: response.data.original }));
+    } catch (err) {
+      setUploadError(err.response?.data?.error || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Pick up a tag that was typed but not yet committed
+    const pending = tagInput.trim() ? tagInput.split(',').map((t) => t.trim().toLowerCase()) : [];
+    const tags = [...formData.tags, ...pending.filter((t) => t && !formData.tags.includes(t))];
+    setTagInput('');
+    onSubmit({
+      ...formData,
+      tags,
+      featuredImage: formData.featuredImage || undefined,
+      publishAt:
+        !formData.isPublished && formData.publishAt ? new Date(formData.publishAt).toISOString() : null,
+    });
+  };
+
+  const fieldClass = (name) =>
+    `${inputClass} ${fieldErrors[name] ? 'border-red-500' : 'border-gray-300'}`;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
+          Title
+        </label>
+        <input
+          id="title"
+          name="title"
+          type="text"
+          maxLength={100}
+          value={formData.title}
+          onChange={handleChange}
+          className={fieldClass('title')}
+          placeholder="Post title"
+        />
+        <FieldError message={fieldErrors.title} />
+      </div>
+
+      <div>
+        <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">
+          Category
+        </label>
+        <select
+          id="category"
+          name="category"
+          value={formData.category}
+          onChange={handleChange}
+          className={fieldClass('category')}
+        >
+          <option value="">Select a category</option>
+          {categories.map((category) => (
+            <option key={category._id} value={category._id}>
+              {category.name}
+            </option>
+          ))}
+        </select>
+        <FieldError message={fieldErrors.category || categoriesError} />
+      </div>
+
+      <div>
+        <label htmlFor="featuredImage" className="block text-sm font-medium text-gray-700 mb-2">
+          Featured image
+        </label>
+        {formData.featuredImage && (
+          <div className="mb-3 flex items-start">
+            <img
+              src={getImageUrl(formData.featuredImage, 'card')}
+              alt="Featured"
+              className="w-60 h-auto rounded-md border border-gray-200"
+            />
+            <button
+              type="button"
+              onClick={() => setFormData({ ...formData, featuredImage: '' })}
+              className="ml-3 text-sm text-red-600 hover:text-red-800"
+            >
+              Remove
+            </button>
+          </div>
+        )}
+        <input
+          id="featuredImage"
+          type="file"
+          accept="image/jpeg,image/png,image/webp,image/gif"
+          onChange={handleImageChange}
+          disabled={uploading}
+          className="block w-full text-sm text-gray-700"
+        />
+        {uploading && <p className="mt-1 text-sm text-gray-500">Uploading...</p>}
+        <FieldError message={fieldErrors.featuredImage || uploadError} />
+      </div>
+
+      <div>
+        <label htmlFor="excerpt" className="block text-sm font-medium text-gray-700 mb-2">
+          Excerpt
+        </label>
+        <textarea
+          id="excerpt"
+          name="excerpt"
+          rows="2"
+          maxLength={200}
+          value={formData.excerpt}
+          onChange={handleChange}
+          className={fieldClass('excerpt')}
+          placeholder="A short summary shown in post listings"
+        ></textarea>
+        <p className="mt-1 text-xs text-gray-500">{formData.excerpt.length}/200</p>
+        <FieldError message={fieldErrors.excerpt} />
+      </div>
+
+      <div>
+        <label htmlFor="content" className="block text-sm font-medium text-gray-700 mb-2">
+          Content <span className="font-normal text-gray-500">(Markdown)</span>
+        </label>
+        <textarea
+          id="content"
+          name="content"
+          rows="14"
+          value={formData.content}
+          onChange={handleChange}
+          className={`${fieldClass('content')} font-mono text-sm`}
+          placeholder="Write your post here. Use # for headings, ``` for code blocks and ![alt](url) for images."
+        ></textarea>
+        <FieldError message={fieldErrors.content} />
+      </div>
+
+      <div>
+        <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-2">
+          Tags
+        </label>
+        <div className={`flex flex-wrap items-center gap-2 ${fieldClass('tags')}`}>
+          {formData.tags.map((tag) => (
+            <span
+              key={tag}
+              className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-800"
+            >
+              #{tag}
+              <button
+                type="button"
+                onClick={() => removeTag(tag)}
+                className="ml-2 text-gray-500 hover:text-gray-700"
+                aria-label={`Remove tag ${tag}`}
+              >
+                &times;
+              </button>
+            </span>
+          ))}
+          <input
+            id="tags"
+            type="text"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={handleTagKeyDown}
+            onBlur={() => tagInput && addTags(tagInput)}
+            className="flex-1 min-w-[8rem] border-0 focus:outline-none focus:ring-0 p-0"
+            placeholder="Add a tag and press Enter"
+          />
+        </div>
+        <FieldError message={fieldErrors.tags} />
+      </div>
+
+      <div className="flex items-center">
+        <input
+          id="isPublished"
+          name="isPublished"
+          type="checkbox"
+          checked={formData.isPublished}
+          onChange={handleChange}
+          className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+        />
+        <label htmlFor="isPublished" className="ml-2 block text-sm text-gray-700">
+          Published
+        </label>
+        <FieldError message={fieldErrors.isPublished} />
+      </div>
+
+      {!formData.isPublished && (
+        <div>
+          <label htmlFor="publishAt" className="block text-sm font-medium text-gray-700 mb-2">
+            Schedule publishing
+          </label>
+          <input
+            id="publishAt"
+            name="publishAt"
+            type="datetime-local"
+            value={formData.publishAt}
+            min={toLocalInput(new Date())}
+            onChange={handleChange}
+            className={fieldClass('publishAt')}
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Leave empty to keep the post as a draft.
+          </p>
+          <FieldError message={fieldErrors.publishAt} />
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={submitting || uploading}
+        className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+      >
+        {submitting ? 'Saving...' : submitLabel}
+      </button>
+    </form>
+  );
+};
+
+export default PostForm;
@@ -4,26 +4,57 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import useApi from '../hooks/useApi';
 import { postService } from '../services/api';
+import { getImageUrl } from '../utils/imageUrl';
+import PublishStatus from './PublishStatus';
+
+// Posts loaded at a time
+const PAGE_SIZE = 12;
 
 const PostList = () => {
   const { request, loading, error } = useApi();
   const [posts, setPosts] = React.useState([]);
+  // Cursor for the next page of posts, or null once the feed runs out
+  const [nextCursor, setNextCursor] = React.useState(null);
+  const sentinel = React.useRef(null);
 
-  React.useEffect(() => {
-    const fetchPosts = async () => {
+  const fetchPosts = React.useCallback(
+    async (cursor = '') => {
       try {
-        const data = await request(() => postService.getAllPosts());
-        setPosts(data.data);
+        const data = await request(() => postService.getPostFeed(cursor, PAGE_SIZE));
+        setPosts((prev) => (cursor ? [...prev, ...data.data] : data.data));
+        setNextCursor(data.pagination.next?.cursor || null);
       } catch (err) {
         // Error is handled by the useApi hook
       }
-    };
+    },
+    [request]
+  );
 
+  React.useEffect(() => {
     fetchPosts();
-  }, [request]);
+  }, [fetchPosts]);
+
+  // Load the next page as the end of the list scrolls into view
+  React.useEffect(() => {
+    const node = sentinel.current;
+    if (!node || !nextCursor || loading || error) return undefined;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) fetchPosts(nextCursor);
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [nextCursor, loading, error, fetchPosts]);
 
-  if (loading) return <div className="text-center py-10">Loading posts...</div>;
-  if (error) return <div className="text-center py-10 text-red-500">Error: {error}</div>;
+  if (loading && posts.length === 0) {
+    return <div className="text-center py-10">Loading posts...</div>;
+  }
+  if (error && posts.length === 0) {
+    return <div className="text-center py-10 text-red-500">Error: {error}</div>;
+  }
 
   return (
     <div className="space-y-8">
@@ -37,10 +68,16 @@ const PostList = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {posts.map((post) => (
             <div key={post._id} className="bg-white rounded-lg shadow-md overflow-hidden">
+              <img
+                src={getImageUrl(post.featuredImage, 'card', '/default-post.jpg')}
+                alt={post.title}
+                className="w-full h-48 object-cover"
+                loading="lazy"
+              />
               <div className="p-6">
                 <div className="flex items-center mb-4">
                   <img
-                    src={post.author?.avatar || '/default-avatar.jpg'}
+                    src={getImageUrl(post.author?.avatar, 'thumbnail', '/default-avatar.jpg')}
                     alt={post.author?.name}
                     className="w-10 h-10 rounded-full mr-3"
                   />
@@ -52,6 +89,7 @@ const PostList = () => {
                   </div>
                 </div>
                 
+                <PublishStatus post={post} />
                 <h3 className="text-xl font-bold text-gray-900 mb-2">{post.title}</h3>
                 
                 <p className="text-gray-600 mb-4 line-clamp-3">
@@ -64,7 +102,7 @@ const PostList = () => {
                   </span>
                   
                   <Link
-                    to={`/posts/${post._id}`}
+                    to={`/posts/${post.slug || post._id}`}
                     className="text-indigo-600 hover:text-indigo-900 font-medium"
                   >
                     Read more
@@ -75,6 +113,21 @@ const PostList = () => {
           ))}
         </div>
       )}
+
+      <div ref={sentinel} />
+      {loading && <div className="text-center py-4 text-gray-500">Loading more posts...</div>}
+      {error && (
+        <div className="text-center py-4 text-red-500">
+          Error: {error}{' '}
+          <button
+            type="button"
+            onClick={() => fetchPosts(nextCursor)}
+            className="text-indigo-600 hover:text-indigo-900 font-medium"
+          >
+            Try again
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,23 @@
+// ProtectedRoute.js - Route guard for authenticated and permission-restricted pages
+
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const ProtectedRoute = ({ permissions, children }) => {
+  const { isAuthenticated, can } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  // Any one of the listed permissions grants access
+  if (permissions && !permissions.some(can)) {
+    return <Navigate to="/" replace />;
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
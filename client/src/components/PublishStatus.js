@@ -0,0 +1,23 @@
+// PublishStatus.js - Draft/scheduled badge for posts that aren't live yet
+
+import React from 'react';
+
+const PublishStatus = ({ post }) => {
+  if (post.isPublished) return null;
+
+  if (post.publishAt) {
+    return (
+      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">
+        Scheduled for {new Date(post.publishAt).toLocaleString()}
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+      Draft
+    </span>
+  );
+};
+
+export default PublishStatus;
@@ -0,0 +1,107 @@
+// TwoFactorSetup.js - Enrolling an authenticator app for two-factor authentication
+
+import React, { useEffect, useState } from 'react';
+import { authService } from '../services/api';
+
+// Recovery codes are only shown once, right after they are created
+export const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="space-y-3">
+    <p className="text-sm text-gray-600">
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose access to
+      your authenticator app. They won't be shown again.
+    </p>
+    <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 rounded-md p-4">
+      {codes.map((code) => (
+        <li key={code}>{code}</li>
+      ))}
+    </ul>
+    {onDone && (
+      <button
+        type="button"
+        onClick={onDone}
+        className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+      >
+        I've saved my recovery codes
+      </button>
+    )}
+  </div>
+);
+
+// Shows the QR code to scan, then confirms the first code with `enable(code)`,
+// which resolves to { success, recoveryCodes, error }. Pass the interim token
+// when the user is enrolling during login.
+const TwoFactorSetup = ({ interimToken, enable, onDone }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    authService
+      .twoFactorSetup(interimToken)
+      .then((data) => setSetup(data.data))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to start the setup'));
+  }, [interimToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const result = await enable(code);
+    setSubmitting(false);
+
+    if (result.recoveryCodes) {
+      setRecoveryCodes(result.recoveryCodes);
+    } else {
+      setError(result.error || 'Invalid authentication code');
+    }
+  };
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={onDone} />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="rounded-md p-3 text-sm bg-red-50 text-red-700">{error}</div>}
+
+      {setup ? (
+        <>
+          <p className="text-sm text-gray-600">
+            Scan this QR code with an authenticator app, then enter the six-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="QR code for your authenticator app" className="w-48 h-48" />
+          <p className="text-xs text-gray-500">
+            Can't scan it? Enter this key instead:{' '}
+            <span className="font-mono break-all">{setup.secret}</span>
+          </p>
+          <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className="w-32 px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {submitting ? 'Checking...' : 'Turn on'}
+            </button>
+          </form>
+        </>
+      ) : (
+        !error && <p className="text-sm text-gray-500">Loading...</p>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
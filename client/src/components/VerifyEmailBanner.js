@@ -0,0 +1,44 @@
+// VerifyEmailBanner.js - Reminder shown to users who haven't confirmed their email
+
+import React, { useState } from 'react';
+import { authService } from '../services/api';
+
+const VerifyEmailBanner = ({ email }) => {
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const data = await authService.resendVerification();
+      setMessage(data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-wrap items-center justify-between gap-2 text-sm text-yellow-800">
+        <span>
+          {message ||
+            `Please confirm your email address (${email}) to comment and write posts. Check your inbox for the link.`}
+        </span>
+        {!message && (
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={sending}
+            className="font-medium underline hover:text-yellow-900 disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
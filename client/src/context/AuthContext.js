@@ -1,7 +1,8 @@
 // AuthContext.js - Authentication context provider
 
-import { createContext, useContext, useReducer, useEffect } from 'react';
+import { createContext, useCallback, useContext, useEffect, useReducer } from 'react';
 import { authService } from '../services/api';
+import { parseApiError } from '../hooks/useApi';
 
 const AuthContext = createContext();
 
@@ -19,6 +20,11 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         user: action.payload,
       };
+    case 'LOGIN_PENDING':
+      return {
+        ...state,
+        loading: false,
+      };
     case 'LOGIN_FAIL':
       return {
         ...state,
@@ -34,6 +40,11 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         user: null,
       };
+    case 'USER_UPDATED':
+      return {
+        ...state,
+        user: action.payload,
+      };
     case 'CLEAR_ERROR':
       return {
         ...state,
@@ -45,45 +56,105 @@ const authReducer = (state, action) => {
 };
 
 export const AuthProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(authReducer, {
-    loading: false,
-    isAuthenticated: false,
-    user: null,
-    error: null,
+  // Restore a stored session synchronously so route guards see it on first render
+  const [state, dispatch] = useReducer(authReducer, null, () => {
+    const user = authService.getCurrentUser();
+    return {
+      loading: false,
+      isAuthenticated: !!user,
+      user,
+      error: null,
+    };
   });
 
-  // Check if user is logged in on initial load
+  const isAuthenticated = state.isAuthenticated;
+
+  const refreshUser = useCallback(
+    () =>
+      authService
+        .refreshCurrentUser()
+        .then((user) => dispatch({ type: 'USER_UPDATED', payload: user }))
+        .catch(() => {
+          // Keep the stored user; the API rejects requests if the session is invalid
+        }),
+    []
+  );
+
+  // Permissions and verification status may have changed since the session was stored
   useEffect(() => {
-    const user = authService.getCurrentUser();
-    if (user) {
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: user,
-      });
+    if (isAuthenticated) refreshUser();
+  }, [isAuthenticated, refreshUser]);
+
+  // Whether the signed-in user holds a permission, e.g. can('posts:create')
+  const can = (permission) => Boolean(state.user?.permissions?.includes(permission));
+
+  // Sign in with the tokens from a successful response, or report that a second
+  // factor is still needed: twoFactor is 'required' (enter a code) or 'setup'
+  // (the user's role requires enrolling first)
+  const handleAuthResponse = (data) => {
+    if (data.interimToken) {
+      dispatch({ type: 'LOGIN_PENDING' });
+      return {
+        success: false,
+        twoFactor: data.twoFactorRequired ? 'required' : 'setup',
+        interimToken: data.interimToken,
+      };
     }
-  }, []);
+
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: data.user,
+    });
+    return { success: true };
+  };
+
+  const handleAuthError = (error, fallback) => {
+    const errorMessage = parseApiError(error, fallback).message;
+    dispatch({
+      type: 'LOGIN_FAIL',
+      payload: errorMessage,
+    });
+    return { success: false, error: errorMessage };
+  };
 
   const login = async (email, password) => {
     dispatch({ type: 'LOGIN_START' });
     try {
       const data = await authService.login({ email, password });
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: data.user,
-      });
-      return { success: true };
+      return handleAuthResponse(data);
     } catch (error) {
-      const errorMessage = error.response?.data?.error || error.message || 'Login failed';
-      dispatch({
-        type: 'LOGIN_FAIL',
-        payload: errorMessage,
-      });
-      return { success: false, error: errorMessage };
+      return handleAuthError(error, 'Login failed');
+    }
+  };
+
+  // Second login step: a code from the authenticator app or a recovery code
+  const verifyTwoFactor = async (interimToken, factor) => {
+    dispatch({ type: 'LOGIN_START' });
+    try {
+      const data = await authService.verifyTwoFactor(interimToken, factor);
+      return handleAuthResponse(data);
+    } catch (error) {
+      return handleAuthError(error, 'Verification failed');
+    }
+  };
+
+  // Finish the enrollment required at login; resolves with the recovery codes
+  const enableTwoFactorAtLogin = async (interimToken, code) => {
+    dispatch({ type: 'LOGIN_START' });
+    try {
+      const data = await authService.twoFactorEnable(code, interimToken);
+      return { ...handleAuthResponse(data), recoveryCodes: data.recoveryCodes };
+    } catch (error) {
+      return handleAuthError(error, 'Verification failed');
     }
   };
 
-  const logout = () => {
-    authService.logout();
+  const logout = async ({ everywhere = false } = {}) => {
+    try {
+      await (everywhere ? authService.logoutAll() : authService.logout());
+    } catch (error) {
+      // The local session is cleared even if the server can't be reached
+    }
     dispatch({ type: 'LOGOUT' });
   };
 
@@ -91,13 +162,25 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'LOGIN_START' });
     try {
       const data = await authService.register(userData);
+      return handleAuthResponse(data);
+    } catch (error) {
+      return handleAuthError(error, 'Registration failed');
+    }
+  };
+
+  // Finish a sign-in with an external provider, which hands back tokens in the URL
+  const loginWithTokens = async (tokens) => {
+    dispatch({ type: 'LOGIN_START' });
+    try {
+      const user = await authService.loginWithTokens(tokens);
       dispatch({
         type: 'LOGIN_SUCCESS',
-        payload: data.user,
+        payload: user,
       });
       return { success: true };
     } catch (error) {
-      const errorMessage = error.response?.data?.error || error.message || 'Registration failed';
+      authService.clearSession();
+      const errorMessage = parseApiError(error, 'Login failed').message;
       dispatch({
         type: 'LOGIN_FAIL',
         payload: errorMessage,
@@ -117,7 +200,12 @@ export const AuthProvider = ({ children }) => {
         login,
         logout,
         register,
+        loginWithTokens,
+        verifyTwoFactor,
+        enableTwoFactorAtLogin,
         clearError,
+        can,
+        refreshUser,
       }}
     >
       {children}
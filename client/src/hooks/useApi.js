@@ -1,29 +1,56 @@
 // useApi.js - Custom hook for API calls with loading and error states
 
 import { useState, useCallback } from 'react';
-import api from '../services/api';
+
+// Read an error from the API, which responds with
+// { success: false, error, code, details: [{ field, message, location }] }.
+// fieldErrors maps each field to its first message.
+export const parseApiError = (err, fallback = 'An error occurred') => {
+  const data = err.response?.data;
+  const details = Array.isArray(data?.details) ? data.details : [];
+
+  const fieldErrors = {};
+  details.forEach(({ field, message }) => {
+    if (field && !fieldErrors[field]) fieldErrors[field] = message;
+  });
+
+  // Without a response the request never reached the API, e.g. when offline
+  const message = err.response ? data?.error : err.message;
+
+  return {
+    status: err.response?.status,
+    code: data?.code || (err.response ? 'UNKNOWN_ERROR' : 'NETWORK_ERROR'),
+    message: (typeof message === 'string' && message) || fallback,
+    details,
+    fieldErrors,
+  };
+};
 
 const useApi = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [errorInfo, setErrorInfo] = useState(null);
 
+  // Resolves to whatever apiCall resolves to (the services return the response body)
   const request = useCallback(async (apiCall) => {
     setLoading(true);
     setError(null);
+    setErrorInfo(null);
 
     try {
-      const response = await apiCall();
+      const data = await apiCall();
       setLoading(false);
-      return response.data;
+      return data;
     } catch (err) {
       setLoading(false);
-      const errorMessage = err.response?.data?.error || err.message || 'An error occurred';
-      setError(errorMessage);
+      const info = parseApiError(err);
+      setError(info.message);
+      setErrorInfo(info);
       throw err;
     }
   }, []);
 
-  return { request, loading, error };
+  return { request, loading, error, errorInfo };
 };
 
-export default useApi;
\ No newline at end of file
+export default useApi;
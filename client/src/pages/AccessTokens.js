@@ -0,0 +1,207 @@
+// AccessTokens.js - Page for managing personal access tokens used by scripts
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import useApi, { parseApiError } from '../hooks/useApi';
+import { authService } from '../services/api';
+
+const SCOPE_DESCRIPTIONS = {
+  'posts:write': 'Create, edit and delete posts, and upload images',
+  'comments:write': 'Post, edit and delete comments',
+};
+
+const EXPIRY_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: null, label: 'Never' },
+];
+
+const AccessTokens = () => {
+  const { request, loading, error } = useApi();
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [formData, setFormData] = useState({ name: '', scopes: [], expiresInDays: 30 });
+  const [newToken, setNewToken] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const data = await request(() => authService.getAccessTokens());
+      setTokens(data.data);
+      setScopes(data.scopes);
+    } catch (err) {
+      // Error is handled by the useApi hook
+    }
+  }, [request]);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const toggleScope = (scope) => {
+    setFormData({
+      ...formData,
+      scopes: formData.scopes.includes(scope)
+        ? formData.scopes.filter((s) => s !== scope)
+        : [...formData.scopes, scope],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setMessage('');
+    setNewToken(null);
+
+    try {
+      const data = await authService.createAccessToken(formData);
+      setNewToken(data.token);
+      setFormData({ name: '', scopes: [], expiresInDays: 30 });
+      fetchTokens();
+    } catch (err) {
+      setMessage(parseApiError(err, 'Failed to create token').message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (token) => {
+    if (!window.confirm(`Delete "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await authService.deleteAccessToken(token._id);
+      fetchTokens();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Failed to delete token');
+    }
+  };
+
+  if (loading && tokens.length === 0 && scopes.length === 0) {
+    return <div className="text-center py-10">Loading tokens...</div>;
+  }
+  if (error) return <div className="text-center py-10 text-red-500">Error: {error}</div>;
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <Link to="/account" className="inline-flex items-center text-indigo-600 hover:text-indigo-900">
+        &larr; Back to account settings
+      </Link>
+
+      <h1 className="text-3xl font-bold text-gray-900">Personal Access Tokens</h1>
+      <p className="text-sm text-gray-600">
+        Scripts can use a token instead of your password by sending it in the{' '}
+        <code className="font-mono">Authorization: Bearer</code> header. A token can only do what its
+        scopes and your role allow.
+      </p>
+
+      {message && (
+        <div className="rounded-md bg-red-50 p-4">
+          <div className="text-sm text-red-700">{message}</div>
+        </div>
+      )}
+
+      {newToken && (
+        <div className="rounded-md bg-green-50 p-4 space-y-2">
+          <p className="text-sm text-green-700">Copy your new token now. It won't be shown again.</p>
+          <code className="block font-mono text-sm break-all bg-white p-2 rounded">{newToken}</code>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+        <h2 className="text-xl font-bold text-gray-900">New token</h2>
+        <div>
+          <label htmlFor="tokenName" className="block text-sm font-medium text-gray-700 mb-1">
+            Name
+          </label>
+          <input
+            id="tokenName"
+            type="text"
+            required
+            maxLength={50}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            placeholder="e.g. Publishing script"
+            className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700 mb-1">Scopes</legend>
+          {scopes.map((scope) => (
+            <label key={scope} className="flex items-center text-sm text-gray-700 mb-1">
+              <input
+                type="checkbox"
+                checked={formData.scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+                className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded"
+              />
+              <span className="font-mono mr-2">{scope}</span>
+              <span className="text-gray-500">{SCOPE_DESCRIPTIONS[scope]}</span>
+            </label>
+          ))}
+        </fieldset>
+        <div>
+          <label htmlFor="tokenExpiry" className="block text-sm font-medium text-gray-700 mb-1">
+            Expires after
+          </label>
+          <select
+            id="tokenExpiry"
+            value={formData.expiresInDays ?? ''}
+            onChange={(e) =>
+              setFormData({ ...formData, expiresInDays: e.target.value ? Number(e.target.value) : null })
+            }
+            className="px-3 py-2 border rounded-md shadow-sm"
+          >
+            {EXPIRY_OPTIONS.map(({ days, label }) => (
+              <option key={label} value={days ?? ''}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={creating || formData.scopes.length === 0}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {creating ? 'Creating...' : 'Create token'}
+        </button>
+      </form>
+
+      {tokens.length > 0 && (
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-200">
+          {tokens.map((token) => (
+            <li key={token._id} className="p-4 flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {token.name} <span className="font-mono text-sm text-gray-500">{token.hint}…</span>
+                </p>
+                <p className="text-sm text-gray-500">
+                  {token.scopes.join(', ')} •{' '}
+                  {token.expiresAt
+                    ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}`
+                    : 'Never expires'}{' '}
+                  •{' '}
+                  {token.lastUsedAt
+                    ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+                    : 'Never used'}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDelete(token)}
+                className="text-sm text-red-600 hover:text-red-800 font-medium"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AccessTokens;
@@ -0,0 +1,544 @@
+// AccountSettings.js - Page for editing the profile, email address, password and
+// two-factor authentication
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { authService, settingsService, uploadService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { getImageUrl } from '../utils/imageUrl';
+import TwoFactorSetup, { RecoveryCodes } from '../components/TwoFactorSetup';
+import { parseApiError } from '../hooks/useApi';
+
+const inputClass =
+  'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+const buttonClass =
+  'px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50';
+
+// Message for an API error, or the fallback when it has none
+const errorMessage = (err, fallback) => parseApiError(err, fallback).message;
+
+const Notice = ({ notice }) => {
+  if (!notice) return null;
+  const className = notice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700';
+  return <div className={`rounded-md p-3 text-sm ${className}`}>{notice.text}</div>;
+};
+
+const Section = ({ title, children }) => (
+  <section className="bg-white rounded-lg shadow-md p-6 space-y-4">
+    <h2 className="text-xl font-bold text-gray-900">{title}</h2>
+    {children}
+  </section>
+);
+
+const ProfileSection = () => {
+  const { refreshUser } = useAuth();
+  const [profile, setProfile] = useState({ name: '', bio: '', avatar: '' });
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    authService
+      .getProfile()
+      .then((data) => setProfile({ name: data.data.name, bio: data.data.bio || '', avatar: data.data.avatar }))
+      .catch((err) => setNotice({ type: 'error', text: errorMessage(err, 'Failed to load profile') }));
+  }, []);
+
+  const handleChange = (e) => {
+    setProfile({ ...profile, [e.target.name]: e.target.value });
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setUploading(true);
+    setNotice(null);
+    try {
+      const data = await uploadService.uploadAvatar(file);
+      setProfile((prev) => ({ ...prev, avatar: data.data.original }));
+      refreshUser();
+    } catch (err) {
+      setNotice({ type: 'error', text: errorMessage(err, 'Failed to upload avatar') });
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setNotice(null);
+    try {
+      await authService.updateProfile({ name: profile.name, bio: profile.bio });
+      refreshUser();
+      setNotice({ type: 'success', text: 'Profile saved' });
+    } catch (err) {
+      setNotice({ type: 'error', text: errorMessage(err, 'Failed to save profile') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section title="Profile">
+      <Notice notice={notice} />
+      <div className="flex items-center space-x-4">
+        {profile.avatar && profile.avatar !== 'default-avatar.jpg' ? (
+          <img
+            src={getImageUrl(profile.avatar, 'thumbnail')}
+            alt="Your avatar"
+            className="h-16 w-16 rounded-full object-cover"
+          />
+        ) : (
+          <div className="h-16 w-16 rounded-full bg-gray-200" />
+        )}
+        <label className="text-sm font-medium text-indigo-600 hover:text-indigo-900 cursor-pointer">
+          {uploading ? 'Uploading...' : 'Change avatar'}
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/webp,image/gif"
+            onChange={handleAvatarChange}
+            disabled={uploading}
+            className="sr-only"
+          />
+        </label>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+            Name
+          </label>
+          <input
+            id="name"
+            name="name"
+            type="text"
+            required
+            maxLength={50}
+            value={profile.name}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="bio" className="block text-sm font-medium text-gray-700 mb-1">
+            Bio
+          </label>
+          <textarea
+            id="bio"
+            name="bio"
+            rows={3}
+            maxLength={200}
+            value={profile.bio}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+        <button type="submit" disabled={saving} className={buttonClass}>
+          {saving ? 'Saving...' : 'Save profile'}
+        </button>
+      </form>
+    </Section>
+  );
+};
+
+const EmailSection = () => {
+  const { user } = useAuth();
+  const [formData, setFormData] = useState({ email: '', password: '' });
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setNotice(null);
+    try {
+      const data = await authService.changeEmail(formData.email, formData.password);
+      setNotice({ type: 'success', text: data.message });
+      setFormData({ email: '', password: '' });
+    } catch (err) {
+      setNotice({ type: 'error', text: errorMessage(err, 'Failed to change email') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section title="Email address">
+      <p className="text-sm text-gray-600">
+        Your email address is <span className="font-medium">{user?.email}</span>. A new address only takes
+        effect once you follow the link we send to it.
+      </p>
+      <Notice notice={notice} />
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+            New email address
+          </label>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            autoComplete="email"
+            required
+            value={formData.email}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="email-password" className="block text-sm font-medium text-gray-700 mb-1">
+            Current password
+          </label>
+          <input
+            id="email-password"
+            name="password"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={formData.password}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+        <button type="submit" disabled={saving} className={buttonClass}>
+          {saving ? 'Sending...' : 'Change email'}
+        </button>
+      </form>
+    </Section>
+  );
+};
+
+const PasswordSection = () => {
+  const [formData, setFormData] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setNotice(null);
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setNotice({ type: 'error', text: 'Passwords do not match' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const data = await authService.changePassword(formData.currentPassword, formData.newPassword);
+      const ended = [
+        data.revokedSessions && `${data.revokedSessions} other session(s) were signed out`,
+        data.deletedTokens && `${data.deletedTokens} access token(s) were deleted`,
+      ].filter(Boolean);
+      setNotice({
+        type: 'success',
+        text: ended.length > 0 ? `Password changed. ${ended.join(' and ')}.` : 'Password changed.',
+      });
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (err) {
+      setNotice({ type: 'error', text: errorMessage(err, 'Failed to change password') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section title="Password">
+      <p className="text-sm text-gray-600">Changing your password signs you out on every other device.</p>
+      <Notice notice={notice} />
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            Current password
+          </label>
+          <input
+            id="currentPassword"
+            name="currentPassword"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={formData.currentPassword}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            New password
+          </label>
+          <input
+            id="newPassword"
+            name="newPassword"
+            type="password"
+            autoComplete="new-password"
+            required
+            minLength={6}
+            value={formData.newPassword}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            Confirm new password
+          </label>
+          <input
+            id="confirmPassword"
+            name="confirmPassword"
+            type="password"
+            autoComplete="new-password"
+            required
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            className={inputClass}
+          />
+        </div>
+        <button type="submit" disabled={saving} className={buttonClass}>
+          {saving ? 'Saving...' : 'Change password'}
+        </button>
+      </form>
+    </Section>
+  );
+};
+
+const TwoFactorSection = () => {
+  const { user, refreshUser } = useAuth();
+  const [mode, setMode] = useState(null); // 'setup' | 'disable' | 'codes'
+  const [formData, setFormData] = useState({ password: '', code: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const enabled = Boolean(user?.twoFactorEnabled);
+
+  const reset = () => {
+    setMode(null);
+    setFormData({ password: '', code: '' });
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const enable = async (code) => {
+    try {
+      const data = await authService.twoFactorEnable(code);
+      return { success: true, recoveryCodes: data.recoveryCodes };
+    } catch (err) {
+      return { success: false, error: errorMessage(err, 'Invalid authentication code') };
+    }
+  };
+
+  const handleEnabled = async () => {
+    reset();
+    await refreshUser();
+    setNotice({ type: 'success', text: 'Two-factor authentication is on.' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setNotice(null);
+    try {
+      if (mode === 'disable') {
+        await authService.twoFactorDisable(formData.password, { code: formData.code });
+        await refreshUser();
+        setNotice({ type: 'success', text: 'Two-factor authentication is off.' });
+      } else {
+        const data = await authService.regenerateRecoveryCodes(formData.code);
+        setRecoveryCodes(data.recoveryCodes);
+      }
+      reset();
+    } catch (err) {
+      setNotice({ type: 'error', text: errorMessage(err, 'Invalid authentication code') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section title="Two-factor authentication">
+      <p className="text-sm text-gray-600">
+        {enabled
+          ? 'Signing in asks for a code from your authenticator app.'
+          : 'Protect your account with a code from an authenticator app when you sign in.'}
+      </p>
+      <Notice notice={notice} />
+
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+      {mode === 'setup' && <TwoFactorSetup enable={enable} onDone={handleEnabled} />}
+
+      {(mode === 'disable' || mode === 'codes') && (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'disable' && (
+            <div>
+              <label htmlFor="twoFactorPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Current password
+              </label>
+              <input
+                id="twoFactorPassword"
+                name="password"
+                type="password"
+                autoComplete="current-password"
+                required
+                value={formData.password}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+          )}
+          <div>
+            <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-1">
+              Code from your authenticator app
+            </label>
+            <input
+              id="twoFactorCode"
+              name="code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+              value={formData.code}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button type="submit" disabled={saving} className={buttonClass}>
+              {saving ? 'Saving...' : mode === 'disable' ? 'Turn off' : 'Create new codes'}
+            </button>
+            <button type="button" onClick={reset} className="px-4 py-2 text-sm text-gray-600">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {!mode && !recoveryCodes && (
+        <div className="flex space-x-2">
+          {enabled ? (
+            <>
+              <button type="button" onClick={() => setMode('codes')} className={buttonClass}>
+                New recovery codes
+              </button>
+              <button
+                type="button"
+                onClick={() => setMode('disable')}
+                className="px-4 py-2 rounded-md text-sm font-medium text-red-600 border border-red-300 hover:bg-red-50"
+              >
+                Turn off
+              </button>
+            </>
+          ) : (
+            <button type="button" onClick={() => setMode('setup')} className={buttonClass}>
+              Set up
+            </button>
+          )}
+        </div>
+      )}
+    </Section>
+  );
+};
+
+// Site-wide security policy, for admins
+const SecurityPolicySection = () => {
+  const [roles, setRoles] = useState([]);
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    settingsService
+      .getSecurity()
+      .then((data) => {
+        setRoles(data.data.roles);
+        setRequiredRoles(data.data.twoFactorRequiredRoles);
+      })
+      .catch((err) => setNotice({ type: 'error', text: errorMessage(err, 'Failed to load settings') }));
+  }, []);
+
+  const toggleRole = (role) => {
+    setRequiredRoles(
+      requiredRoles.includes(role) ? requiredRoles.filter((r) => r !== role) : [...requiredRoles, role]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setNotice(null);
+    try {
+      const data = await settingsService.updateSecurity({ twoFactorRequiredRoles: requiredRoles });
+      setRequiredRoles(data.data.twoFactorRequiredRoles);
+      setNotice({ type: 'success', text: 'Security policy saved.' });
+    } catch (err) {
+      setNotice({ type: 'error', text: errorMessage(err, 'Failed to save settings') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Section title="Security policy">
+      <p className="text-sm text-gray-600">
+        Users with these roles must set up two-factor authentication before they can sign in.
+      </p>
+      <Notice notice={notice} />
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex flex-wrap gap-4">
+          {roles.map((role) => (
+            <label key={role} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={requiredRoles.includes(role)}
+                onChange={() => toggleRole(role)}
+              />
+              <span className="capitalize">{role}</span>
+            </label>
+          ))}
+        </div>
+        <button type="submit" disabled={saving} className={buttonClass}>
+          {saving ? 'Saving...' : 'Save policy'}
+        </button>
+      </form>
+    </Section>
+  );
+};
+
+const AccountSettings = () => {
+  const { can } = useAuth();
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold text-gray-900">Account Settings</h1>
+        <div className="flex space-x-4">
+          <Link to="/account/tokens" className="text-sm font-medium text-indigo-600 hover:text-indigo-900">
+            Access tokens &rarr;
+          </Link>
+          <Link to="/account/sessions" className="text-sm font-medium text-indigo-600 hover:text-indigo-900">
+            Manage sessions &rarr;
+          </Link>
+        </div>
+      </div>
+      <ProfileSection />
+      <EmailSection />
+      <PasswordSection />
+      <TwoFactorSection />
+      {can('settings:manage') && <SecurityPolicySection />}
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,224 @@
+// AuditLog.js - Admin page for browsing and exporting the audit log
+
+import React, { useState, useEffect, useCallback } from 'react';
+import useApi from '../hooks/useApi';
+import { auditService } from '../services/api';
+
+const TARGET_TYPES = ['Post', 'Comment', 'Category', 'User', 'Session', 'AccessToken', 'Setting'];
+
+const EMPTY_FILTERS = { action: '', targetType: '', from: '', to: '' };
+
+// Query parameters understood by the audit log endpoints
+const toParams = (filters) => {
+  const params = {};
+  if (filters.action) params.action = filters.action;
+  if (filters.targetType) params['target.type'] = filters.targetType;
+  if (filters.from) params['createdAt[gte]'] = filters.from;
+  if (filters.to) params['createdAt[lte]'] = `${filters.to}T23:59:59.999Z`;
+  return params;
+};
+
+// "title: Old → New" lines for the fields an entry changed
+const ChangeSummary = ({ before, after }) => {
+  const fields = Object.keys({ ...before, ...after });
+  if (fields.length === 0) return null;
+
+  const format = (value) => (value === undefined || value === null ? '—' : JSON.stringify(value));
+
+  return (
+    <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+      {fields.map((field) => (
+        <li key={field} className="break-all">
+          <span className="font-medium">{field}:</span>{' '}
+          {before && <span className="text-red-600 line-through mr-1">{format(before[field])}</span>}
+          {after && <span className="text-green-700">{format(after[field])}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const AuditLog = () => {
+  const { request, loading, error } = useApi();
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [exportError, setExportError] = useState('');
+
+  const fetchLogs = useCallback(async () => {
+    try {
+      const data = await request(() => auditService.getLogs({ ...toParams(filters), page }));
+      setResult(data);
+    } catch (err) {
+      // Error is handled by the useApi hook
+    }
+  }, [request, filters, page]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const entries = result?.data || [];
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    setFilters(form);
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    setExportError('');
+    try {
+      await auditService.exportCsv(toParams(filters));
+    } catch (err) {
+      setExportError('Failed to export the audit log');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold text-gray-900">Audit Log</h1>
+        <button
+          type="button"
+          onClick={handleExport}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <form onSubmit={handleFilter} className="flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="action" className="block text-xs font-medium text-gray-700 mb-1">
+            Action
+          </label>
+          <input
+            id="action"
+            name="action"
+            type="text"
+            value={form.action}
+            onChange={handleChange}
+            placeholder="e.g. post.update"
+            className="px-3 py-2 border rounded-md shadow-sm text-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="targetType" className="block text-xs font-medium text-gray-700 mb-1">
+            Target
+          </label>
+          <select
+            id="targetType"
+            name="targetType"
+            value={form.targetType}
+            onChange={handleChange}
+            className="px-3 py-2 border rounded-md shadow-sm text-sm"
+          >
+            <option value="">Any</option>
+            {TARGET_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="from" className="block text-xs font-medium text-gray-700 mb-1">
+            From
+          </label>
+          <input
+            id="from"
+            name="from"
+            type="date"
+            value={form.from}
+            onChange={handleChange}
+            className="px-3 py-2 border rounded-md shadow-sm text-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="to" className="block text-xs font-medium text-gray-700 mb-1">
+            To
+          </label>
+          <input
+            id="to"
+            name="to"
+            type="date"
+            value={form.to}
+            onChange={handleChange}
+            className="px-3 py-2 border rounded-md shadow-sm text-sm"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-md text-sm font-medium text-indigo-600 border border-indigo-300 hover:bg-indigo-50"
+        >
+          Filter
+        </button>
+      </form>
+
+      {exportError && (
+        <div className="rounded-md bg-red-50 p-4">
+          <div className="text-sm text-red-700">{exportError}</div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md">
+        {loading && <div className="text-center py-10">Loading audit log...</div>}
+        {error && <div className="text-center py-10 text-red-500">Error: {error}</div>}
+
+        {!loading && !error && entries.length === 0 && (
+          <p className="text-center py-10 text-gray-500">No entries found.</p>
+        )}
+
+        {!loading &&
+          entries.map((entry) => (
+            <div key={entry._id} className="p-4 border-b last:border-0">
+              <div className="flex items-center text-sm text-gray-500">
+                <span className="font-mono font-medium text-gray-900">{entry.action}</span>
+                <span className="mx-2">•</span>
+                <span>
+                  {entry.target.type} {entry.target.label && `"${entry.target.label}"`}
+                </span>
+                <span className="mx-2">•</span>
+                <time>{new Date(entry.createdAt).toLocaleString()}</time>
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                By {entry.actor?.name || entry.actorEmail || 'anonymous'}
+                {entry.ip && ` from ${entry.ip}`}
+                {entry.accessToken && ' using an access token'}
+              </div>
+              <ChangeSummary before={entry.before} after={entry.after} />
+            </div>
+          ))}
+      </div>
+
+      {result && (result.pagination.previous || result.pagination.next) && (
+        <div className="flex justify-between">
+          <button
+            type="button"
+            disabled={!result.pagination.previous}
+            onClick={() => setPage(page - 1)}
+            className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+          >
+            &larr; Previous
+          </button>
+          <button
+            type="button"
+            disabled={!result.pagination.next}
+            onClick={() => setPage(page + 1)}
+            className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+          >
+            Next &rarr;
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,57 @@
+// ConfirmEmail.js - Page opened from the link confirming a new email address
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const ConfirmEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('confirming');
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only submit once (StrictMode runs effects twice)
+    if (submitted.current) return;
+    submitted.current = true;
+
+    authService
+      .confirmEmailChange(token)
+      .then((data) => {
+        setEmail(data.user.email);
+        setStatus('confirmed');
+        if (isAuthenticated) refreshUser();
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setError(err.response?.data?.error || 'Failed to confirm email address');
+      });
+  }, [token, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="max-w-md mx-auto py-12 text-center space-y-4">
+      <h1 className="text-3xl font-extrabold text-gray-900">Confirm email address</h1>
+
+      {status === 'confirming' && <p className="text-gray-600">Confirming your new email address...</p>}
+
+      {status === 'confirmed' && (
+        <>
+          <p className="text-green-700">Your account now uses {email}.</p>
+          <Link
+            to={isAuthenticated ? '/account' : '/login'}
+            className="font-medium text-indigo-600 hover:text-indigo-500"
+          >
+            {isAuthenticated ? 'Back to account settings' : 'Sign in'}
+          </Link>
+        </>
+      )}
+
+      {status === 'failed' && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ConfirmEmail;
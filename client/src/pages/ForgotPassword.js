@@ -0,0 +1,92 @@
+// ForgotPassword.js - Page for requesting a password reset link
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services/api';
+import { parseApiError } from '../hooks/useApi';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const data = await authService.forgotPassword(email);
+      setMessage(data.message);
+    } catch (err) {
+      setError(parseApiError(err, 'Failed to send reset link').message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Enter your email and we'll send you a link to choose a new password.
+          </p>
+        </div>
+
+        {message ? (
+          <div className="rounded-md bg-green-50 p-4">
+            <div className="text-sm text-green-700">{message}</div>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <div className="rounded-md bg-red-50 p-4">
+                <div className="text-sm text-red-700">{error}</div>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="email" className="sr-only">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                placeholder="Email address"
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+              >
+                {submitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link to="/login" className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
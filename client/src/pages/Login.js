@@ -1,16 +1,109 @@
 // Login.js - Login page component
 
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/api';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+
+// Second login step for users with two-factor authentication
+const TwoFactorForm = ({ interimToken, onSuccess }) => {
+  const { verifyTwoFactor, error, clearError } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const factor = useRecoveryCode ? { recoveryCode: value } : { code: value };
+    const result = await verifyTwoFactor(interimToken, factor);
+
+    if (result.success) {
+      onSuccess();
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+    if (error) clearError();
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      {error && (
+        <div className="rounded-md bg-red-50 p-4">
+          <div className="text-sm text-red-700">{error}</div>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-1">
+          {useRecoveryCode ? 'Recovery code' : 'Code from your authenticator app'}
+        </label>
+        <input
+          id="twoFactorCode"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          required
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            if (error) clearError();
+          }}
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+        />
+      </div>
+
+      <div className="flex items-center justify-end">
+        <button
+          type="button"
+          onClick={toggleRecoveryCode}
+          className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+        </button>
+      </div>
+
+      <button
+        type="submit"
+        className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+      >
+        Verify
+      </button>
+    </form>
+  );
+};
 
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
-  const { login, error, clearError } = useAuth();
+  const { login, enableTwoFactorAtLogin, error, clearError } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const [providers, setProviders] = useState([]);
+
+  // Pending second factor: { twoFactor: 'required' | 'setup', interimToken }.
+  // Registration and external sign-in pass it in the navigation state.
+  const [pending, setPending] = useState(location.state?.interimToken ? location.state : null);
+  const returnTo = location.state?.returnTo || '/';
+
+  // Set when an external provider sign-in fails and redirects back here
+  const providerError = searchParams.get('error');
+
+  useEffect(() => {
+    authService
+      .getOidcProviders()
+      .then((data) => setProviders(data.data))
+      .catch(() => {
+        // Email and password sign-in still works without the provider list
+      });
+  }, []);
 
   const handleChange = (e) => {
     setFormData({
@@ -27,10 +120,56 @@ const Login = () => {
     const result = await login(formData.email, formData.password);
     
     if (result.success) {
-      navigate('/');
+      navigate(returnTo);
+    } else if (result.twoFactor) {
+      setPending(result);
     }
   };
 
+  if (pending) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              {pending.twoFactor === 'setup'
+                ? 'Set up two-factor authentication'
+                : 'Two-factor authentication'}
+            </h2>
+            {pending.twoFactor === 'setup' && (
+              <p className="mt-2 text-center text-sm text-gray-600">
+                Your account requires two-factor authentication before you can sign in.
+              </p>
+            )}
+          </div>
+
+          {pending.twoFactor === 'setup' ? (
+            <TwoFactorSetup
+              interimToken={pending.interimToken}
+              enable={(code) => enableTwoFactorAtLogin(pending.interimToken, code)}
+              onDone={() => navigate(returnTo)}
+            />
+          ) : (
+            <TwoFactorForm interimToken={pending.interimToken} onSuccess={() => navigate(returnTo)} />
+          )}
+
+          <div className="text-center">
+            <button
+              type="button"
+              onClick={() => {
+                setPending(null);
+                clearError();
+              }}
+              className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -40,9 +179,9 @@ const Login = () => {
           </h2>
         </div>
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {error && (
+          {(error || providerError) && (
             <div className="rounded-md bg-red-50 p-4">
-              <div className="text-sm text-red-700">{error}</div>
+              <div className="text-sm text-red-700">{error || providerError}</div>
             </div>
           )}
           
@@ -81,6 +220,12 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="flex items-center justify-end">
+            <Link to="/forgot-password" className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -90,6 +235,23 @@ const Login = () => {
             </button>
           </div>
         </form>
+
+        {providers.length > 0 && (
+          <div className="space-y-3">
+            <div className="relative text-center">
+              <span className="px-2 bg-gray-50 text-sm text-gray-500">Or continue with</span>
+            </div>
+            {providers.map((provider) => (
+              <a
+                key={provider.id}
+                href={authService.oidcLoginUrl(provider.id)}
+                className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Sign in with {provider.name}
+              </a>
+            ))}
+          </div>
+        )}
         
         <div className="text-center">
           <p className="text-sm text-gray-600">
@@ -0,0 +1,199 @@
+// ModerationQueue.js - Admin page for reviewing comments
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import useApi from '../hooks/useApi';
+import { moderationService } from '../services/api';
+
+const STATUSES = ['pending', 'spam', 'approved', 'rejected'];
+
+const ACTIONS = [
+  { action: 'approve', label: 'Approve', className: 'bg-green-600 hover:bg-green-700' },
+  { action: 'reject', label: 'Reject', className: 'bg-gray-600 hover:bg-gray-700' },
+  { action: 'spam', label: 'Mark as spam', className: 'bg-red-600 hover:bg-red-700' },
+  { action: 'requeue', label: 'Back to queue', className: 'bg-indigo-600 hover:bg-indigo-700' },
+];
+
+// Actions that would leave a comment where it already is are hidden
+const ACTION_STATUS = { approve: 'approved', reject: 'rejected', spam: 'spam', requeue: 'pending' };
+
+const ModerationQueue = () => {
+  const { request, loading, error } = useApi();
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [actionError, setActionError] = useState('');
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const data = await request(() => moderationService.getComments({ status, page }));
+      setResult(data);
+      setSelected([]);
+    } catch (err) {
+      // Error is handled by the useApi hook
+    }
+  }, [request, status, page]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const comments = result?.data || [];
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]));
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.length === comments.length ? [] : comments.map((c) => c._id));
+  };
+
+  const applyAction = async (action, ids = selected) => {
+    if (ids.length === 0) return;
+    setActionError('');
+
+    try {
+      await moderationService.bulkAction(ids, action);
+      fetchComments();
+    } catch (err) {
+      setActionError(err.response?.data?.error || 'Failed to update comments');
+    }
+  };
+
+  const availableActions = ACTIONS.filter(({ action }) => ACTION_STATUS[action] !== status);
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Comment Moderation</h1>
+
+      <div className="flex space-x-2">
+        {STATUSES.map((s) => (
+          <button
+            key={s}
+            type="button"
+            onClick={() => {
+              setStatus(s);
+              setPage(1);
+            }}
+            className={`px-3 py-2 rounded-md text-sm font-medium capitalize ${
+              status === s ? 'bg-indigo-100 text-indigo-700' : 'text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {s}
+          </button>
+        ))}
+      </div>
+
+      {actionError && (
+        <div className="rounded-md bg-red-50 p-4">
+          <div className="text-sm text-red-700">{actionError}</div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="flex items-center justify-between p-4 border-b">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={comments.length > 0 && selected.length === comments.length}
+              onChange={toggleAll}
+              className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded"
+            />
+            {selected.length > 0 ? `${selected.length} selected` : `${result?.total ?? 0} comments`}
+          </label>
+          <div className="flex space-x-2">
+            {availableActions.map(({ action, label, className }) => (
+              <button
+                key={action}
+                type="button"
+                disabled={selected.length === 0}
+                onClick={() => applyAction(action)}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md text-white disabled:opacity-50 ${className}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {loading && <div className="text-center py-10">Loading comments...</div>}
+        {error && <div className="text-center py-10 text-red-500">Error: {error}</div>}
+
+        {!loading && !error && comments.length === 0 && (
+          <p className="text-center py-10 text-gray-500">No {status} comments.</p>
+        )}
+
+        {!loading &&
+          comments.map((comment) => (
+            <div key={comment._id} className="flex items-start p-4 border-b last:border-0">
+              <input
+                type="checkbox"
+                checked={selected.includes(comment._id)}
+                onChange={() => toggle(comment._id)}
+                className="h-4 w-4 mt-1 mr-4 text-indigo-600 border-gray-300 rounded"
+                aria-label="Select comment"
+              />
+              <div className="flex-1">
+                <div className="flex items-center text-sm text-gray-500">
+                  <span className="font-medium text-gray-900">{comment.user?.name}</span>
+                  <span className="ml-2">{comment.user?.email}</span>
+                  <span className="mx-2">•</span>
+                  <time>{new Date(comment.createdAt).toLocaleString()}</time>
+                  {comment.post && (
+                    <>
+                      <span className="mx-2">•</span>
+                      <Link to={`/posts/${comment.post.slug}`} className="text-indigo-600 hover:text-indigo-900">
+                        {comment.post.title}
+                      </Link>
+                    </>
+                  )}
+                </div>
+                <p className="mt-2 text-gray-700 whitespace-pre-line">{comment.content}</p>
+                {comment.spamReasons?.length > 0 && (
+                  <p className="mt-2 text-xs text-red-600">
+                    Spam score {comment.spamScore}: {comment.spamReasons.join('; ')}
+                  </p>
+                )}
+                <div className="mt-2 flex space-x-3 text-sm">
+                  {availableActions.map(({ action, label }) => (
+                    <button
+                      key={action}
+                      type="button"
+                      onClick={() => applyAction(action, [comment._id])}
+                      className="text-indigo-600 hover:text-indigo-900"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+      </div>
+
+      {result && (result.pagination.previous || result.pagination.next) && (
+        <div className="flex justify-between">
+          <button
+            type="button"
+            disabled={!result.pagination.previous}
+            onClick={() => setPage(page - 1)}
+            className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+          >
+            &larr; Previous
+          </button>
+          <button
+            type="button"
+            disabled={!result.pagination.next}
+            onClick={() => setPage(page + 1)}
+            className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+          >
+            Next &rarr;
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModerationQueue;
@@ -0,0 +1,47 @@
+// OidcCallback.js - Landing page after signing in with an external provider
+
+import React, { useEffect, useRef } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const OidcCallback = () => {
+  const navigate = useNavigate();
+  const { loginWithTokens } = useAuth();
+  const handled = useRef(false);
+
+  // The server puts the tokens in the URL fragment
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const token = params.get('token');
+  const refreshToken = params.get('refreshToken');
+  const returnTo = params.get('returnTo') || '/';
+  const interimToken = params.get('interimToken');
+  const twoFactor = params.get('twoFactor');
+
+  useEffect(() => {
+    if (handled.current || !(token || interimToken)) return;
+    handled.current = true;
+
+    // Keep the tokens out of the browser history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    // The second factor is entered on the login page
+    if (interimToken) {
+      navigate('/login', { replace: true, state: { interimToken, twoFactor, returnTo } });
+      return;
+    }
+
+    loginWithTokens({ token, refreshToken }).then((result) => {
+      navigate(result.success ? returnTo : `/login?error=${encodeURIComponent(result.error)}`, {
+        replace: true,
+      });
+    });
+  }, [token, refreshToken, interimToken, twoFactor, returnTo, loginWithTokens, navigate]);
+
+  if (!token && !interimToken && !handled.current) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return <div className="text-center py-10">Signing you in...</div>;
+};
+
+export default OidcCallback;
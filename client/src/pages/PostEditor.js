@@ -0,0 +1,114 @@
+// PostEditor.js - Admin page for creating and editing blog posts
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import PostForm from '../components/PostForm';
+import useApi, { parseApiError } from '../hooks/useApi';
+import { postService } from '../services/api';
+
+const PostEditor = () => {
+  const { id } = useParams();
+  const isEditing = Boolean(id);
+  const navigate = useNavigate();
+  const { request, loading, error } = useApi();
+  const [post, setPost] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState('');
+
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const fetchPost = async () => {
+      try {
+        const data = await request(() => postService.getPost(id));
+        setPost(data.data);
+      } catch (err) {
+        // Error is handled by the useApi hook
+      }
+    };
+
+    fetchPost();
+  }, [id, isEditing, request]);
+
+  const handleSubmit = async (formData) => {
+    setSubmitting(true);
+    setFieldErrors({});
+    setFormError('');
+
+    try {
+      const response = isEditing
+        ? await postService.updatePost(id, formData)
+        : await postService.createPost(formData);
+
+      navigate(`/posts/${response.data.slug || response.data._id}`);
+    } catch (err) {
+      const { message, fieldErrors: errors } = parseApiError(err, 'Failed to save post');
+      if (Object.keys(errors).length > 0) {
+        setFieldErrors(errors);
+      } else {
+        setFormError(message);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (isEditing && loading) return <div className="text-center py-10">Loading post...</div>;
+  if (isEditing && error) return <div className="text-center py-10 text-red-500">Error: {error}</div>;
+  if (isEditing && !post) return <div className="text-center py-10">Post not found</div>;
+
+  const initialValues = post
+    ? {
+        title: post.title,
+        content: post.content,
+        excerpt: post.excerpt || '',
+        featuredImage: post.featuredImage || '',
+        category: post.category?._id || post.category || '',
+        tags: post.tags || [],
+        isPublished: post.isPublished,
+        publishAt: post.publishAt,
+      }
+    : undefined;
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <Link to="/posts" className="inline-flex items-center text-indigo-600 hover:text-indigo-900 mb-6">
+        &larr; Back to posts
+      </Link>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">
+            {isEditing ? 'Edit Post' : 'Create Post'}
+          </h1>
+          {isEditing && (
+            <Link
+              to={`/admin/posts/${id}/revisions`}
+              className="text-sm text-indigo-600 hover:text-indigo-900 font-medium"
+            >
+              Revision history
+            </Link>
+          )}
+        </div>
+
+        {formError && (
+          <div className="rounded-md bg-red-50 p-4 mb-6">
+            <div className="text-sm text-red-700">{formError}</div>
+          </div>
+        )}
+
+        <PostForm
+          key={post?._id || 'new'}
+          initialValues={initialValues}
+          onSubmit={handleSubmit}
+          submitLabel={isEditing ? 'Update Post' : 'Create Post'}
+          fieldErrors={fieldErrors}
+          submitting={submitting}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default PostEditor;
@@ -0,0 +1,185 @@
+// PostRevisions.js - Admin page for browsing, comparing and restoring post revisions
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import useApi from '../hooks/useApi';
+import { revisionService } from '../services/api';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  excerpt: 'Excerpt',
+  category: 'Category',
+  tags: 'Tags',
+  featuredImage: 'Featured image',
+  isPublished: 'Published',
+  publishAt: 'Scheduled for',
+};
+
+const segmentClass = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800 line-through',
+  unchanged: '',
+};
+
+const PostRevisions = () => {
+  const { id } = useParams();
+  const { request, loading, error } = useApi();
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [diffError, setDiffError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const data = await request(() => revisionService.getRevisions(id));
+      setRevisions(data.data);
+      // Compare the two latest revisions by default
+      if (data.data.length > 1) {
+        setFrom(data.data[1].number);
+        setTo(data.data[0].number);
+      }
+    } catch (err) {
+      // Error is handled by the useApi hook
+    }
+  }, [id, request]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  useEffect(() => {
+    if (!from || !to || from === to) {
+      setDiff(null);
+      return;
+    }
+
+    setDiffError('');
+    revisionService
+      .diffRevisions(id, Math.min(from, to), Math.max(from, to))
+      .then((data) => setDiff(data.data))
+      .catch((err) => setDiffError(err.response?.data?.error || 'Failed to load diff'));
+  }, [id, from, to]);
+
+  const handleRestore = async (number) => {
+    if (!window.confirm(`Restore revision ${number}? This saves it as a new revision.`)) return;
+
+    try {
+      const data = await revisionService.restoreRevision(id, number);
+      setMessage(`Revision ${number} restored as revision ${data.revision}.`);
+      fetchRevisions();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Failed to restore revision');
+    }
+  };
+
+  if (loading && revisions.length === 0) return <div className="text-center py-10">Loading revisions...</div>;
+  if (error) return <div className="text-center py-10 text-red-500">Error: {error}</div>;
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <Link to={`/admin/posts/${id}/edit`} className="inline-flex items-center text-indigo-600 hover:text-indigo-900">
+        &larr; Back to editor
+      </Link>
+
+      <h1 className="text-3xl font-bold text-gray-900">Revision History</h1>
+
+      {message && (
+        <div className="rounded-md bg-blue-50 p-4">
+          <div className="text-sm text-blue-700">{message}</div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">From</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">To</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Revision</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Editor</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Date</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Changed</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {revisions.map((revision, index) => (
+              <tr key={revision._id}>
+                <td className="px-4 py-2">
+                  <input
+                    type="radio"
+                    name="from"
+                    checked={from === revision.number}
+                    onChange={() => setFrom(revision.number)}
+                    aria-label={`Compare from revision ${revision.number}`}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <input
+                    type="radio"
+                    name="to"
+                    checked={to === revision.number}
+                    onChange={() => setTo(revision.number)}
+                    aria-label={`Compare to revision ${revision.number}`}
+                  />
+                </td>
+                <td className="px-4 py-2 font-medium text-gray-900">
+                  #{revision.number}
+                  {revision.restoredFrom && (
+                    <span className="ml-2 text-xs text-gray-500">(restored #{revision.restoredFrom})</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-gray-700">{revision.editor?.name || 'Unknown'}</td>
+                <td className="px-4 py-2 text-gray-500">{new Date(revision.createdAt).toLocaleString()}</td>
+                <td className="px-4 py-2 text-gray-500">
+                  {revision.changedFields.map((field) => FIELD_LABELS[field] || field).join(', ')}
+                </td>
+                <td className="px-4 py-2 text-right">
+                  {index > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(revision.number)}
+                      className="text-indigo-600 hover:text-indigo-900 font-medium"
+                    >
+                      Restore
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {diffError && <p className="text-sm text-red-600">{diffError}</p>}
+
+      {diff && (
+        <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+          <h2 className="text-xl font-bold text-gray-900">
+            Changes from #{diff.from} to #{diff.to}
+          </h2>
+          {Object.keys(diff.changes).length === 0 && (
+            <p className="text-gray-500">These revisions are identical.</p>
+          )}
+          {Object.entries(diff.changes).map(([field, segments]) => (
+            <div key={field}>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">{FIELD_LABELS[field] || field}</h3>
+              <p className="text-gray-700 whitespace-pre-wrap border border-gray-200 rounded-md p-3">
+                {segments.map((segment, index) => (
+                  <span key={index} className={segmentClass[segment.type]}>
+                    {segment.value}
+                  </span>
+                ))}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PostRevisions;
@@ -37,6 +37,9 @@ const Register = () => {
     
     if (result.success) {
       navigate('/');
+    } else if (result.twoFactor) {
+      // The new account's role requires two-factor authentication
+      navigate('/login', { state: result });
     }
   };
 
@@ -0,0 +1,206 @@
+// Search.js - Full-text post search page
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import useApi from '../hooks/useApi';
+import { postService, categoryService } from '../services/api';
+
+const FILTER_KEYS = ['category', 'tag', 'from', 'to'];
+
+// Render [{ text, match }] segments from the search API with matches highlighted
+const Highlighted = ({ segments, fallback }) => {
+  if (!segments || segments.length === 0) return fallback || null;
+
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-yellow-200 rounded px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+};
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { request, loading, error } = useApi();
+  const [results, setResults] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState(() => ({
+    q: searchParams.get('q') || '',
+    ...Object.fromEntries(FILTER_KEYS.map((key) => [key, searchParams.get(key) || ''])),
+  }));
+
+  const q = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+
+  useEffect(() => {
+    categoryService
+      .getAllCategories()
+      .then((data) => setCategories(data.data))
+      .catch(() => setCategories([]));
+  }, []);
+
+  useEffect(() => {
+    if (!q) {
+      setResults(null);
+      return;
+    }
+
+    const filters = { page };
+    FILTER_KEYS.forEach((key) => {
+      if (searchParams.get(key)) filters[key] = searchParams.get(key);
+    });
+
+    const fetchResults = async () => {
+      try {
+        const data = await request(() => postService.searchPosts(q, filters));
+        setResults(data);
+      } catch (err) {
+        // Error is handled by the useApi hook
+      }
+    };
+
+    fetchResults();
+  }, [q, page, searchParams, request]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const params = {};
+    Object.entries(form).forEach(([key, value]) => {
+      if (value.trim()) params[key] = value.trim();
+    });
+    setSearchParams(params);
+  };
+
+  const goToPage = (newPage) => {
+    const params = Object.fromEntries(searchParams.entries());
+    setSearchParams({ ...params, page: newPage });
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      <h1 className="text-3xl font-bold text-gray-900">Search</h1>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+        <input
+          name="q"
+          type="search"
+          value={form.q}
+          onChange={handleChange}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          placeholder="Search posts..."
+        />
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <select
+            name="category"
+            value={form.category}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category._id} value={category.slug}>
+                {category.name}
+              </option>
+            ))}
+          </select>
+          <input
+            name="tag"
+            type="text"
+            value={form.tag}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            placeholder="Tag"
+          />
+          <input
+            name="from"
+            type="date"
+            value={form.from}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            aria-label="From date"
+          />
+          <input
+            name="to"
+            type="date"
+            value={form.to}
+            onChange={handleChange}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            aria-label="To date"
+          />
+        </div>
+        <button
+          type="submit"
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Search
+        </button>
+      </form>
+
+      {loading && <div className="text-center py-10">Searching...</div>}
+      {error && <div className="text-center py-10 text-red-500">Error: {error}</div>}
+
+      {!loading && results && (
+        <div className="space-y-6">
+          <p className="text-sm text-gray-500">
+            {results.total} {results.total === 1 ? 'result' : 'results'} for "{q}"
+          </p>
+
+          {results.data.map((post) => (
+            <div key={post._id} className="bg-white rounded-lg shadow-md p-6">
+              <Link
+                to={`/posts/${post.slug || post._id}`}
+                className="text-xl font-bold text-gray-900 hover:text-indigo-700"
+              >
+                <Highlighted segments={post.highlights?.title} fallback={post.title} />
+              </Link>
+              <div className="flex items-center text-sm text-gray-500 mt-1">
+                <span>{post.author?.name}</span>
+                <span className="mx-2">•</span>
+                <time>{new Date(post.createdAt).toLocaleDateString()}</time>
+                {post.category && (
+                  <>
+                    <span className="mx-2">•</span>
+                    <span>{post.category.name}</span>
+                  </>
+                )}
+              </div>
+              <p className="mt-3 text-gray-700">
+                <Highlighted segments={post.highlights?.snippet} fallback={post.excerpt} />
+              </p>
+            </div>
+          ))}
+
+          {(results.pagination.previous || results.pagination.next) && (
+            <div className="flex justify-between">
+              <button
+                type="button"
+                disabled={!results.pagination.previous}
+                onClick={() => goToPage(page - 1)}
+                className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+              >
+                &larr; Previous
+              </button>
+              <button
+                type="button"
+                disabled={!results.pagination.next}
+                onClick={() => goToPage(page + 1)}
+                className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+              >
+                Next &rarr;
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Search;
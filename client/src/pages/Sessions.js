@@ -0,0 +1,107 @@
+// Sessions.js - Page listing the devices the user is signed in on
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import useApi from '../hooks/useApi';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const Sessions = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const { request, loading, error } = useApi();
+  const [sessions, setSessions] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const data = await request(() => authService.getSessions());
+      setSessions(data.data);
+    } catch (err) {
+      // Error is handled by the useApi hook
+    }
+  }, [request]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    try {
+      await authService.revokeSession(session._id);
+      fetchSessions();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Failed to sign out the session');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    await logout({ everywhere: true });
+    navigate('/login');
+  };
+
+  if (loading && sessions.length === 0) return <div className="text-center py-10">Loading sessions...</div>;
+  if (error) return <div className="text-center py-10 text-red-500">Error: {error}</div>;
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <Link to="/account" className="inline-flex items-center text-indigo-600 hover:text-indigo-900">
+        &larr; Back to account settings
+      </Link>
+
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold text-gray-900">Active Sessions</h1>
+        <button
+          type="button"
+          onClick={handleLogoutAll}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700"
+        >
+          Sign out everywhere
+        </button>
+      </div>
+
+      {message && (
+        <div className="rounded-md bg-red-50 p-4">
+          <div className="text-sm text-red-700">{message}</div>
+        </div>
+      )}
+
+      <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-200">
+        {sessions.map((session) => (
+          <li key={session._id} className="p-4 flex items-center justify-between">
+            <div>
+              <p className="font-medium text-gray-900">
+                {session.device}
+                {session.current && (
+                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                    This device
+                  </span>
+                )}
+              </p>
+              <p className="text-sm text-gray-500">
+                {session.ip} • Signed in {new Date(session.createdAt).toLocaleString()} • Last active{' '}
+                {new Date(session.lastUsedAt).toLocaleString()}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleRevoke(session)}
+              className="text-sm text-red-600 hover:text-red-800 font-medium"
+            >
+              Sign out
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Sessions;
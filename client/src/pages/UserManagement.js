@@ -0,0 +1,322 @@
+// UserManagement.js - Admin page for listing users, changing roles, suspending and deleting accounts
+
+import React, { useState, useEffect, useCallback } from 'react';
+import useApi, { parseApiError } from '../hooks/useApi';
+import { userService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const ROLES = ['user', 'author', 'editor', 'admin'];
+
+const errorMessage = (err, fallback) => parseApiError(err, fallback).message;
+
+// Confirmation panel for deleting a user, with the choice of who gets their content
+const DeleteUserPanel = ({ user, onDeleted, onCancel }) => {
+  const [reassignEmail, setReassignEmail] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setError('');
+
+    try {
+      let reassignTo;
+      const email = reassignEmail.trim().toLowerCase();
+      if (email) {
+        const data = await userService.getUsers({ search: email, limit: 10 });
+        const match = data.data.find((u) => u.email === email);
+        if (!match) {
+          setError(`No user with the email ${email}`);
+          setDeleting(false);
+          return;
+        }
+        reassignTo = match._id;
+      }
+
+      const data = await userService.deleteUser(user._id, reassignTo);
+      onDeleted(data.data);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete user'));
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleDelete} className="mt-3 p-4 rounded-md bg-red-50 space-y-3">
+      <p className="text-sm text-red-700">
+        Delete {user.name} ({user.email})? This can't be undone. Their posts and comments are kept
+        and moved to another user, or to a "Deleted user" placeholder.
+      </p>
+      {error && <p className="text-sm text-red-700 font-medium">{error}</p>}
+      <input
+        type="email"
+        value={reassignEmail}
+        onChange={(e) => setReassignEmail(e.target.value)}
+        placeholder="Email of the user to give their content to (optional)"
+        className="w-full px-3 py-2 border rounded-md shadow-sm text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={deleting}
+          className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+        >
+          {deleting ? 'Deleting...' : 'Delete user'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const { request, loading, error } = useApi();
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ search: '', role: '', suspended: false });
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    const params = { page, sort: 'name' };
+    if (filters.search) params.search = filters.search;
+    if (filters.role) params.role = filters.role;
+    if (filters.suspended) params.suspended = true;
+
+    try {
+      const data = await request(() => userService.getUsers(params));
+      setResult(data);
+    } catch (err) {
+      // Error is handled by the useApi hook
+    }
+  }, [request, filters, page]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const users = result?.data || [];
+
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilters({ search: search.trim() });
+  };
+
+  // Run an action against one user, then reload the list
+  const runAction = async (action, successText) => {
+    setNotice(null);
+    try {
+      await action();
+      setNotice({ type: 'success', text: successText });
+      fetchUsers();
+    } catch (err) {
+      setNotice({ type: 'error', text: errorMessage(err, 'Failed to update user') });
+    }
+  };
+
+  const changeRole = (user, role) =>
+    runAction(() => userService.updateRole(user._id, role), `${user.name}'s role is now ${role}.`);
+
+  const suspend = (user) => {
+    const reason = window.prompt(`Suspend ${user.name}? Optionally give a reason:`, '');
+    if (reason === null) return;
+    runAction(() => userService.suspend(user._id, reason), `${user.name} was suspended and signed out.`);
+  };
+
+  const reactivate = (user) =>
+    runAction(() => userService.reactivate(user._id), `${user.name} was reactivated.`);
+
+  const handleDeleted = (user, data) => {
+    setDeleting(null);
+    setNotice({
+      type: 'success',
+      text: `${user.name} was deleted. ${data.posts} post(s) and ${data.comments} comment(s) now belong to ${data.reassignedTo.name}.`,
+    });
+    fetchUsers();
+  };
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <form onSubmit={handleSearch} className="flex space-x-2">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name or email"
+            className="px-3 py-2 border rounded-md shadow-sm text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <button
+            type="submit"
+            className="px-3 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            Search
+          </button>
+        </form>
+        <select
+          value={filters.role}
+          onChange={(e) => updateFilters({ role: e.target.value })}
+          className="px-3 py-2 border rounded-md shadow-sm text-sm"
+          aria-label="Filter by role"
+        >
+          <option value="">All roles</option>
+          {ROLES.map((role) => (
+            <option key={role} value={role} className="capitalize">
+              {role}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.suspended}
+            onChange={(e) => updateFilters({ suspended: e.target.checked })}
+            className="h-4 w-4 mr-2 text-indigo-600 border-gray-300 rounded"
+          />
+          Suspended only
+        </label>
+      </div>
+
+      {notice && (
+        <div
+          className={`rounded-md p-4 text-sm ${
+            notice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+          }`}
+        >
+          {notice.text}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="p-4 border-b text-sm text-gray-700">{result?.total ?? users.length} users</div>
+
+        {loading && <div className="text-center py-10">Loading users...</div>}
+        {error && <div className="text-center py-10 text-red-500">Error: {error}</div>}
+
+        {!loading && !error && users.length === 0 && (
+          <p className="text-center py-10 text-gray-500">No users found.</p>
+        )}
+
+        {!loading &&
+          users.map((user) => {
+            const isSelf = user._id === currentUser?.id;
+
+            return (
+              <div key={user._id} className="p-4 border-b last:border-0">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">{user.name}</span>
+                      {user.suspended && (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">
+                          Suspended
+                        </span>
+                      )}
+                      {user.emailVerified === false && (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-700">
+                          Unverified
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-sm text-gray-500">
+                      {user.email} • joined {new Date(user.createdAt).toLocaleDateString()}
+                    </div>
+                    {user.suspended && user.suspendedReason && (
+                      <div className="text-xs text-red-600 mt-1">Reason: {user.suspendedReason}</div>
+                    )}
+                  </div>
+
+                  <div className="flex items-center space-x-3 text-sm">
+                    <select
+                      value={user.role}
+                      disabled={isSelf}
+                      onChange={(e) => changeRole(user, e.target.value)}
+                      className="px-2 py-1 border rounded-md text-sm disabled:opacity-50"
+                      aria-label={`Role of ${user.name}`}
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>
+                          {role}
+                        </option>
+                      ))}
+                    </select>
+                    {!isSelf && (
+                      <>
+                        {user.suspended ? (
+                          <button
+                            type="button"
+                            onClick={() => reactivate(user)}
+                            className="text-indigo-600 hover:text-indigo-900"
+                          >
+                            Reactivate
+                          </button>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => suspend(user)}
+                            className="text-yellow-700 hover:text-yellow-900"
+                          >
+                            Suspend
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setDeleting(user._id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {deleting === user._id && (
+                  <DeleteUserPanel
+                    user={user}
+                    onDeleted={(data) => handleDeleted(user, data)}
+                    onCancel={() => setDeleting(null)}
+                  />
+                )}
+              </div>
+            );
+          })}
+      </div>
+
+      {result && (result.pagination.previous || result.pagination.next) && (
+        <div className="flex justify-between">
+          <button
+            type="button"
+            disabled={!result.pagination.previous}
+            onClick={() => setPage(page - 1)}
+            className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+          >
+            &larr; Previous
+          </button>
+          <button
+            type="button"
+            disabled={!result.pagination.next}
+            onClick={() => setPage(page + 1)}
+            className="px-4 py-2 text-sm font-medium text-indigo-600 disabled:text-gray-400"
+          >
+            Next &rarr;
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,61 @@
+// VerifyEmail.js - Page opened from the email verification link
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only submit once (StrictMode runs effects twice)
+    if (submitted.current) return;
+    submitted.current = true;
+
+    authService
+      .verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        if (isAuthenticated) refreshUser();
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setError(err.response?.data?.error || 'Failed to verify email address');
+      });
+  }, [token, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="max-w-md mx-auto py-12 text-center space-y-4">
+      <h1 className="text-3xl font-extrabold text-gray-900">Email verification</h1>
+
+      {status === 'verifying' && <p className="text-gray-600">Verifying your email address...</p>}
+
+      {status === 'verified' && (
+        <>
+          <p className="text-green-700">Your email address is confirmed. Thanks!</p>
+          <Link to={isAuthenticated ? '/' : '/login'} className="font-medium text-indigo-600 hover:text-indigo-500">
+            {isAuthenticated ? 'Continue to the blog' : 'Sign in'}
+          </Link>
+        </>
+      )}
+
+      {status === 'failed' && (
+        <>
+          <p className="text-red-600">{error}</p>
+          <p className="text-sm text-gray-600">
+            {isAuthenticated
+              ? 'Use the banner at the top of the page to request a new link.'
+              : 'Sign in to request a new link.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
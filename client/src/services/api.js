@@ -24,20 +24,69 @@ api.interceptors.request.use(
   }
 );
 
+// Clear the stored session and send the user to the login page
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Refresh tokens are single-use, so concurrent 401s share one refresh request
+let refreshRequest = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, {
+        refreshToken: localStorage.getItem('refreshToken'),
+      })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    // Handle authentication errors
-    if (error.response && error.response.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    // Handle authentication errors: renew an expired access token once, then give up
+    if (response && response.status === 401 && localStorage.getItem('token')) {
+      if (localStorage.getItem('refreshToken') && !config._retried) {
+        try {
+          const token = await refreshAccessToken();
+          config._retried = true;
+          config.headers.Authorization = `Bearer ${token}`;
+          return api(config);
+        } catch (refreshError) {
+          endSession();
+          return Promise.reject(error);
+        }
+      }
+      endSession();
     }
     return Promise.reject(error);
   }
 );
 
+// Store the tokens and user returned when signing in
+const storeSession = (data) => {
+  if (data.token) {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+};
+
 // Post API services
 export const postService = {
   // Get all posts with optional pagination and filters
@@ -50,6 +99,13 @@ export const postService = {
     return response.data;
   },
 
+  // Get one page of the newest posts after a cursor ('' for the first page).
+  // The response's pagination.next.cursor loads the page after it.
+  getPostFeed: async (cursor = '', limit = 10) => {
+    const response = await api.get('/posts', { params: { cursor, limit } });
+    return response.data;
+  },
+
   // Get a single post by ID or slug
   getPost: async (idOrSlug) => {
     const response = await api.get(`/posts/${idOrSlug}`);
@@ -74,17 +130,139 @@ export const postService = {
     return response.data;
   },
 
-  // Add a comment to a post
+  // Search posts by relevance, with optional filters (category, tag, author, from, to, page, limit)
+  searchPosts: async (query, filters = {}) => {
+    const response = await api.get('/posts/search', {
+      params: { q: query, ...filters },
+    });
+    return response.data;
+  },
+};
+
+// Post revision API services (admin only)
+export const revisionService = {
+  // List revisions of a post, newest first
+  getRevisions: async (postId) => {
+    const response = await api.get(`/posts/${postId}/revisions`);
+    return response.data;
+  },
+
+  // Get the post as it was at a revision
+  getRevision: async (postId, number) => {
+    const response = await api.get(`/posts/${postId}/revisions/${number}`);
+    return response.data;
+  },
+
+  // Word-level diff between two revisions
+  diffRevisions: async (postId, from, to) => {
+    const response = await api.get(`/posts/${postId}/revisions/diff`, { params: { from, to } });
+    return response.data;
+  },
+
+  // Restore a revision as a new one
+  restoreRevision: async (postId, number) => {
+    const response = await api.post(`/posts/${postId}/revisions/${number}/restore`);
+    return response.data;
+  },
+};
+
+// Comment API services
+export const commentService = {
+  // Get comment threads for a post (page, limit, sort: 'newest' | 'oldest')
+  getComments: async (postId, params = {}) => {
+    const response = await api.get(`/posts/${postId}/comments`, { params });
+    return response.data;
+  },
+
+  // Add a comment, or a reply when commentData.parentId is set
   addComment: async (postId, commentData) => {
     const response = await api.post(`/posts/${postId}/comments`, commentData);
     return response.data;
   },
 
-  // Search posts
-  searchPosts: async (query) => {
-    const response = await api.get(`/posts/search?q=${query}`);
+  // Edit a comment
+  updateComment: async (postId, commentId, commentData) => {
+    const response = await api.put(`/posts/${postId}/comments/${commentId}`, commentData);
+    return response.data;
+  },
+
+  // Delete a comment
+  deleteComment: async (postId, commentId) => {
+    const response = await api.delete(`/posts/${postId}/comments/${commentId}`);
+    return response.data;
+  },
+};
+
+// Comment moderation API services (admin only)
+export const moderationService = {
+  // Get comments by status ('pending', 'approved', 'spam' or 'rejected')
+  getComments: async (params = {}) => {
+    const response = await api.get('/moderation/comments', { params });
+    return response.data;
+  },
+
+  // Apply 'approve', 'reject', 'spam' or 'requeue' to several comments
+  bulkAction: async (ids, action) => {
+    const response = await api.post('/moderation/comments/bulk', { ids, action });
+    return response.data;
+  },
+};
+
+// User management API services (admins)
+export const userService = {
+  // List users; params: search, role, suspended, sort, page, limit
+  getUsers: async (params = {}) => {
+    const response = await api.get('/users', { params });
+    return response.data;
+  },
+
+  // Get a user with their post and comment counts
+  getUser: async (id) => {
+    const response = await api.get(`/users/${id}`);
+    return response.data;
+  },
+
+  updateRole: async (id, role) => {
+    const response = await api.put(`/users/${id}/role`, { role });
+    return response.data;
+  },
+
+  // Suspend an account; the user is signed out everywhere
+  suspend: async (id, reason) => {
+    const response = await api.post(`/users/${id}/suspend`, { reason });
+    return response.data;
+  },
+
+  reactivate: async (id) => {
+    const response = await api.post(`/users/${id}/reactivate`);
     return response.data;
   },
+
+  // Delete a user; their content moves to reassignTo, or to a "Deleted user" placeholder
+  deleteUser: async (id, reassignTo) => {
+    const response = await api.delete(`/users/${id}`, { params: reassignTo ? { reassignTo } : {} });
+    return response.data;
+  },
+};
+
+// Audit log API services (admins)
+export const auditService = {
+  // Query the audit log; params: actor, action, target.type, createdAt[gte], createdAt[lte], page, limit
+  getLogs: async (params = {}) => {
+    const response = await api.get('/audit-logs', { params });
+    return response.data;
+  },
+
+  // Download the entries matching the same filters as a CSV file
+  exportCsv: async (params = {}) => {
+    const response = await api.get('/audit-logs/export', { params, responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
 };
 
 // Category API services
@@ -102,35 +280,257 @@ export const categoryService = {
   },
 };
 
+// Upload API services
+export const uploadService = {
+  // Upload a post featured image; resolves to the original and variant URLs
+  uploadImage: async (file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    const response = await api.post('/uploads/images', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  // Upload the current user's avatar
+  uploadAvatar: async (file) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    const response = await api.post('/uploads/avatar', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    if (response.data.user) {
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+    }
+    return response.data;
+  },
+};
+
 // Auth API services
 export const authService = {
   // Register a new user
   register: async (userData) => {
     const response = await api.post('/auth/register', userData);
+    storeSession(response.data);
     return response.data;
   },
 
   // Login user
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
-    if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
+    storeSession(response.data);
+    return response.data;
+  },
+
+  // Finish logging in with a code from the authenticator app or a recovery code
+  verifyTwoFactor: async (interimToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/login', { interimToken, code, recoveryCode });
+    storeSession(response.data);
+    return response.data;
+  },
+
+  // Start setting up two-factor authentication; returns the secret and QR code.
+  // Pass the interim token when the user must enroll before signing in.
+  twoFactorSetup: async (interimToken) => {
+    const response = await api.post('/auth/2fa/setup', { interimToken });
+    return response.data;
+  },
+
+  // Confirm the first code to turn two-factor authentication on
+  twoFactorEnable: async (code, interimToken) => {
+    const response = await api.post('/auth/2fa/enable', { code, interimToken });
+    if (interimToken) {
+      storeSession(response.data);
+    } else {
       localStorage.setItem('user', JSON.stringify(response.data.user));
     }
     return response.data;
   },
 
-  // Logout user
-  logout: () => {
+  // Turn two-factor authentication off
+  twoFactorDisable: async (password, { code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+    localStorage.setItem('user', JSON.stringify(response.data.user));
+    return response.data;
+  },
+
+  // Replace the recovery codes, e.g. after using most of them
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  // External sign-in providers configured on the server
+  getOidcProviders: async () => {
+    const response = await api.get('/auth/oidc');
+    return response.data;
+  },
+
+  // Server URL that starts signing in with an external provider
+  oidcLoginUrl: (providerId, returnTo = '/') =>
+    `${api.defaults.baseURL}/auth/oidc/${providerId}/login?returnTo=${encodeURIComponent(returnTo)}`,
+
+  // Store tokens from an external sign-in and load the user they belong to
+  loginWithTokens: async ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    return authService.refreshCurrentUser();
+  },
+
+  // Forget the stored session without contacting the server
+  clearSession: () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   },
 
+  // Logout user; the session is revoked on the server as well
+  logout: async () => {
+    try {
+      await api.post('/auth/logout');
+    } finally {
+      authService.clearSession();
+    }
+  },
+
+  // Logout of every device
+  logoutAll: async () => {
+    try {
+      await api.post('/auth/logout-all');
+    } finally {
+      authService.clearSession();
+    }
+  },
+
+  // List the active sessions of the current user
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Revoke one session, e.g. a device the user no longer uses
+  revokeSession: async (id) => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  // List personal access tokens and the scopes the user can give them
+  getAccessTokens: async () => {
+    const response = await api.get('/auth/tokens');
+    return response.data;
+  },
+
+  // Create a personal access token; the response holds the token itself, once
+  createAccessToken: async ({ name, scopes, expiresInDays }) => {
+    const response = await api.post('/auth/tokens', { name, scopes, expiresInDays });
+    return response.data;
+  },
+
+  deleteAccessToken: async (id) => {
+    const response = await api.delete(`/auth/tokens/${id}`);
+    return response.data;
+  },
+
+  // Ask for a password reset link by email
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Choose a new password with the token from the reset link
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  // Confirm an email address with the token from the verification link
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    if (localStorage.getItem('token')) {
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+    }
+    return response.data;
+  },
+
+  // Send a new verification link to the signed-in user
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  // Get the current user's full profile
+  getProfile: async () => {
+    const response = await api.get('/auth/me');
+    return response.data;
+  },
+
+  // Update the current user's name, bio or avatar
+  updateProfile: async (profile) => {
+    const response = await api.put('/auth/me', profile);
+    localStorage.setItem('user', JSON.stringify(response.data.user));
+    return response.data;
+  },
+
+  // Ask to change the email address; a confirmation link goes to the new one
+  changeEmail: async (email, password) => {
+    const response = await api.put('/auth/me/email', { email, password });
+    return response.data;
+  },
+
+  // Confirm a new email address with the token from the emailed link
+  confirmEmailChange: async (token) => {
+    const response = await api.post('/auth/confirm-email', { token });
+    if (localStorage.getItem('token')) {
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+    }
+    return response.data;
+  },
+
+  // Change the password; other sessions are signed out
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.put('/auth/me/password', { currentPassword, newPassword });
+    return response.data;
+  },
+
   // Get current user
   getCurrentUser: () => {
     const user = localStorage.getItem('user');
     return user ? JSON.parse(user) : null;
   },
+
+  // Reload the signed-in user's role and permissions from the server
+  refreshCurrentUser: async () => {
+    const response = await api.get('/auth/me');
+    const { _id, name, email, role, avatar, emailVerified, twoFactor, permissions } =
+      response.data.data;
+    const user = {
+      id: _id,
+      name,
+      email,
+      role,
+      avatar,
+      emailVerified,
+      twoFactorEnabled: Boolean(twoFactor?.enabled),
+      permissions,
+    };
+    localStorage.setItem('user', JSON.stringify(user));
+    return user;
+  },
+};
+
+// Site settings API services
+export const settingsService = {
+  // Get the security policy, e.g. which roles must use two-factor authentication
+  getSecurity: async () => {
+    const response = await api.get('/settings/security');
+    return response.data;
+  },
+
+  // Update the security policy
+  updateSecurity: async (settings) => {
+    const response = await api.put('/settings/security', settings);
+    return response.data;
+  },
 };
 
 export default api; 
\ No newline at end of file
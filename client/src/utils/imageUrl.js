@@ -0,0 +1,27 @@
+// imageUrl.js - Resolve uploaded image paths to the right size variant
+
+import api from '../services/api';
+
+// Uploads are served by the API server, not the Vite dev server
+const API_ORIGIN = api.defaults.baseURL.replace(/\/api\/?$/, '');
+
+// Uploaded originals live at /uploads/<folder>/<id>/original.<ext>, next to
+// thumbnail.webp, card.webp and full.webp variants generated by the server
+const UPLOAD_PATTERN = /^(\/uploads\/[^/]+\/[^/]+)\/original\.\w+$/;
+
+export const IMAGE_SIZES = ['thumbnail', 'card', 'full'];
+
+// Get the URL for an image at the given size ('thumbnail', 'card', 'full' or 'original').
+// Anything that isn't a server upload (defaults, external URLs) is returned as-is.
+export const getImageUrl = (imagePath, size = 'original', fallback = '') => {
+  if (!imagePath) return fallback;
+  if (/^(https?:|data:|blob:)/.test(imagePath)) return imagePath;
+
+  const match = imagePath.match(UPLOAD_PATTERN);
+  if (match) {
+    const file = IMAGE_SIZES.includes(size) ? `${size}.webp` : imagePath.split('/').pop();
+    return `${API_ORIGIN}${match[1]}/${file}`;
+  }
+
+  return imagePath.startsWith('/uploads/') ? `${API_ORIGIN}${imagePath}` : `/${imagePath.replace(/^\//, '')}`;
+};
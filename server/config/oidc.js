@@ -0,0 +1,52 @@
+// oidc.js - External OpenID Connect providers users can sign in with
+//
+// OIDC_PROVIDERS lists provider ids, e.g. "google,mock". Each one is configured
+// with OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID, OIDC_<ID>_CLIENT_SECRET and
+// optionally OIDC_<ID>_NAME (button label) and OIDC_<ID>_SCOPES.
+
+const providerFromEnv = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (name) => process.env[`${prefix}${name}`];
+
+  if (!env('ISSUER') || !env('CLIENT_ID')) {
+    throw new Error(`OIDC provider '${id}' needs ${prefix}ISSUER and ${prefix}CLIENT_ID`);
+  }
+
+  return {
+    id,
+    name: env('NAME') || id,
+    issuer: env('ISSUER'),
+    clientId: env('CLIENT_ID'),
+    // Optional: public clients rely on PKCE alone
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES') || 'openid email profile',
+  };
+};
+
+// Configured providers by id, read from the environment on first use
+let providers = null;
+
+const getProviders = () => {
+  if (!providers) {
+    providers = new Map(
+      (process.env.OIDC_PROVIDERS || '')
+        .split(',')
+        .map((id) => id.trim().toLowerCase())
+        .filter(Boolean)
+        .map((id) => [id, providerFromEnv(id)])
+    );
+  }
+  return providers;
+};
+
+const getProvider = (id) => getProviders().get(String(id).toLowerCase()) || null;
+
+// Where providers send users back to; must be registered with each provider
+const callbackUrl = (providerId) =>
+  `${(process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '')}/api/auth/oidc/${providerId}/callback`;
+
+module.exports = {
+  getProviders,
+  getProvider,
+  callbackUrl,
+};
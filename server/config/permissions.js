@@ -0,0 +1,88 @@
+// permissions.js - What each role is allowed to do
+//
+// Routes check permissions, never role names, so adding a role or moving a
+// capability between roles only means editing this map.
+
+const user = ['comments:create'];
+
+const author = [
+  ...user,
+  'posts:create',
+  'posts:update:own',
+  'posts:delete:own',
+  'media:upload',
+];
+
+const editor = [
+  ...author,
+  'posts:update:any',
+  'posts:read:drafts',
+  'categories:manage',
+];
+
+const admin = [
+  ...editor,
+  'posts:delete:any',
+  'comments:delete:any',
+  'comments:moderate',
+  'users:manage',
+  'settings:manage',
+  'audit:read',
+];
+
+const ROLE_PERMISSIONS = {
+  user,
+  author,
+  editor,
+  admin,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Scopes of personal access tokens, and the permissions each one can exercise.
+// A token never grants more than its owner's role allows.
+const TOKEN_SCOPES = {
+  'posts:write': [
+    'posts:create',
+    'posts:update:own',
+    'posts:update:any',
+    'posts:delete:own',
+    'posts:delete:any',
+    'media:upload',
+  ],
+  'comments:write': ['comments:create', 'comments:delete:any'],
+};
+
+// Permissions granted to a role
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Whether a user (or anonymous visitor, when null) has a permission
+const hasPermission = (user, permission) =>
+  Boolean(user) && permissionsFor(user.role).includes(permission);
+
+// Token scopes a role can use, i.e. those covering at least one of its permissions
+const scopesFor = (role) =>
+  Object.keys(TOKEN_SCOPES).filter((scope) =>
+    TOKEN_SCOPES[scope].some((permission) => permissionsFor(role).includes(permission))
+  );
+
+// Whether a user may perform `action` ('update' or 'delete') on a resource,
+// through either the ':any' permission or the ':own' one plus ownership
+const canActOn = (user, resource, action, ownerId) => {
+  if (hasPermission(user, `${resource}:${action}:any`)) return true;
+  return (
+    hasPermission(user, `${resource}:${action}:own`) &&
+    ownerId !== undefined &&
+    String(ownerId._id || ownerId) === user.id
+  );
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  TOKEN_SCOPES,
+  permissionsFor,
+  scopesFor,
+  hasPermission,
+  canActOn,
+};
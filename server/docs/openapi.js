@@ -0,0 +1,1490 @@
+// openapi.js - OpenAPI 3 description of the API
+//
+// Served at /api/docs, checked against requests and responses in development
+// (middleware/openapi.js) and read by scripts/generateApiClient.js, which
+// writes a client service per tag, named by the tag's x-client-service.
+
+const { ROLES, TOKEN_SCOPES } = require('../config/permissions');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+// Successful response: { success: true, ...properties }
+const ok = (description, properties = {}, required = []) => ({
+  description,
+  ...json({
+    type: 'object',
+    required: ['success', ...required],
+    properties: { success: { type: 'boolean', enum: [true] }, ...properties },
+  }),
+});
+
+// { success: true, data: <schema> }
+const okData = (description, schema) => ok(description, { data: schema }, ['data']);
+
+// Lists with page numbers, or cursors when requested with ?cursor=
+const okList = (description, schema) =>
+  ok(
+    description,
+    {
+      count: { type: 'integer' },
+      total: { type: 'integer', description: 'Left out when paging by cursor' },
+      pagination: ref('Pagination'),
+      data: { type: 'array', items: schema },
+    },
+    ['count', 'pagination', 'data']
+  );
+
+const okEmpty = (description) => okData(description, { type: 'object' });
+
+const okMessage = (description) => ok(description, { message: { type: 'string' } }, ['message']);
+
+// Shared error responses in components.responses, by status
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  429: 'TooManyRequests',
+};
+
+// Responses for the given error statuses, plus any other status as an Error
+const errors = (...statuses) => ({
+  ...Object.fromEntries(
+    statuses.map((status) => [
+      status,
+      { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` },
+    ])
+  ),
+  default: { $ref: '#/components/responses/Error' },
+});
+
+const body = (schema, required = true) => ({ required, ...json(schema) });
+
+const object = (properties, required = []) => ({
+  type: 'object',
+  ...(required.length > 0 && { required }),
+  properties,
+});
+
+const pathParam = (name, schema, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema,
+});
+
+const queryParam = (name, schema, description) => ({ name, in: 'query', description, schema });
+
+const idParam = pathParam('id', ref('ObjectId'));
+
+const postIdParam = pathParam('postId', { type: 'string' }, 'Post ID or slug');
+const revisionParam = pathParam('number', { type: 'integer', minimum: 1 }, 'Revision number');
+
+// A single image sent as multipart form data in the given field
+const imageUpload = (field) => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: object({ [field]: { type: 'string', format: 'binary' } }),
+    },
+  },
+});
+
+const bearer = [{ bearerAuth: [] }];
+
+const password = { type: 'string', minLength: 6 };
+const email = { type: 'string', format: 'email' };
+const token = { type: 'string', minLength: 1 };
+const date = { type: 'string', format: 'date-time' };
+
+// Query parameters of lists served by advancedResults
+const listParams = [
+  queryParam('page', { type: 'integer', minimum: 1 }, 'Page number, when paging by page'),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Results per page'),
+  queryParam('cursor', { type: 'string' }, 'Page by cursor; empty for the first page'),
+  queryParam('sort', { type: 'string' }, 'Comma-separated fields, "-" for descending'),
+  queryParam('select', { type: 'string' }, 'Comma-separated fields, or all "-" to leave them out'),
+];
+
+const FILTER_NOTE =
+  'Other parameters filter by field, e.g. `?category=<id>`, `?tags[in]=news,tech` or ' +
+  '`?createdAt[gte]=2024-01-01`, with the operators eq, ne, in, nin, exists, gt, gte, ' +
+  'lt, lte and contains.';
+
+const postFields = {
+  title: { type: 'string', minLength: 1, maxLength: 100 },
+  content: { type: 'string', minLength: 1 },
+  category: ref('ObjectId'),
+  excerpt: { type: 'string', maxLength: 200 },
+  tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+  featuredImage: { type: 'string' },
+  isPublished: { type: 'boolean' },
+  publishAt: { ...date, nullable: true, description: 'Publish later, unless isPublished' },
+};
+
+const categoryFields = {
+  name: { type: 'string', minLength: 1, maxLength: 50 },
+  description: { type: 'string', maxLength: 200 },
+};
+
+const secondFactor = {
+  code: { type: 'string', description: 'Code from the authenticator app' },
+  recoveryCode: { type: 'string' },
+};
+
+// A populated user with the given string fields; null once the user is gone
+const userSummary = (...fields) => ({
+  ...object({
+    _id: ref('ObjectId'),
+    ...Object.fromEntries(fields.map((field) => [field, { type: 'string' }])),
+  }),
+  nullable: true,
+});
+
+const COMMENT_STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+// What a password reset or change ended
+const signedOut = {
+  message: { type: 'string' },
+  revokedSessions: { type: 'integer' },
+  deletedTokens: { type: 'integer', description: 'Personal access tokens deleted' },
+};
+
+const tokens = {
+  token: { type: 'string', description: 'Access token, sent as a bearer token' },
+  refreshToken: { type: 'string' },
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'MERN Blog API',
+    version: '1.0.0',
+    description:
+      'Errors are sent as `{ success: false, error, code }`, with `details` for ' +
+      'problems with particular fields.',
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Posts', 'x-client-service': 'postService' },
+    { name: 'Categories', 'x-client-service': 'categoryService' },
+    { name: 'Comments', 'x-client-service': 'commentService' },
+    { name: 'Revisions', 'x-client-service': 'revisionService' },
+    { name: 'Uploads', 'x-client-service': 'uploadService' },
+    { name: 'Auth', 'x-client-service': 'authService' },
+    { name: 'Users', 'x-client-service': 'userService' },
+    { name: 'Moderation', 'x-client-service': 'moderationService' },
+    { name: 'Audit logs', 'x-client-service': 'auditService' },
+    { name: 'Settings', 'x-client-service': 'settingsService' },
+  ],
+  paths: {
+    '/posts': {
+      get: {
+        tags: ['Posts'],
+        operationId: 'getAllPosts',
+        summary: 'Get all posts',
+        description: `Drafts are only listed for their author and editors. ${FILTER_NOTE}`,
+        security: [{}, ...bearer],
+        parameters: listParams,
+        responses: { 200: okList('Posts', ref('Post')), ...errors(400) },
+      },
+      post: {
+        tags: ['Posts'],
+        operationId: 'createPost',
+        summary: 'Create new post',
+        security: bearer,
+        requestBody: body(object(postFields, ['title', 'content', 'category'])),
+        responses: { 201: okData('Created post', ref('Post')), ...errors(400, 401, 403) },
+      },
+    },
+    '/posts/search': {
+      get: {
+        tags: ['Posts'],
+        operationId: 'searchPosts',
+        summary: 'Search posts by relevance',
+        security: [{}, ...bearer],
+        parameters: [
+          { ...queryParam('q', { type: 'string', minLength: 1 }), required: true },
+          queryParam('category', { type: 'string' }, 'Category ID or slug'),
+          queryParam('tag', { type: 'string' }),
+          queryParam('author', ref('ObjectId')),
+          queryParam('from', date),
+          queryParam('to', date),
+          queryParam('page', { type: 'integer', minimum: 1 }),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: 50 }),
+        ],
+        responses: { 200: okList('Matching posts', ref('SearchResult')), ...errors(400) },
+      },
+    },
+    '/posts/{id}': {
+      get: {
+        tags: ['Posts'],
+        operationId: 'getPost',
+        summary: 'Get single post by ID or slug',
+        description: 'Old slugs of renamed posts redirect to the current one.',
+        security: [{}, ...bearer],
+        parameters: [pathParam('id', { type: 'string' }, 'Post ID or slug')],
+        responses: {
+          200: okData('Post', ref('Post')),
+          301: { description: 'The post was renamed; Location has its current URL' },
+          ...errors(404),
+        },
+      },
+      put: {
+        tags: ['Posts'],
+        operationId: 'updatePost',
+        summary: 'Update post',
+        security: bearer,
+        parameters: [idParam],
+        requestBody: body(object(postFields)),
+        responses: { 200: okData('Updated post', ref('Post')), ...errors(400, 401, 403, 404) },
+      },
+      delete: {
+        tags: ['Posts'],
+        operationId: 'deletePost',
+        summary: 'Delete post',
+        security: bearer,
+        parameters: [idParam],
+        responses: { 200: okEmpty('Post deleted'), ...errors(401, 403, 404) },
+      },
+    },
+    '/posts/{postId}/comments': {
+      get: {
+        tags: ['Comments'],
+        operationId: 'getComments',
+        summary: 'Get comment threads for a post',
+        description: 'Approved top-level comments with all their replies nested under them.',
+        security: [{}, ...bearer],
+        parameters: [
+          postIdParam,
+          queryParam('page', { type: 'integer', minimum: 1 }, 'Page number, when paging by page'),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: 50 }, 'Threads per page'),
+          queryParam('cursor', { type: 'string' }, 'Page by cursor; empty for the first page'),
+          queryParam('sort', { type: 'string', enum: ['newest', 'oldest'] }),
+        ],
+        responses: {
+          200: ok(
+            'Comment threads',
+            {
+              count: { type: 'integer' },
+              total: { type: 'integer' },
+              maxDepth: { type: 'integer', description: 'Deepest reply level allowed' },
+              pagination: ref('Pagination'),
+              data: { type: 'array', items: ref('Comment') },
+            },
+            ['count', 'pagination', 'data']
+          ),
+          ...errors(400, 404),
+        },
+      },
+      post: {
+        tags: ['Comments'],
+        operationId: 'addComment',
+        summary: 'Add a comment, or a reply when parentId is set',
+        description: 'New comments wait for moderation unless the author is trusted.',
+        security: bearer,
+        parameters: [postIdParam],
+        requestBody: body(
+          object(
+            {
+              content: { type: 'string', minLength: 1, maxLength: 2000 },
+              parentId: {
+                type: 'string',
+                nullable: true,
+                description: 'ID of the comment replied to',
+              },
+            },
+            ['content']
+          )
+        ),
+        responses: {
+          201: okData('Created comment', ref('Comment')),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+    },
+    '/posts/{postId}/comments/{id}': {
+      put: {
+        tags: ['Comments'],
+        operationId: 'updateComment',
+        summary: 'Edit a comment',
+        description: 'Edits wait for moderation again unless the author is trusted.',
+        security: bearer,
+        parameters: [postIdParam, idParam],
+        requestBody: body(
+          object({ content: { type: 'string', minLength: 1, maxLength: 2000 } }, ['content'])
+        ),
+        responses: {
+          200: okData('Updated comment', ref('Comment')),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+      delete: {
+        tags: ['Comments'],
+        operationId: 'deleteComment',
+        summary: 'Delete a comment',
+        description: 'Replies are kept; the comment stays in its thread without its content.',
+        security: bearer,
+        parameters: [postIdParam, idParam],
+        responses: {
+          200: okData('Deleted comment', ref('Comment')),
+          ...errors(401, 403, 404),
+        },
+      },
+    },
+    '/posts/{postId}/revisions': {
+      get: {
+        tags: ['Revisions'],
+        operationId: 'getRevisions',
+        summary: 'List revisions of a post, newest first',
+        description: 'Open to users who may edit the post.',
+        security: bearer,
+        parameters: [postIdParam],
+        responses: {
+          200: ok(
+            'Revisions',
+            { count: { type: 'integer' }, data: { type: 'array', items: ref('Revision') } },
+            ['data']
+          ),
+          ...errors(401, 403, 404),
+        },
+      },
+    },
+    '/posts/{postId}/revisions/diff': {
+      get: {
+        tags: ['Revisions'],
+        operationId: 'diffRevisions',
+        summary: 'Word-level diff between two revisions',
+        security: bearer,
+        parameters: [
+          postIdParam,
+          { ...queryParam('from', { type: 'integer', minimum: 1 }), required: true },
+          { ...queryParam('to', { type: 'integer', minimum: 1 }), required: true },
+        ],
+        responses: {
+          200: okData(
+            'Fields that differ',
+            object(
+              {
+                from: { type: 'integer' },
+                to: { type: 'integer' },
+                changes: {
+                  type: 'object',
+                  description: 'Segments of each changed field, by field name',
+                  additionalProperties: { type: 'array', items: ref('DiffSegment') },
+                },
+              },
+              ['from', 'to', 'changes']
+            )
+          ),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+    },
+    '/posts/{postId}/revisions/{number}': {
+      get: {
+        tags: ['Revisions'],
+        operationId: 'getRevision',
+        summary: 'Get the post as it was at a revision',
+        security: bearer,
+        parameters: [postIdParam, revisionParam],
+        responses: {
+          200: okData('Revision', {
+            allOf: [
+              ref('Revision'),
+              object({
+                changes: { type: 'object', description: 'Fields set by this revision' },
+                snapshot: { type: 'object', description: 'Every versioned field at this revision' },
+              }),
+            ],
+          }),
+          ...errors(401, 403, 404),
+        },
+      },
+    },
+    '/posts/{postId}/revisions/{number}/restore': {
+      post: {
+        tags: ['Revisions'],
+        operationId: 'restoreRevision',
+        summary: "Restore a revision's content as a new revision",
+        description: 'Whether and when the post is published is left as it is.',
+        security: bearer,
+        parameters: [postIdParam, revisionParam],
+        responses: {
+          200: ok(
+            'Restored post',
+            {
+              revision: { type: 'integer', description: 'Number of the new revision' },
+              data: ref('Post'),
+            },
+            ['revision', 'data']
+          ),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+    },
+    '/categories': {
+      get: {
+        tags: ['Categories'],
+        operationId: 'getAllCategories',
+        summary: 'Get all categories',
+        description: `Sorted by name, 100 to a page. ${FILTER_NOTE}`,
+        parameters: listParams,
+        responses: { 200: okList('Categories', ref('Category')), ...errors(400) },
+      },
+      post: {
+        tags: ['Categories'],
+        operationId: 'createCategory',
+        summary: 'Create new category',
+        security: bearer,
+        requestBody: body(object(categoryFields, ['name'])),
+        responses: {
+          201: okData('Created category', ref('Category')),
+          ...errors(400, 401, 403, 409),
+        },
+      },
+    },
+    '/categories/{id}': {
+      get: {
+        tags: ['Categories'],
+        operationId: 'getCategory',
+        summary: 'Get single category',
+        parameters: [idParam],
+        responses: { 200: okData('Category', ref('Category')), ...errors(400, 404) },
+      },
+      put: {
+        tags: ['Categories'],
+        operationId: 'updateCategory',
+        summary: 'Update category',
+        security: bearer,
+        parameters: [idParam],
+        requestBody: body(object(categoryFields)),
+        responses: {
+          200: okData('Updated category', ref('Category')),
+          ...errors(400, 401, 403, 404, 409),
+        },
+      },
+      delete: {
+        tags: ['Categories'],
+        operationId: 'deleteCategory',
+        summary: 'Delete category',
+        description: 'Only categories without posts can be deleted.',
+        security: bearer,
+        parameters: [idParam],
+        responses: { 200: okEmpty('Category deleted'), ...errors(400, 401, 403, 404) },
+      },
+    },
+    '/auth/register': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'register',
+        summary: 'Register user',
+        requestBody: body(
+          object(
+            { name: { type: 'string', minLength: 1 }, email, password },
+            ['name', 'email', 'password']
+          )
+        ),
+        responses: {
+          201: { $ref: '#/components/responses/LoginResult' },
+          ...errors(400, 403, 409, 429),
+        },
+      },
+    },
+    '/auth/login': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'login',
+        summary: 'Login user',
+        requestBody: body(
+          object({ email, password: { type: 'string', minLength: 1 } }, ['email', 'password'])
+        ),
+        responses: {
+          200: { $ref: '#/components/responses/LoginResult' },
+          ...errors(400, 401, 403, 429),
+        },
+      },
+    },
+    '/auth/refresh': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'refresh',
+        summary: 'Exchange a refresh token for a new access and refresh token',
+        description:
+          'Each refresh token works once; using an old one again revokes its session. Sessions ' +
+          'of users who must set up two-factor authentication end with TWO_FACTOR_SETUP_REQUIRED.',
+        requestBody: body(object({ refreshToken: token }, ['refreshToken'])),
+        responses: {
+          200: ok('New tokens', tokens, ['token', 'refreshToken']),
+          ...errors(400, 401),
+        },
+      },
+    },
+    '/auth/logout': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'logout',
+        summary: 'Log out of the current session',
+        security: bearer,
+        responses: { 200: okEmpty('Logged out'), ...errors(401) },
+      },
+    },
+    '/auth/logout-all': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'logoutAll',
+        summary: 'Log out of every session, including the current one',
+        security: bearer,
+        responses: {
+          200: ok(
+            'Logged out everywhere',
+            { revoked: { type: 'integer' }, data: { type: 'object' } },
+            ['revoked']
+          ),
+          ...errors(401),
+        },
+      },
+    },
+    '/auth/sessions': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getSessions',
+        summary: "List the current user's active sessions",
+        security: bearer,
+        responses: {
+          200: ok(
+            'Sessions, most recently used first',
+            { count: { type: 'integer' }, data: { type: 'array', items: ref('Session') } },
+            ['data']
+          ),
+          ...errors(401),
+        },
+      },
+    },
+    '/auth/sessions/{id}': {
+      delete: {
+        tags: ['Auth'],
+        operationId: 'revokeSession',
+        summary: "Revoke one of the current user's sessions",
+        security: bearer,
+        parameters: [pathParam('id', { type: 'string' })],
+        responses: { 200: okEmpty('Session revoked'), ...errors(401, 404) },
+      },
+    },
+    '/auth/forgot-password': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'forgotPassword',
+        summary: 'Email a password reset link',
+        description: 'Answers the same whether or not the account exists.',
+        requestBody: body(object({ email }, ['email'])),
+        responses: { 200: okMessage('Reset link sent if the account exists'), ...errors(400) },
+      },
+    },
+    '/auth/reset-password': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'resetPassword',
+        summary: 'Set a new password with a reset token',
+        description: 'Signs the user out of every session and deletes their access tokens.',
+        requestBody: body(object({ token, password }, ['token', 'password'])),
+        responses: { 200: ok('Password reset', signedOut, ['message']), ...errors(400) },
+      },
+    },
+    '/auth/verify-email': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'verifyEmail',
+        summary: 'Confirm an email address with the token from the verification link',
+        requestBody: body(object({ token }, ['token'])),
+        responses: {
+          200: ok('Email address verified', { user: ref('AuthUser') }, ['user']),
+          ...errors(400),
+        },
+      },
+    },
+    '/auth/resend-verification': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'resendVerification',
+        summary: 'Send a new verification link to the current user',
+        security: bearer,
+        responses: { 200: okMessage('Verification link sent'), ...errors(400, 401, 429) },
+      },
+    },
+    '/auth/me': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getProfile',
+        summary: 'Get current user',
+        security: bearer,
+        responses: { 200: okData('Current user', ref('Profile')), ...errors(401) },
+      },
+      put: {
+        tags: ['Auth'],
+        operationId: 'updateProfile',
+        summary: 'Update user profile',
+        description: 'Email and password have their own endpoints; admins manage roles.',
+        security: bearer,
+        requestBody: body(
+          object({
+            name: { type: 'string', minLength: 1, maxLength: 50 },
+            bio: { type: 'string', maxLength: 200 },
+            avatar: { type: 'string', description: 'Path of an uploaded avatar' },
+          })
+        ),
+        responses: {
+          200: ok('Updated profile', { data: ref('Profile'), user: ref('AuthUser') }, [
+            'data',
+            'user',
+          ]),
+          ...errors(400, 401),
+        },
+      },
+    },
+    '/auth/me/email': {
+      put: {
+        tags: ['Auth'],
+        operationId: 'changeEmail',
+        summary: "Start changing the current user's email address",
+        description: 'The change takes effect once the link sent to the new address is followed.',
+        security: bearer,
+        requestBody: body(
+          object({ email, password: { type: 'string', minLength: 1 } }, ['email', 'password'])
+        ),
+        responses: { 200: okMessage('Confirmation link sent'), ...errors(400, 401, 409, 429) },
+      },
+    },
+    '/auth/confirm-email': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'confirmEmailChange',
+        summary: 'Confirm a new email address with the token from the emailed link',
+        requestBody: body(object({ token }, ['token'])),
+        responses: {
+          200: ok('Email address changed', { user: ref('AuthUser') }, ['user']),
+          ...errors(400, 409),
+        },
+      },
+    },
+    '/auth/me/password': {
+      put: {
+        tags: ['Auth'],
+        operationId: 'changePassword',
+        summary: "Change the current user's password",
+        description: 'Signs the user out of every other session and deletes their access tokens.',
+        security: bearer,
+        requestBody: body(
+          object({ currentPassword: { type: 'string', minLength: 1 }, newPassword: password }, [
+            'currentPassword',
+            'newPassword',
+          ])
+        ),
+        responses: {
+          200: ok('Password changed', signedOut, ['message']),
+          ...errors(400, 401, 429),
+        },
+      },
+    },
+    '/auth/2fa/login': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'verifyTwoFactor',
+        summary: 'Finish logging in with a second factor',
+        description: 'Send a code or a recovery code, with the interim token from login.',
+        requestBody: body(object({ interimToken: token, ...secondFactor }, ['interimToken'])),
+        responses: {
+          200: ok(
+            'Logged in',
+            { ...tokens, user: ref('AuthUser'), recoveryCodesLeft: { type: 'integer' } },
+            ['token', 'refreshToken', 'user']
+          ),
+          ...errors(400, 401, 429),
+        },
+      },
+    },
+    '/auth/2fa/setup': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'twoFactorSetup',
+        summary: 'Start enrolling: create a secret and its QR code',
+        description: 'Signed in, or with the interim token from a login that requires enrolling.',
+        security: [{}, ...bearer],
+        requestBody: body(object({ interimToken: token }), false),
+        responses: {
+          200: okData(
+            'New secret',
+            object(
+              {
+                secret: { type: 'string' },
+                otpauthUrl: { type: 'string' },
+                qrCode: { type: 'string', description: 'Data URL of a PNG' },
+              },
+              ['secret', 'otpauthUrl', 'qrCode']
+            )
+          ),
+          ...errors(400, 401),
+        },
+      },
+    },
+    '/auth/2fa/enable': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'twoFactorEnable',
+        summary: 'Finish enrolling by confirming a code from the authenticator app',
+        description: 'Users enrolling while logging in also get their tokens.',
+        security: [{}, ...bearer],
+        requestBody: body(object({ code: token, interimToken: token }, ['code'])),
+        responses: {
+          200: ok(
+            'Two-factor authentication enabled',
+            {
+              recoveryCodes: { type: 'array', items: { type: 'string' } },
+              ...tokens,
+              user: ref('AuthUser'),
+            },
+            ['recoveryCodes', 'user']
+          ),
+          ...errors(400, 401),
+        },
+      },
+    },
+    '/auth/2fa/disable': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'twoFactorDisable',
+        summary: 'Turn two-factor authentication off',
+        security: bearer,
+        requestBody: body(
+          object({ password: { type: 'string', minLength: 1 }, ...secondFactor }, ['password'])
+        ),
+        responses: {
+          200: ok('Two-factor authentication disabled', { user: ref('AuthUser') }, ['user']),
+          ...errors(400, 401, 429),
+        },
+      },
+    },
+    '/auth/2fa/recovery-codes': {
+      post: {
+        tags: ['Auth'],
+        operationId: 'regenerateRecoveryCodes',
+        summary: 'Replace the recovery codes',
+        security: bearer,
+        requestBody: body(object({ code: token }, ['code'])),
+        responses: {
+          200: ok(
+            'New recovery codes',
+            { recoveryCodes: { type: 'array', items: { type: 'string' } } },
+            ['recoveryCodes']
+          ),
+          ...errors(400, 401, 429),
+        },
+      },
+    },
+    '/auth/tokens': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getAccessTokens',
+        summary: "List the current user's tokens and the scopes they can choose from",
+        security: bearer,
+        responses: {
+          200: ok(
+            'Tokens, newest first',
+            {
+              count: { type: 'integer' },
+              scopes: { type: 'array', items: ref('TokenScope') },
+              data: { type: 'array', items: ref('AccessToken') },
+            },
+            ['scopes', 'data']
+          ),
+          ...errors(401),
+        },
+      },
+      post: {
+        tags: ['Auth'],
+        operationId: 'createAccessToken',
+        summary: 'Create a token; the token itself is only returned in this response',
+        security: bearer,
+        requestBody: body(
+          object(
+            {
+              name: { type: 'string', minLength: 1, maxLength: 50 },
+              scopes: { type: 'array', minItems: 1, items: ref('TokenScope') },
+              expiresInDays: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 365,
+                nullable: true,
+                description: 'Never expires when left out',
+              },
+            },
+            ['name', 'scopes']
+          )
+        ),
+        responses: {
+          201: ok('Created token', { token: { type: 'string' }, data: ref('AccessToken') }, [
+            'token',
+            'data',
+          ]),
+          ...errors(400, 401),
+        },
+      },
+    },
+    '/auth/tokens/{id}': {
+      delete: {
+        tags: ['Auth'],
+        operationId: 'deleteAccessToken',
+        summary: 'Delete a token; scripts using it stop working immediately',
+        security: bearer,
+        parameters: [pathParam('id', { type: 'string' })],
+        responses: { 200: okEmpty('Token deleted'), ...errors(401, 404) },
+      },
+    },
+    '/auth/oidc': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getOidcProviders',
+        summary: 'List the providers users can sign in with',
+        responses: {
+          200: ok(
+            'Providers',
+            {
+              count: { type: 'integer' },
+              data: {
+                type: 'array',
+                items: object({ id: { type: 'string' }, name: { type: 'string' } }, [
+                  'id',
+                  'name',
+                ]),
+              },
+            },
+            ['data']
+          ),
+        },
+      },
+    },
+    '/auth/oidc/{provider}/login': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'oidcLogin',
+        summary: 'Redirect to the provider to sign in',
+        description: 'Opened in the browser rather than called by the client.',
+        parameters: [
+          pathParam('provider', { type: 'string' }),
+          queryParam('returnTo', { type: 'string' }, 'Client page to return to'),
+        ],
+        responses: { 302: { description: 'Redirect to the provider' }, ...errors(404) },
+      },
+    },
+    '/auth/oidc/{provider}/callback': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'oidcCallback',
+        summary: 'Where the provider sends the user back to; starts an app session',
+        description:
+          'Redirects to the client with the tokens, or an interim token for two-factor ' +
+          'authentication, in the URL fragment.',
+        parameters: [pathParam('provider', { type: 'string' })],
+        responses: { 302: { description: 'Redirect to the client' }, ...errors(404) },
+      },
+    },
+    '/uploads/images': {
+      post: {
+        tags: ['Uploads'],
+        operationId: 'uploadImage',
+        summary: 'Upload a post featured image',
+        description: 'JPEG, PNG, WebP or GIF, sent in the image field.',
+        security: bearer,
+        requestBody: imageUpload('image'),
+        responses: {
+          201: okData('Image URLs', ref('ImageUrls')),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    '/uploads/avatar': {
+      post: {
+        tags: ['Uploads'],
+        operationId: 'uploadAvatar',
+        summary: "Upload the current user's avatar",
+        description: 'JPEG, PNG, WebP or GIF, sent in the avatar field.',
+        security: bearer,
+        requestBody: imageUpload('avatar'),
+        responses: {
+          201: ok(
+            'Image URLs and the updated user',
+            { data: ref('ImageUrls'), user: ref('AuthUser') },
+            ['data', 'user']
+          ),
+          ...errors(400, 401),
+        },
+      },
+    },
+    '/users': {
+      get: {
+        tags: ['Users'],
+        operationId: 'getUsers',
+        summary: 'List users',
+        description: `?search= matches names and emails. ${FILTER_NOTE}`,
+        security: bearer,
+        parameters: [...listParams, queryParam('search', { type: 'string' })],
+        responses: { 200: okList('Users', ref('User')), ...errors(400, 401, 403) },
+      },
+    },
+    '/users/{id}': {
+      get: {
+        tags: ['Users'],
+        operationId: 'getUser',
+        summary: 'Get a user with their post and comment counts',
+        security: bearer,
+        parameters: [idParam],
+        responses: {
+          200: okData('User', {
+            allOf: [
+              ref('User'),
+              object({
+                counts: object({ posts: { type: 'integer' }, comments: { type: 'integer' } }),
+              }),
+            ],
+          }),
+          ...errors(401, 403, 404),
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        operationId: 'deleteUser',
+        summary: 'Delete a user',
+        description:
+          'Their posts, comments and revisions move to reassignTo, or to a "Deleted user" ' +
+          'placeholder.',
+        security: bearer,
+        parameters: [idParam, queryParam('reassignTo', ref('ObjectId'), 'User to move content to')],
+        responses: {
+          200: okData(
+            'User deleted',
+            object({
+              reassignedTo: object({ id: ref('ObjectId'), name: { type: 'string' } }),
+              posts: { type: 'integer' },
+              comments: { type: 'integer' },
+            })
+          ),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+    },
+    '/users/{id}/role': {
+      put: {
+        tags: ['Users'],
+        operationId: 'updateRole',
+        summary: "Change a user's role",
+        security: bearer,
+        parameters: [idParam],
+        requestBody: body(object({ role: { type: 'string', enum: ROLES } }, ['role'])),
+        responses: { 200: okData('Updated user', ref('AuthUser')), ...errors(400, 401, 403, 404) },
+      },
+    },
+    '/users/{id}/suspend': {
+      post: {
+        tags: ['Users'],
+        operationId: 'suspend',
+        summary: 'Suspend an account; the user is signed out everywhere',
+        security: bearer,
+        parameters: [idParam],
+        requestBody: body(object({ reason: { type: 'string', maxLength: 200 } }), false),
+        responses: {
+          200: ok(
+            'Suspended user',
+            { revokedSessions: { type: 'integer' }, data: ref('AuthUser') },
+            ['data']
+          ),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+    },
+    '/users/{id}/reactivate': {
+      post: {
+        tags: ['Users'],
+        operationId: 'reactivate',
+        summary: 'Reactivate a suspended account',
+        security: bearer,
+        parameters: [idParam],
+        responses: {
+          200: okData('Reactivated user', ref('AuthUser')),
+          ...errors(400, 401, 403, 404),
+        },
+      },
+    },
+    '/users/{id}/unlock': {
+      post: {
+        tags: ['Users'],
+        operationId: 'unlockUser',
+        summary: 'Lift a login lockout on an account',
+        security: bearer,
+        parameters: [idParam],
+        responses: {
+          200: okData('Account unlocked', object({ wasLocked: { type: 'boolean' } })),
+          ...errors(401, 403, 404),
+        },
+      },
+    },
+    '/users/{id}/security-events': {
+      get: {
+        tags: ['Users'],
+        operationId: 'getSecurityEvents',
+        summary: 'Lockout, suspension and role change history of an account, newest first',
+        security: bearer,
+        parameters: [idParam],
+        responses: {
+          200: ok(
+            'Security events',
+            {
+              locked: { type: 'boolean' },
+              retryAfter: { type: 'integer', description: 'Seconds until the lockout ends' },
+              data: { type: 'array', items: ref('SecurityEvent') },
+            },
+            ['locked', 'data']
+          ),
+          ...errors(401, 403, 404),
+        },
+      },
+    },
+    '/moderation/comments': {
+      get: {
+        tags: ['Moderation'],
+        operationId: 'getQueue',
+        summary: 'List comments by moderation status',
+        description: 'Pending comments are listed oldest first, others newest first.',
+        security: bearer,
+        parameters: [
+          queryParam('status', { type: 'string', enum: COMMENT_STATUSES }, 'Default: pending'),
+          queryParam('page', { type: 'integer', minimum: 1 }),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: 100 }),
+        ],
+        responses: { 200: okList('Comments', ref('ModeratedComment')), ...errors(400, 401, 403) },
+      },
+    },
+    '/moderation/comments/bulk': {
+      post: {
+        tags: ['Moderation'],
+        operationId: 'bulkAction',
+        summary: 'Approve, reject, mark as spam or requeue several comments at once',
+        security: bearer,
+        requestBody: body(
+          object(
+            {
+              ids: { type: 'array', minItems: 1, maxItems: 100, items: ref('ObjectId') },
+              action: { type: 'string', enum: ['approve', 'reject', 'spam', 'requeue'] },
+            },
+            ['ids', 'action']
+          )
+        ),
+        responses: {
+          200: okData(
+            'Comments moved',
+            object({
+              status: { type: 'string', enum: COMMENT_STATUSES },
+              updated: { type: 'integer', description: 'Comments that changed status' },
+            })
+          ),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    '/audit-logs': {
+      get: {
+        tags: ['Audit logs'],
+        operationId: 'getLogs',
+        summary: 'Query the audit log',
+        description: `Newest first by default. ${FILTER_NOTE}`,
+        security: bearer,
+        parameters: listParams,
+        responses: { 200: okList('Entries', ref('AuditLog')), ...errors(400, 401, 403) },
+      },
+    },
+    '/audit-logs/export': {
+      get: {
+        tags: ['Audit logs'],
+        operationId: 'exportLogs',
+        summary: 'Download the entries matching the same filters as CSV, newest first',
+        description: FILTER_NOTE,
+        security: bearer,
+        parameters: [
+          queryParam('actor', ref('ObjectId')),
+          queryParam('action', { type: 'string' }),
+        ],
+        responses: {
+          200: { description: 'CSV file', content: { 'text/csv': { schema: { type: 'string' } } } },
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+    '/settings/security': {
+      get: {
+        tags: ['Settings'],
+        operationId: 'getSecurity',
+        summary: 'Get the security policy',
+        security: bearer,
+        responses: { 200: okData('Security policy', ref('SecuritySettings')), ...errors(401, 403) },
+      },
+      put: {
+        tags: ['Settings'],
+        operationId: 'updateSecurity',
+        summary: 'Update the security policy',
+        security: bearer,
+        requestBody: body(
+          object(
+            {
+              twoFactorRequiredRoles: {
+                type: 'array',
+                items: { type: 'string', enum: ROLES },
+                description: 'Roles that must use two-factor authentication',
+              },
+            },
+            ['twoFactorRequiredRoles']
+          )
+        ),
+        responses: {
+          200: okData('Updated security policy', ref('SecuritySettings')),
+          ...errors(400, 401, 403),
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Access token from login, or a personal access token for scripts',
+      },
+    },
+    responses: {
+      LoginResult: ok(
+        'Tokens and the user, or an interim token when a second factor is still needed',
+        {
+          ...tokens,
+          user: ref('AuthUser'),
+          twoFactorRequired: { type: 'boolean', description: 'Continue at /auth/2fa/login' },
+          twoFactorSetupRequired: {
+            type: 'boolean',
+            description: 'Enroll at /auth/2fa/setup before the first session',
+          },
+          interimToken: { type: 'string' },
+        }
+      ),
+      BadRequest: { description: 'Invalid request', ...json(ref('Error')) },
+      Unauthorized: {
+        description: 'Not signed in, or the token is invalid',
+        ...json(ref('Error')),
+      },
+      Forbidden: { description: 'Not allowed', ...json(ref('Error')) },
+      NotFound: { description: 'Not found', ...json(ref('Error')) },
+      Conflict: { description: 'Already exists', ...json(ref('Error')) },
+      TooManyRequests: {
+        description: 'Too many attempts; retry after retryAfter seconds',
+        headers: { 'Retry-After': { schema: { type: 'integer' } } },
+        ...json(ref('Error')),
+      },
+      Error: { description: 'Error', ...json(ref('Error')) },
+    },
+    schemas: {
+      ObjectId: { type: 'string', pattern: '^[a-fA-F0-9]{24}$' },
+      Error: object(
+        {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' },
+          code: { type: 'string', example: 'VALIDATION_FAILED' },
+          details: {
+            type: 'array',
+            items: object(
+              {
+                field: { type: 'string' },
+                message: { type: 'string' },
+                location: { type: 'string' },
+              },
+              ['message']
+            ),
+          },
+          retryAfter: { type: 'integer', description: 'Seconds to wait, for 429 errors' },
+        },
+        ['success', 'error', 'code']
+      ),
+      PageLink: object({
+        page: { type: 'integer' },
+        cursor: { type: 'string' },
+        limit: { type: 'integer' },
+      }),
+      Pagination: object({
+        currentPage: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        limit: { type: 'integer' },
+        next: ref('PageLink'),
+        previous: ref('PageLink'),
+      }),
+      Post: object(
+        {
+          _id: ref('ObjectId'),
+          title: { type: 'string' },
+          slug: { type: 'string' },
+          previousSlugs: { type: 'array', items: { type: 'string' } },
+          content: { type: 'string', description: 'Markdown' },
+          contentHtml: { type: 'string', description: 'Rendered content; left out of lists' },
+          toc: {
+            type: 'array',
+            description: 'Headings of the content; left out of lists',
+            items: object({
+              level: { type: 'integer' },
+              text: { type: 'string' },
+              id: { type: 'string' },
+            }),
+          },
+          wordCount: { type: 'integer' },
+          readingTime: { type: 'integer', description: 'Minutes' },
+          excerpt: { type: 'string' },
+          featuredImage: { type: 'string' },
+          author: {
+            anyOf: [
+              ref('ObjectId'),
+              object({
+                _id: ref('ObjectId'),
+                name: { type: 'string' },
+                email: { type: 'string' },
+                avatar: { type: 'string' },
+              }),
+            ],
+          },
+          category: {
+            anyOf: [
+              ref('ObjectId'),
+              object({ _id: ref('ObjectId'), name: { type: 'string' }, slug: { type: 'string' } }),
+            ],
+          },
+          tags: { type: 'array', items: { type: 'string' } },
+          isPublished: { type: 'boolean' },
+          publishAt: { ...date, nullable: true },
+          publishedAt: date,
+          viewCount: { type: 'integer' },
+          createdAt: date,
+          updatedAt: date,
+        },
+        ['_id']
+      ),
+      SearchResult: {
+        allOf: [
+          ref('Post'),
+          object({
+            highlights: object({
+              title: { type: 'string', description: 'Title with matches in <mark>' },
+              snippet: { type: 'string', description: 'Matching text with matches in <mark>' },
+            }),
+          }),
+        ],
+      },
+      Category: object(
+        {
+          _id: ref('ObjectId'),
+          name: { type: 'string' },
+          slug: { type: 'string' },
+          description: { type: 'string' },
+          postCount: { type: 'integer' },
+          createdAt: date,
+        },
+        ['_id', 'name']
+      ),
+      // The signed-in user as kept by the client
+      AuthUser: object(
+        {
+          id: ref('ObjectId'),
+          name: { type: 'string' },
+          email: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          avatar: { type: 'string' },
+          emailVerified: { type: 'boolean' },
+          twoFactorEnabled: { type: 'boolean' },
+          permissions: { type: 'array', items: { type: 'string' } },
+        },
+        ['id', 'name', 'email', 'role', 'permissions']
+      ),
+      Profile: object(
+        {
+          _id: ref('ObjectId'),
+          name: { type: 'string' },
+          email: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          avatar: { type: 'string' },
+          bio: { type: 'string' },
+          emailVerified: { type: 'boolean' },
+          permissions: { type: 'array', items: { type: 'string' } },
+          createdAt: date,
+        },
+        ['_id', 'name', 'email', 'role']
+      ),
+      Session: object(
+        {
+          _id: ref('ObjectId'),
+          device: { type: 'string' },
+          userAgent: { type: 'string' },
+          ip: { type: 'string' },
+          createdAt: date,
+          lastUsedAt: date,
+          expiresAt: date,
+          current: { type: 'boolean', description: 'Whether this request came from it' },
+        },
+        ['_id', 'current']
+      ),
+      TokenScope: { type: 'string', enum: Object.keys(TOKEN_SCOPES) },
+      AccessToken: object(
+        {
+          _id: ref('ObjectId'),
+          name: { type: 'string' },
+          hint: { type: 'string', description: 'Start of the token' },
+          scopes: { type: 'array', items: ref('TokenScope') },
+          expiresAt: date,
+          lastUsedAt: date,
+          lastUsedIp: { type: 'string' },
+          createdAt: date,
+        },
+        ['_id', 'name', 'scopes']
+      ),
+      Comment: object(
+        {
+          _id: ref('ObjectId'),
+          post: {
+            anyOf: [
+              ref('ObjectId'),
+              object({ _id: ref('ObjectId'), title: { type: 'string' }, slug: { type: 'string' } }),
+            ],
+          },
+          user: { ...userSummary('name', 'avatar'), description: 'Null once deleted' },
+          content: { type: 'string', nullable: true, description: 'Null once deleted' },
+          parent: { type: 'string', nullable: true, description: 'ID of the comment replied to' },
+          root: { type: 'string', nullable: true, description: 'ID of the top-level comment' },
+          depth: { type: 'integer' },
+          status: { type: 'string', enum: COMMENT_STATUSES },
+          editedAt: date,
+          isDeleted: { type: 'boolean' },
+          deletedAt: date,
+          createdAt: date,
+          updatedAt: date,
+          replies: { type: 'array', items: ref('Comment'), description: 'Only in threads' },
+        },
+        ['_id']
+      ),
+      // Comments as moderators see them, with the author's email and trust
+      ModeratedComment: {
+        allOf: [
+          ref('Comment'),
+          object({
+            spamScore: { type: 'number' },
+            spamReasons: { type: 'array', items: { type: 'string' } },
+            moderatedAt: date,
+          }),
+        ],
+      },
+      Revision: object(
+        {
+          _id: ref('ObjectId'),
+          post: ref('ObjectId'),
+          number: { type: 'integer' },
+          editor: userSummary('name', 'email'),
+          changedFields: { type: 'array', items: { type: 'string' } },
+          restoredFrom: { type: 'integer', description: 'Revision this one restored' },
+          createdAt: date,
+        },
+        ['_id', 'number']
+      ),
+      DiffSegment: object(
+        {
+          value: { type: 'string' },
+          type: { type: 'string', enum: ['added', 'removed', 'unchanged'] },
+        },
+        ['value', 'type']
+      ),
+      ImageUrls: object(
+        {
+          original: { type: 'string' },
+          thumbnail: { type: 'string', description: '150x150 WebP' },
+          card: { type: 'string', description: '600x338 WebP' },
+          full: { type: 'string', description: 'Up to 1600 wide, WebP' },
+        },
+        ['original']
+      ),
+      // Accounts as admins see them
+      User: object(
+        {
+          _id: ref('ObjectId'),
+          name: { type: 'string' },
+          email: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          avatar: { type: 'string' },
+          bio: { type: 'string' },
+          emailVerified: { type: 'boolean' },
+          twoFactor: object({ enabled: { type: 'boolean' }, enabledAt: date }),
+          identities: {
+            type: 'array',
+            items: object({
+              provider: { type: 'string' },
+              subject: { type: 'string' },
+              linkedAt: date,
+            }),
+          },
+          suspended: { type: 'boolean' },
+          suspendedAt: date,
+          suspendedReason: { type: 'string' },
+          approvedComments: { type: 'integer' },
+          isPlaceholder: { type: 'boolean', description: 'The "Deleted user" placeholder' },
+          createdAt: date,
+          updatedAt: date,
+        },
+        ['_id']
+      ),
+      SecurityEvent: object(
+        {
+          type: {
+            type: 'string',
+            enum: ['lockout', 'unlock', 'suspend', 'reactivate', 'role-change'],
+          },
+          reason: { type: 'string' },
+          ip: { type: 'string' },
+          by: { ...userSummary('name', 'email'), description: 'Admin who did it' },
+          at: date,
+        },
+        ['type']
+      ),
+      AuditLog: object(
+        {
+          _id: ref('ObjectId'),
+          actor: {
+            ...userSummary('name', 'email'),
+            description: 'Null for anonymous requests and deleted users',
+          },
+          actorEmail: { type: 'string' },
+          action: { type: 'string', example: 'post.update' },
+          target: object({
+            type: { type: 'string' },
+            id: ref('ObjectId'),
+            label: { type: 'string' },
+          }),
+          before: { description: 'Changed fields before' },
+          after: { description: 'Changed fields after' },
+          ip: { type: 'string' },
+          userAgent: { type: 'string' },
+          accessToken: ref('ObjectId'),
+          createdAt: date,
+        },
+        ['_id']
+      ),
+      SecuritySettings: object(
+        {
+          twoFactorRequiredRoles: { type: 'array', items: { type: 'string', enum: ROLES } },
+          roles: { type: 'array', items: { type: 'string' }, description: 'Every role' },
+        },
+        ['twoFactorRequiredRoles', 'roles']
+      ),
+    },
+  },
+};
@@ -1,58 +1,258 @@
 // advancedResults.js - Advanced query results middleware
 
-const advancedResults = (model, populate) => async (req, res, next) => {
-  let query;
+const mongoose = require('mongoose');
+const escapeRegex = require('../utils/escapeRegex');
+const { paginateByCursor } = require('../utils/cursorPagination');
+const { BadRequestError } = require('../utils/errors');
 
-  // Copy req.query
-  const reqQuery = { ...req.query };
+// Query parameters that control the query rather than filter it
+const RESERVED_PARAMS = ['select', 'sort', 'page', 'limit', 'cursor', 'search'];
 
-  // Fields to exclude
-  const removeFields = ['select', 'sort', 'page', 'limit'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
 
-  // Remove fields from reqQuery
-  removeFields.forEach((param) => delete reqQuery[param]);
+// Operators that can follow a field name, e.g. ?createdAt[gte]=2024-01-01,
+// and the field types each one applies to (all types when not listed)
+const OPERATORS = {
+  eq: null,
+  ne: null,
+  in: null,
+  nin: null,
+  exists: null,
+  gt: ['Number', 'Date'],
+  gte: ['Number', 'Date'],
+  lt: ['Number', 'Date'],
+  lte: ['Number', 'Date'],
+  contains: ['String'],
+};
+
+// Turns a query string value into the type stored in the field, or returns
+// undefined when it isn't a valid value of that type
+const CASTS = {
+  String: (value) => value,
+  ObjectId: (value) => (mongoose.isValidObjectId(value) ? value : undefined),
+  Boolean: (value) => ({ true: true, false: false })[value],
+  Number: (value) => {
+    const number = value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  Date: (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  },
+};
+
+const queryError = (message) => new BadRequestError(message, 'INVALID_QUERY');
 
-  // Create query string
-  let queryStr = JSON.stringify(reqQuery);
+// The type a query value is cast to; arrays use the type of their items
+const fieldType = (model, field) => {
+  const path = model.schema.path(field);
+  if (!path) return null;
+  return path.$isMongooseArray ? path.caster.instance : path.instance;
+};
 
-  // Create operators ($gt, $gte, etc.)
-  queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, (match) => `$${match}`);
+// Fields hidden from queries, such as password hashes, can never be used
+const isHidden = (model, field) => {
+  const path = model.schema.path(field);
+  return Boolean(path && path.options.select === false);
+};
 
-  // Finding resource
-  query = model.find(JSON.parse(queryStr));
+const castValue = (field, type, value) => {
+  if (typeof value !== 'string') {
+    throw queryError(`Invalid value for '${field}'`);
+  }
+  const cast = CASTS[type](value);
+  if (cast === undefined) {
+    const typeName = type === 'ObjectId' ? 'ID' : type.toLowerCase();
+    throw queryError(`Invalid ${typeName} '${value}' for '${field}'`);
+  }
+  return cast;
+};
 
-  // Select Fields
-  if (req.query.select) {
-    const fields = req.query.select.split(',').join(' ');
-    query = query.select(fields);
+// One "field[op]=value" pair as a MongoDB condition
+const buildCondition = (field, type, operator, value) => {
+  if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+    throw queryError(`Unknown operator '${operator}' for field '${field}'`);
+  }
+  const types = OPERATORS[operator];
+  if (types && !types.includes(type)) {
+    throw queryError(`Operator '${operator}' can't be used on field '${field}'`);
   }
 
-  // Sort
-  if (req.query.sort) {
-    const sortBy = req.query.sort.split(',').join(' ');
-    query = query.sort(sortBy);
-  } else {
-    query = query.sort('-createdAt');
+  switch (operator) {
+    case 'in':
+    case 'nin': {
+      const values = Array.isArray(value) ? value : String(value).split(',');
+      return { [`$${operator}`]: values.map((item) => castValue(field, type, item)) };
+    }
+    case 'exists':
+      if (value !== 'true' && value !== 'false') {
+        throw queryError(`'${field}[exists]' must be true or false`);
+      }
+      return { $exists: value === 'true' };
+    case 'contains':
+      return {
+        $regex: escapeRegex(castValue(field, type, value)),
+        $options: 'i',
+      };
+    default:
+      if (Array.isArray(value)) {
+        throw queryError(
+          `'${field}' was given more than once; use '${field}[in]' to match any of several values`
+        );
+      }
+      return { [`$${operator}`]: castValue(field, type, value) };
   }
+};
 
-  // Pagination
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  const total = await model.countDocuments(JSON.parse(queryStr));
+// Build the MongoDB filter for a request's query string, e.g.
+// ?role=admin&createdAt[gte]=2024-01-01&title[contains]=react&search=jane
+//
+// Only the model's FILTERABLE_FIELDS can be filtered on. Throws a
+// BadRequestError naming any unknown field, operator or invalid value.
+//
+// Options:
+//   searchFields - fields matched case-insensitively by ?search=text
+//   params       - extra query parameters the route handles itself
+const buildFilter = (model, reqQueryParams, options = {}) => {
+  const ignored = [...RESERVED_PARAMS, ...(options.params || [])];
+  const filterable = model.FILTERABLE_FIELDS || [];
+  const filter = {};
+
+  Object.entries(reqQueryParams).forEach(([field, value]) => {
+    if (ignored.includes(field)) return;
+
+    const type = fieldType(model, field);
+    if (!filterable.includes(field) || !type || !CASTS[type] || isHidden(model, field)) {
+      throw queryError(`Unknown filter field '${field}'`);
+    }
+
+    // A plain value (or repeated values) means equality; an object holds operators
+    const operators =
+      value && typeof value === 'object' && !Array.isArray(value) ? value : { eq: value };
+
+    const conditions = Object.entries(operators).map(([operator, operand]) =>
+      buildCondition(field, type, operator, operand)
+    );
+    filter[field] = Object.assign({}, ...conditions);
+  });
+
+  // Text search across the configured fields
+  const { search } = reqQueryParams;
+  if (options.searchFields && typeof search === 'string' && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = options.searchFields.map((field) => ({ [field]: pattern }));
+  }
+
+  return filter;
+};
+
+// ?sort=name,-createdAt as a Mongoose sort string, limited to SORTABLE_FIELDS
+const buildSort = (model, sort, defaultSort = '-createdAt') => {
+  if (sort === undefined || sort === '') return defaultSort;
+  if (typeof sort !== 'string') throw queryError('Sort must be a comma-separated list of fields');
+
+  const sortable = model.SORTABLE_FIELDS || [];
+  return sort
+    .split(',')
+    .map((entry) => {
+      const field = entry.trim().replace(/^-/, '');
+      if (!sortable.includes(field)) {
+        throw queryError(`Unknown sort field '${field}'`);
+      }
+      return entry.trim();
+    })
+    .join(' ');
+};
+
+// ?select=title,slug (or -content) as a Mongoose projection; hidden fields
+// can't be selected
+const buildSelect = (model, select) => {
+  if (typeof select !== 'string') {
+    throw queryError('Select must be a comma-separated list of fields');
+  }
+
+  const fields = select
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  fields.forEach((field) => {
+    const name = field.replace(/^-/, '');
+    if (!model.schema.path(name) || isHidden(model, name)) {
+      throw queryError(`Unknown select field '${field}'`);
+    }
+  });
+
+  // MongoDB can't both include and exclude fields in one projection
+  const excluded = fields.filter((field) => field.startsWith('-'));
+  if (excluded.length > 0 && excluded.length < fields.length) {
+    throw queryError('Select fields must all be included or all be excluded (with -)');
+  }
+
+  return fields.join(' ');
+};
+
+// A projection that still returns _id and the sort fields, which cursors are
+// made from: an inclusion list gains them and an exclusion list loses them
+const keepSortFields = (projection, sort) => {
+  const fields = projection.split(' ').filter(Boolean);
+  if (fields.length === 0) return projection;
 
-  query = query.skip(startIndex).limit(limit);
+  const keep = ['_id', ...sort.split(' ').map((field) => field.replace(/^-/, ''))];
+  if (fields.some((field) => field.startsWith('-'))) {
+    return fields.filter((field) => !keep.includes(field.slice(1))).join(' ');
+  }
+  return [...new Set([...fields, ...keep])].join(' ');
+};
 
-  if (populate) {
-    query = query.populate(populate);
+// Strings from the query, or numbers once the development request validator
+// (middleware/openapi.js) has converted them
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!['string', 'number'].includes(typeof value) || !Number.isInteger(number) || number < 1) {
+    throw queryError(`${name} must be a positive integer`);
   }
+  return number;
+};
+
+// Route filters such as post visibility are combined with the client's filter
+// rather than merged, so neither can override the other's conditions
+const combineFilters = (base, filter) => {
+  if (!base || Object.keys(base).length === 0) return filter;
+  if (Object.keys(filter).length === 0) return base;
+  return { $and: [base, filter] };
+};
+
+// RFC 5988 Link header from [rel, params] pairs, each a copy of the request
+// URL with its query string updated by params
+const linkHeader = (req, links) =>
+  links
+    .map(([rel, params]) => {
+      const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+      Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+      return `<${url}>; rel="${rel}"`;
+    })
+    .join(', ');
+
+// One page by number, with the total count and first, previous, next and last links
+const pageResults = async (req, res, model, filter, query, limit) => {
+  const page = parsePositiveInt(req.query.page, 'Page', 1);
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = await model.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
 
   // Executing query
-  const results = await query;
+  const results = await query.skip(startIndex).limit(limit);
 
   // Pagination result
-  const pagination = {};
+  const pagination = {
+    currentPage: page,
+    totalPages,
+    limit,
+  };
 
   if (endIndex < total) {
     pagination.next = {
@@ -68,14 +268,91 @@ const advancedResults = (model, populate) => async (req, res, next) => {
     };
   }
 
-  res.advancedResults = {
-    success: true,
-    count: results.length,
-    pagination,
-    data: results,
-  };
+  const links = [['first', { page: 1, limit }]];
+  if (pagination.previous) links.push(['prev', { page: page - 1, limit }]);
+  if (pagination.next) links.push(['next', { page: page + 1, limit }]);
+  links.push(['last', { page: Math.max(totalPages, 1), limit }]);
+  res.set('Link', linkHeader(req, links));
+
+  return { count: results.length, total, pagination, data: results };
+};
+
+// One page after (or before) a cursor, with next and prev links
+const cursorResults = async (req, res, query, sort, limit) => {
+  const { cursor } = req.query;
+  if (typeof cursor !== 'string') throw queryError('Invalid cursor');
+  if (req.query.page !== undefined) throw queryError('Use either page or cursor, not both');
+
+  const { results, pagination } = await paginateByCursor(query, { sort, limit, cursor });
+
+  const links = [];
+  if (pagination.previous) links.push(['prev', { cursor: pagination.previous.cursor, limit }]);
+  if (pagination.next) links.push(['next', { cursor: pagination.next.cursor, limit }]);
+  if (links.length > 0) res.set('Link', linkHeader(req, links));
+
+  return { count: results.length, pagination, data: results };
+};
+
+// Paginated, filtered and sorted list of a model for the route to send as
+// res.advancedResults. populate is anything Query#populate() accepts.
+//
+// Pages are numbered (?page=2) by default. Sending ?cursor= switches to cursor
+// pagination: an empty cursor starts at the beginning, and each response has
+// the cursors for the next and previous pages. Cursors need a single sort field.
+//
+// Options (plus those of buildFilter):
+//   baseFilter   - (req) => filter every result must also match
+//   select       - projection used when the client doesn't send ?select=
+//   defaultSort  - sort used when the client doesn't send ?sort=
+//   defaultLimit - page size used when the client doesn't send ?limit=
+const advancedResults = (model, populate, options = {}) => async (req, res, next) => {
+  try {
+    let query;
+
+    const filter = combineFilters(
+      options.baseFilter && options.baseFilter(req),
+      buildFilter(model, req.query, options)
+    );
+
+    // Finding resource
+    query = model.find(filter);
+
+    const sort = buildSort(model, req.query.sort, options.defaultSort);
+
+    // Select Fields
+    if (req.query.select !== undefined) {
+      query = query.select(keepSortFields(buildSelect(model, req.query.select), sort));
+    } else if (options.select) {
+      query = query.select(keepSortFields(options.select, sort));
+    }
+
+    if (populate) {
+      query = query.populate(populate);
+    }
+
+    const limit = Math.min(
+      parsePositiveInt(req.query.limit, 'Limit', options.defaultLimit || DEFAULT_LIMIT),
+      MAX_LIMIT
+    );
+
+    const results =
+      req.query.cursor !== undefined
+        ? await cursorResults(req, res, query, sort, limit)
+        : await pageResults(req, res, model, filter, query.sort(sort), limit);
+
+    res.advancedResults = {
+      success: true,
+      ...results,
+    };
+  } catch (err) {
+    return next(err);
+  }
 
   next();
 };
 
-module.exports = advancedResults;
\ No newline at end of file
+module.exports = advancedResults;
+module.exports.buildFilter = buildFilter;
+module.exports.buildSort = buildSort;
+module.exports.buildSelect = buildSelect;
+module.exports.keepSortFields = keepSortFields;
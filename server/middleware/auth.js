@@ -2,6 +2,65 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const { hasPermission } = require('../config/permissions');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Resolve the user behind a personal access token, enforcing the scope the
+// route allows tokens for (see allowAccessToken)
+const authenticateAccessToken = async (token, req) => {
+  const accessToken = await AccessToken.findByToken(token);
+  if (!accessToken) {
+    throw new Error('Access token is invalid or expired');
+  }
+
+  if (!req.accessTokenScope) {
+    throw new ForbiddenError('Access tokens cannot be used for this route', 'TOKEN_NOT_ALLOWED');
+  }
+  if (!accessToken.hasScope(req.accessTokenScope)) {
+    throw new ForbiddenError(
+      `Access token is missing the '${req.accessTokenScope}' scope`,
+      'INSUFFICIENT_SCOPE'
+    );
+  }
+
+  await accessToken.touch(req.ip);
+  return { user: await User.findById(accessToken.user).select('-password'), accessToken };
+};
+
+// Resolve the user and session behind a Bearer token: an access JWT, or a
+// personal access token. Throws if the token is invalid or expired, if its
+// session has been revoked, or with a ForbiddenError if the account is
+// suspended or a personal access token isn't allowed here.
+const authenticate = async (token, req) => {
+  let user;
+  let session;
+  let accessToken;
+
+  if (AccessToken.isAccessToken(token)) {
+    ({ user, accessToken } = await authenticateAccessToken(token, req));
+  } else {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    session = decoded.sid && (await Session.findById(decoded.sid));
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      throw new Error('Session is no longer active');
+    }
+
+    user = await User.findById(decoded.id).select('-password');
+  }
+
+  if (!user) {
+    throw new Error('User no longer exists');
+  }
+
+  if (user.isSuspended()) {
+    throw new ForbiddenError('Your account has been suspended', 'ACCOUNT_SUSPENDED');
+  }
+
+  return { user, session, accessToken };
+};
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -16,38 +75,70 @@ exports.protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      next();
+      // Verify token and its session, and get the user
+      const { user, session, accessToken } = await authenticate(token, req);
+      req.user = user;
+      req.authSession = session;
+      req.accessToken = accessToken;
     } catch (err) {
-      return res.status(401).json({
-        success: false,
-        error: 'Not authorized to access this route',
-      });
+      if (err instanceof ForbiddenError) {
+        return next(err);
+      }
+      return next(new UnauthorizedError('Not authorized to access this route'));
     }
+
+    return next();
   }
 
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized, no token provided',
-    });
+    return next(new UnauthorizedError('Not authorized, no token provided'));
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
+// Identify the user if a valid token is sent, but let anonymous requests through
+exports.optionalAuth = async (req, res, next) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const { user, session, accessToken } = await authenticate(token, req);
+      req.user = user;
+      req.authSession = session;
+      req.accessToken = accessToken;
+    } catch (err) {
+      // Treat an invalid or expired token as an anonymous request
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
+// Let personal access tokens with `scope` authenticate the route. Use before
+// protect or optionalAuth; routes without it only accept signed-in sessions.
+exports.allowAccessToken = (scope) => (req, res, next) => {
+  req.accessTokenScope = scope;
+  next();
+};
+
+// Grant access to users holding any of the given permissions
+exports.requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: `User role '${req.user.role}' is not authorized to access this route`,
-      });
+    if (!permissions.some((permission) => hasPermission(req.user, permission))) {
+      return next(
+        new ForbiddenError(`User role '${req.user.role}' is not authorized to access this route`)
+      );
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Block users who haven't confirmed their email address. Use after protect.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified()) {
+    return next(new ForbiddenError('Please verify your email address first', 'EMAIL_NOT_VERIFIED'));
+  }
+  next();
+};
@@ -0,0 +1,117 @@
+// errorHandler.js - Sends errors in the API's JSON error format
+
+const mongoose = require('mongoose');
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require('../utils/errors');
+
+// Codes for errors that only carry a statusCode, such as body-parser's
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+};
+
+// Turn Mongoose, MongoDB and body-parser errors into AppErrors; anything
+// unexpected becomes a 500 that doesn't reveal its message
+const translate = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.CastError) {
+    const isId = err.kind === 'ObjectId';
+    const message = isId ? `'${err.value}' is not a valid ID` : `Invalid value for '${err.path}'`;
+    return new BadRequestError(message, isId ? 'INVALID_ID' : 'INVALID_VALUE', [
+      { field: err.path, message },
+    ]);
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      Object.values(err.errors).map((fieldError) => ({
+        field: fieldError.path,
+        message:
+          fieldError instanceof mongoose.Error.CastError
+            ? `Invalid value for '${fieldError.path}'`
+            : fieldError.message,
+        location: 'body',
+      }))
+    );
+  }
+
+  // Unique index violation
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    const field = fields[0] || 'value';
+    return new ConflictError(
+      `A record with this ${field} already exists`,
+      'DUPLICATE_KEY',
+      fields.map((name) => ({ field: name, message: `This ${name} is already in use` }))
+    );
+  }
+
+  // Requests and responses that don't match the OpenAPI document (development only);
+  // paths look like "/body/title" or "/query/limit"
+  if (Array.isArray(err.errors) && err.errors.length > 0 && [400, 500].includes(err.status)) {
+    const details = err.errors.map(({ path, message }) => {
+      const [, location, ...rest] = String(path).split(/[/.]/);
+      const field = rest.join('.') || location;
+      return {
+        field,
+        message: /^must have required property/.test(message)
+          ? `${field} is required`
+          : `${field} ${message}`,
+        location,
+      };
+    });
+    return err.status === 400
+      ? new ValidationError(details)
+      : new AppError(err.message, 500, 'INVALID_RESPONSE', details);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('The request body is not valid JSON', 'INVALID_JSON');
+  }
+
+  // Errors raised the older way, with a statusCode (or body-parser's status)
+  const statusCode = err.statusCode || err.status;
+  if (statusCode >= 400 && statusCode < 500) {
+    return new AppError(err.message, statusCode, STATUS_CODES[statusCode] || 'ERROR');
+  }
+
+  return new AppError('Server Error');
+};
+
+// Requests for API routes that don't exist
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`, 'ROUTE_NOT_FOUND'));
+};
+
+exports.errorHandler = (err, req, res, next) => {
+  const error = translate(err);
+
+  if (error.statusCode >= 500) {
+    console.error(err.stack);
+  }
+
+  const body = {
+    success: false,
+    error: error.message,
+    code: error.code,
+  };
+  if (error.details) body.details = error.details;
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    body.retryAfter = error.retryAfter;
+  }
+
+  res.status(error.statusCode).json(body);
+};
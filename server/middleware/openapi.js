@@ -0,0 +1,47 @@
+// openapi.js - API docs, and checking requests and responses against them
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const OpenApiValidator = require('express-openapi-validator');
+const spec = require('../docs/openapi');
+
+// Interactive viewer at /api/docs and the document itself at /api/docs/openapi.json
+const docs = express.Router();
+docs.get('/openapi.json', (req, res) => res.json(spec));
+docs.use(
+  '/',
+  swaggerUi.serve,
+  swaggerUi.setup(spec, {
+    customSiteTitle: 'MERN Blog API',
+    swaggerOptions: { persistAuthorization: true },
+  })
+);
+
+// Responses are checked as the client will see them, so Mongoose documents,
+// ObjectIds and Dates are turned into plain JSON before they reach the validator
+const sendPlainJson = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(body === undefined ? body : JSON.parse(JSON.stringify(body)));
+  next();
+};
+
+// Rejects requests that don't match the document and fails responses that
+// don't either. Routes the document doesn't describe are left alone, and
+// tests/openapi.test.js fails if a mounted route isn't described.
+const validate = () => [
+  ...OpenApiValidator.middleware({
+    // The validator adds to the document it is given
+    apiSpec: JSON.parse(JSON.stringify(spec)),
+    validateApiSpec: true,
+    validateRequests: { allowUnknownQueryParameters: true },
+    validateResponses: true,
+    // protect() and allowAccessToken() check credentials
+    validateSecurity: false,
+    // Upload routes read their files with their own multer (middleware/upload.js)
+    fileUploader: false,
+    ignoreUndocumented: true,
+  }),
+  sendPlainJson,
+];
+
+module.exports = { docs, validate };
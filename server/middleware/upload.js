@@ -0,0 +1,58 @@
+// upload.js - Multipart image upload middleware
+
+const multer = require('multer');
+const { BadRequestError } = require('../utils/errors');
+
+// Image types accepted for featured images and avatars
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Maximum upload size in bytes (default 5 MB)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 5 * 1024 * 1024;
+
+// Keep the file in memory so it can be validated and resized before anything is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(
+        new BadRequestError(
+          `Unsupported file type '${file.mimetype}'. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`,
+          'UNSUPPORTED_FILE_TYPE'
+        )
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Accept a single image from the given form field, turning multer errors into 400 responses
+exports.uploadImage = (fieldName = 'image') => (req, res, next) => {
+  upload.single(fieldName)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === 'LIMIT_FILE_SIZE'
+          ? `File is too large. Maximum size is ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB`
+          : err.message;
+      return next(new BadRequestError(message, 'INVALID_UPLOAD'));
+    }
+
+    if (err) {
+      return next(err);
+    }
+
+    if (!req.file) {
+      return next(
+        new BadRequestError(`Please upload an image in the '${fieldName}' field`, 'FILE_REQUIRED')
+      );
+    }
+
+    next();
+  });
+};
+
+exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
+exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
@@ -0,0 +1,103 @@
+// AccessToken.js - Mongoose model for personal access tokens used by scripts
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { TOKEN_SCOPES } = require('../config/permissions');
+
+// Tokens look like "pat_<secret>" so they can't be mistaken for access JWTs
+const TOKEN_PREFIX = 'pat_';
+
+// How often lastUsedAt is written, so busy scripts don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Tokens are stored as SHA-256 hashes, never in plain text
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const AccessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a token name'],
+      trim: true,
+      maxlength: [50, 'Token name cannot be more than 50 characters'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // Start of the token, shown so users can tell their tokens apart
+    hint: String,
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: Object.keys(TOKEN_SCOPES),
+        },
+      ],
+      validate: [(scopes) => scopes.length > 0, 'Please choose at least one scope'],
+    },
+    // No expiry when unset
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+  },
+  { timestamps: true }
+);
+
+// MongoDB deletes tokens once they have expired
+AccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+AccessTokenSchema.methods.isActive = function () {
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+AccessTokenSchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Create a token. Resolves to { accessToken, token }; the plain token is only
+// returned here and can't be recovered later.
+AccessTokenSchema.statics.issue = async function (userId, { name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const accessToken = await this.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    hint: token.slice(0, TOKEN_PREFIX.length + 4),
+  });
+  return { accessToken, token };
+};
+
+// Find the active token matching a presented one, or null
+AccessTokenSchema.statics.findByToken = async function (token) {
+  const accessToken = await this.findOne({ tokenHash: hashToken(token) });
+  return accessToken && accessToken.isActive() ? accessToken : null;
+};
+
+// Record that a token was used, at most once per LAST_USED_RESOLUTION_MS
+AccessTokenSchema.methods.touch = function (ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: ip }
+  );
+};
+
+AccessTokenSchema.statics.isAccessToken = (token) =>
+  typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+module.exports = mongoose.model('AccessToken', AccessTokenSchema);
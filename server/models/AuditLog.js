@@ -0,0 +1,86 @@
+// AuditLog.js - Mongoose model for the append-only log of privileged actions
+
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // Who did it; null for anonymous requests such as a password reset
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    // Copied from the actor, so entries stay readable after the account is deleted
+    actorEmail: String,
+    // What was done, as "<resource>.<verb>", e.g. "post.update" or "user.suspend"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    target: {
+      type: {
+        type: String,
+        required: true,
+      },
+      id: mongoose.Schema.Types.ObjectId,
+      // Title, name or email of the target when the action happened
+      label: String,
+    },
+    // The fields that changed, before and after; long values are shortened
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    // Set when the request was made with a personal access token
+    accessToken: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AccessToken',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Entries can be added but never changed or removed
+const refuseChange = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+
+['updateOne', 'deleteOne'].forEach((operation) => {
+  AuditLogSchema.pre(operation, { document: true, query: true }, refuseChange);
+});
+
+[
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => {
+  AuditLogSchema.pre(operation, refuseChange);
+});
+
+// Fields the audit log can be filtered and sorted on
+AuditLogSchema.statics.FILTERABLE_FIELDS = [
+  'actor',
+  'actorEmail',
+  'action',
+  'target.type',
+  'target.id',
+  'ip',
+  'accessToken',
+  'createdAt',
+];
+AuditLogSchema.statics.SORTABLE_FIELDS = ['createdAt', 'action'];
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,37 @@
+// AuthThrottle.js - Mongoose model for failed sign-in and sign-up attempts
+//
+// One document per throttled key, e.g. "account:jane@example.com" or
+// "ip:203.0.113.7". Keeping them in MongoDB means lockouts survive restarts
+// and are shared between server instances.
+
+const mongoose = require('mongoose');
+
+const AuthThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Attempts counted since the window started
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: Date,
+    // Backoff: no attempt is accepted before this time
+    nextAttemptAt: Date,
+    // Lockout: set once attempts reach the policy's limit
+    lockedUntil: Date,
+    // When the counter is forgotten; MongoDB removes the document then
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', AuthThrottleSchema);
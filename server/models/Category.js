@@ -42,9 +42,19 @@ CategorySchema.pre('save', function (next) {
   next();
 });
 
+// Move one post from one category's count to another's
+CategorySchema.statics.movePostCount = async function (fromId, toId) {
+  await this.updateOne({ _id: toId }, { $inc: { postCount: 1 } });
+  await this.updateOne({ _id: fromId, postCount: { $gt: 0 } }, { $inc: { postCount: -1 } });
+};
+
 // Virtual for category URL
 CategorySchema.virtual('url').get(function () {
   return `/categories/${this.slug}`;
 });
 
+// Fields list endpoints can filter and sort on
+CategorySchema.statics.FILTERABLE_FIELDS = ['name', 'slug', 'postCount', 'createdAt'];
+CategorySchema.statics.SORTABLE_FIELDS = ['name', 'postCount', 'createdAt'];
+
 module.exports = mongoose.model('Category', CategorySchema);
\ No newline at end of file
@@ -0,0 +1,113 @@
+// Comment.js - Mongoose model for threaded post comments
+
+const mongoose = require('mongoose');
+const { hasPermission } = require('../config/permissions');
+
+// Deepest reply level allowed; top-level comments are depth 0
+const MAX_DEPTH = 3;
+
+const CommentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    content: {
+      type: String,
+      required: [true, 'Please provide comment content'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot be more than 2000 characters'],
+    },
+    // Direct parent for replies, null for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    // Top-level comment of the thread, so a whole thread can be fetched in one query
+    root: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+      index: true,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: [MAX_DEPTH, `Replies cannot be nested more than ${MAX_DEPTH} levels deep`],
+    },
+    // Moderation state; only approved comments are shown publicly
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'spam', 'rejected'],
+      default: 'pending',
+      index: true,
+    },
+    spamScore: {
+      type: Number,
+      default: 0,
+    },
+    spamReasons: [String],
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
+    editedAt: Date,
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+CommentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+
+// Deleted comments keep their place in the thread but hide what was said and by whom.
+// Moderation details are only exposed through the moderation endpoints.
+CommentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.isDeleted) {
+      ret.content = null;
+      ret.user = null;
+    }
+    delete ret.deletedBy;
+    delete ret.spamScore;
+    delete ret.spamReasons;
+    delete ret.moderatedBy;
+    return ret;
+  },
+});
+
+// Whether the comment was written by the given user (works with or without populate)
+CommentSchema.methods.isAuthor = function (user) {
+  return String(this.user._id || this.user) === user.id;
+};
+
+// Whether the given user may edit this comment
+CommentSchema.methods.canEdit = function (user) {
+  return !this.isDeleted && this.isAuthor(user);
+};
+
+// Whether the given user may delete this comment
+CommentSchema.methods.canDelete = function (user) {
+  return !this.isDeleted && (this.isAuthor(user) || hasPermission(user, 'comments:delete:any'));
+};
+
+CommentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model('Comment', CommentSchema);
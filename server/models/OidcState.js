@@ -0,0 +1,50 @@
+// OidcState.js - Mongoose model for external sign-ins waiting on the provider
+//
+// Holds the PKCE verifier and nonce between redirecting to the provider and its
+// callback, keyed by the random state parameter.
+
+const mongoose = require('mongoose');
+
+// How long a user has to finish signing in at the provider
+const STATE_TTL_MINUTES = 10;
+
+const OidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  // Client page to go back to once signed in
+  returnTo: String,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000),
+  },
+});
+
+OidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Look up a state and delete it, so each one can only be used once
+OidcStateSchema.statics.consume = function (state, provider) {
+  return this.findOneAndDelete({
+    state: String(state),
+    provider,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+OidcStateSchema.statics.TTL_MINUTES = STATE_TTL_MINUTES;
+
+module.exports = mongoose.model('OidcState', OidcStateSchema);
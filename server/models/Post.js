@@ -1,6 +1,9 @@
 // Post.js - Mongoose model for blog posts
 
 const mongoose = require('mongoose');
+const escapeRegex = require('../utils/escapeRegex');
+const { renderMarkdown, RENDER_VERSION } = require('../utils/markdown');
+const { hasPermission } = require('../config/permissions');
 
 const PostSchema = new mongoose.Schema(
   {
@@ -10,10 +13,30 @@ const PostSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, 'Title cannot be more than 100 characters'],
     },
+    // Markdown source
     content: {
       type: String,
       required: [true, 'Please provide content'],
     },
+    // Rendered, sanitized HTML cached from `content`, with what was derived from it
+    contentHtml: String,
+    toc: [
+      {
+        _id: false,
+        level: Number,
+        text: String,
+        id: String,
+      },
+    ],
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    readingTime: {
+      type: Number,
+      default: 0,
+    },
+    renderVersion: Number,
     featuredImage: {
       type: String,
       default: 'default-post.jpg',
@@ -23,6 +46,11 @@ const PostSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Slugs the post was reachable at before being renamed
+    previousSlugs: {
+      type: [String],
+      index: true,
+    },
     excerpt: {
       type: String,
       maxlength: [200, 'Excerpt cannot be more than 200 characters'],
@@ -42,53 +70,165 @@ const PostSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // When set on an unpublished post, the scheduler publishes it at this time
+    publishAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    publishedAt: Date,
     viewCount: {
       type: Number,
       default: 0,
     },
-    comments: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-        content: {
-          type: String,
-          required: true,
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
   },
   { timestamps: true }
 );
 
-// Create slug from title before saving
-PostSchema.pre('save', function (next) {
-  if (!this.isModified('title')) {
-    return next();
+// Weighted text index used by search; a title hit counts ten times a content hit
+PostSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'PostTextIndex',
+    weights: { title: 10, tags: 5, excerpt: 3, content: 1 },
   }
-  
-  this.slug = this.title
+);
+
+// Turn a title into a URL-safe slug
+const slugify = (text) =>
+  text
     .toLowerCase()
     .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-    
+    .trim()
+    .replace(/ +/g, '-') || 'post';
+
+// Find a slug based on the title that no other post uses, appending -2, -3, ... on collision.
+// Other posts' old slugs count as taken, so their redirects keep working.
+PostSchema.methods.generateUniqueSlug = async function () {
+  const base = slugify(this.title);
+  const pattern = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+  const taken = await this.constructor
+    .find({
+      _id: { $ne: this._id },
+      $or: [{ slug: pattern }, { previousSlugs: pattern }],
+    })
+    .select('slug previousSlugs')
+    .lean();
+
+  const takenSlugs = new Set(
+    taken.flatMap((post) => [post.slug, ...(post.previousSlugs || [])])
+  );
+  if (!takenSlugs.has(base)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (takenSlugs.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+// Create slug from title before validation (slug is required), remembering the old one for redirects
+PostSchema.pre('validate', async function () {
+  if (!this.isModified('title') && this.slug) {
+    return;
+  }
+
+  const oldSlug = this.slug;
+  const newSlug = await this.generateUniqueSlug();
+
+  if (oldSlug && oldSlug !== newSlug && !this.isNew) {
+    this.previousSlugs.addToSet(oldSlug);
+  }
+  this.previousSlugs.pull(newSlug);
+  this.slug = newSlug;
+});
+
+// Render the Markdown whenever it changes, or when the cache predates the current renderer.
+// The cached fields are always derived here, never taken from a request.
+const RENDERED_FIELDS = ['content', 'contentHtml', 'toc', 'wordCount', 'readingTime'];
+
+PostSchema.pre('save', function (next) {
+  if (RENDERED_FIELDS.some((field) => this.isModified(field)) || this.renderVersion !== RENDER_VERSION) {
+    this.render();
+  }
+  next();
+});
+
+// Stamp the publish date, and drop any pending schedule once a post is live
+PostSchema.pre('save', function (next) {
+  if (this.isPublished) {
+    if (!this.publishedAt) {
+      this.publishedAt = Date.now();
+    }
+    this.publishAt = null;
+  }
   next();
 });
 
+// Query filter for the posts a user may see: published posts, plus their own
+// drafts for signed-in users and every draft for editors and admins
+PostSchema.statics.visibilityFilter = function (user) {
+  if (!user) {
+    return { isPublished: true };
+  }
+  if (hasPermission(user, 'posts:read:drafts')) {
+    return {};
+  }
+  return { $or: [{ isPublished: true }, { author: user._id }] };
+};
+
+// Whether the given (possibly anonymous) user may see this post
+PostSchema.methods.isVisibleTo = function (user) {
+  if (this.isPublished) return true;
+  if (!user) return false;
+  return (
+    hasPermission(user, 'posts:read:drafts') || String(this.author._id || this.author) === user.id
+  );
+};
+
+// Find a post by ObjectId or by its current slug
+PostSchema.statics.findByIdOrSlug = function (idOrSlug) {
+  if (/^[a-f\d]{24}$/i.test(idOrSlug)) {
+    return this.findById(idOrSlug);
+  }
+  return this.findOne({ slug: idOrSlug });
+};
+
 // Virtual for post URL
 PostSchema.virtual('url').get(function () {
   return `/posts/${this.slug}`;
 });
 
-// Method to add a comment
-PostSchema.methods.addComment = function (userId, content) {
-  this.comments.push({ user: userId, content });
-  return this.save();
+// Method to (re)render the Markdown content into the cached fields
+PostSchema.methods.render = function () {
+  const { html, toc, wordCount, readingTime } = renderMarkdown(this.content);
+  this.contentHtml = html;
+  this.toc = toc;
+  this.wordCount = wordCount;
+  this.readingTime = readingTime;
+  this.renderVersion = RENDER_VERSION;
+};
+
+// Method to refresh a stale render cache without touching updatedAt
+PostSchema.methods.ensureRendered = async function () {
+  if (this.renderVersion === RENDER_VERSION && this.contentHtml !== undefined) {
+    return;
+  }
+
+  this.render();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      contentHtml: this.contentHtml,
+      toc: this.toc,
+      wordCount: this.wordCount,
+      readingTime: this.readingTime,
+      renderVersion: this.renderVersion,
+    },
+    { timestamps: false }
+  );
 };
 
 // Method to increment view count
@@ -97,4 +237,20 @@ PostSchema.methods.incrementViewCount = function () {
   return this.save();
 };
 
+// Fields list endpoints can filter and sort on
+PostSchema.statics.FILTERABLE_FIELDS = [
+  'title',
+  'slug',
+  'author',
+  'category',
+  'tags',
+  'isPublished',
+  'publishAt',
+  'publishedAt',
+  'viewCount',
+  'createdAt',
+  'updatedAt',
+];
+PostSchema.statics.SORTABLE_FIELDS = ['title', 'publishedAt', 'viewCount', 'createdAt', 'updatedAt'];
+
 module.exports = mongoose.model('Post', PostSchema); 
\ No newline at end of file
@@ -0,0 +1,102 @@
+// PostRevision.js - Mongoose model for post revision history
+
+const mongoose = require('mongoose');
+
+// Post fields that are versioned
+const TRACKED_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'category',
+  'tags',
+  'featuredImage',
+  'isPublished',
+  'publishAt',
+];
+
+// Fields a restore brings back; publish state stays as it is, so restoring an old
+// draft doesn't unpublish a live post and an old schedule doesn't publish it
+const RESTORABLE_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'featuredImage'];
+
+const PostRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // 1 for the first version of a post, counting up with each update
+    number: {
+      type: Number,
+      required: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // New values of the fields changed in this revision (all fields for the first one)
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    changedFields: [String],
+    // Set when the revision was created by restoring an older one
+    restoredFrom: Number,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+PostRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+// Copy the tracked fields out of a post
+const pickTracked = (post, fields = TRACKED_FIELDS) =>
+  fields.reduce((snapshot, field) => {
+    let value = post.get ? post.get(field) : post[field];
+    if (value && typeof value.toObject === 'function') {
+      value = value.toObject();
+    }
+    snapshot[field] = value === undefined ? null : value;
+    return snapshot;
+  }, {});
+
+// Save a revision holding the given fields of the post
+PostRevisionSchema.statics.record = async function (post, editorId, fields, options = {}) {
+  const latest = await this.findOne({ post: post._id }).sort({ number: -1 }).select('number');
+
+  return this.create({
+    post: post._id,
+    number: latest ? latest.number + 1 : 1,
+    editor: editorId,
+    changes: pickTracked(post, fields),
+    changedFields: fields,
+    restoredFrom: options.restoredFrom,
+    ...(options.createdAt && { createdAt: options.createdAt }),
+  });
+};
+
+// Make sure a post has a first revision before it is changed. Posts created
+// before revisions existed get one from their current state.
+PostRevisionSchema.statics.ensureBaseline = async function (post) {
+  const exists = await this.exists({ post: post._id });
+  if (exists) return;
+
+  await this.record(post, post.author, TRACKED_FIELDS, { createdAt: post.updatedAt });
+};
+
+// Rebuild the full state of the tracked fields as of the given revision number
+PostRevisionSchema.statics.snapshotAt = async function (postId, number) {
+  const revisions = await this.find({ post: postId, number: { $lte: number } })
+    .sort({ number: 1 })
+    .lean();
+
+  if (revisions.length === 0 || revisions[revisions.length - 1].number !== number) {
+    return null;
+  }
+
+  return revisions.reduce((snapshot, revision) => ({ ...snapshot, ...revision.changes }), {});
+};
+
+PostRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+PostRevisionSchema.statics.RESTORABLE_FIELDS = RESTORABLE_FIELDS;
+
+module.exports = mongoose.model('PostRevision', PostRevisionSchema);
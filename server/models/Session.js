@@ -0,0 +1,175 @@
+// Session.js - Mongoose model for signed-in sessions and their refresh tokens
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Refresh tokens are stored as SHA-256 hashes, never in plain text
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Hash of the refresh token that is currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hashes of refresh tokens already rotated out; presenting one again means
+    // the token was stolen, so the whole session is revoked
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    userAgent: String,
+    device: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout-all', 'revoked', 'reuse', 'suspended', null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB deletes sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Rotated-out refresh token hashes remembered to detect reuse
+const MAX_PREVIOUS_TOKENS = 100;
+
+// Refresh token format is "<session id>.<secret>" so the session can be found
+// without scanning hashes
+const newSecret = () => crypto.randomBytes(40).toString('hex');
+
+const splitToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Short summary of a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+// Whether the session can still be used
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+SessionSchema.methods.revoke = function (reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Start a session for a user signing in from the given request.
+// Resolves to { session, refreshToken }.
+SessionSchema.statics.start = async function (user, req) {
+  const secret = newSecret();
+  const session = new this({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    device: describeDevice(req.get('user-agent')),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+  await session.save();
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Exchange a refresh token for a new one. Resolves to { session, refreshToken },
+// or to null when the token is unknown, expired, revoked or reused.
+SessionSchema.statics.rotate = async function (refreshToken, req) {
+  const parts = splitToken(refreshToken);
+  if (!parts) return null;
+
+  const hash = hashToken(parts.secret);
+  const secret = newSecret();
+
+  // Check and replace the token in one update, so that of two requests presenting
+  // the same token only one can win
+  const session = await this.findOneAndUpdate(
+    {
+      _id: parts.sessionId,
+      refreshTokenHash: hash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: { refreshTokenHash: hashToken(secret), lastUsedAt: new Date(), ip: req.ip },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A token that was already rotated out (including by a request racing this
+    // one) means it was copied, so the whole session goes
+    await this.updateOne(
+      { _id: parts.sessionId, previousTokenHashes: hash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse' }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Revoke every active session of a user, optionally keeping one
+SessionSchema.statics.revokeAll = function (userId, { except, reason = 'logout-all' } = {}) {
+  return this.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(except && { _id: { $ne: except } }),
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,35 @@
+// Setting.js - Mongoose model for site-wide settings changed by admins
+
+const mongoose = require('mongoose');
+
+const SettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: mongoose.Schema.Types.Mixed,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// Value of a setting, or the fallback when it has never been set
+SettingSchema.statics.getValue = async function (key, fallback = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+SettingSchema.statics.setValue = function (key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -1,7 +1,28 @@
 // User.js - Mongoose model for application users
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, permissionsFor, hasPermission } = require('../config/permissions');
+const totp = require('../utils/totp');
+const { ForbiddenError } = require('../utils/errors');
+const Session = require('./Session');
+const AccessToken = require('./AccessToken');
+
+// How long a password reset link stays valid
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_MINUTES, 10) || 60;
+
+// How long an email verification link stays valid
+const VERIFY_TOKEN_HOURS = parseInt(process.env.VERIFY_TOKEN_HOURS, 10) || 24;
+
+const MAX_SECURITY_EVENTS = 50;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Addresses of the deleted-user placeholder, which can't be used to sign up
+const RESERVED_EMAIL = /^deleted-user(-[a-f\d]+)?@example\.com$/i;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const UserSchema = new mongoose.Schema(
   {
@@ -29,7 +50,7 @@ const UserSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: ROLES,
       default: 'user',
     },
     avatar: {
@@ -40,10 +61,145 @@ const UserSchema = new mongoose.Schema(
       type: String,
       maxlength: [200, 'Bio cannot be more than 200 characters'],
     },
+    // False until the address is confirmed. Accounts created before verification
+    // existed have no value and count as verified.
+    emailVerified: Boolean,
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+    // New address waiting to be confirmed through the link emailed to it
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      select: false,
+    },
+    emailChangeTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailChangeExpire: {
+      type: Date,
+      select: false,
+    },
+    // SHA-256 hash of the pending password reset token, and when it stops working
+    resetPasswordTokenHash: {
+      type: String,
+      select: false,
+    },
+    resetPasswordExpire: {
+      type: Date,
+      select: false,
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret shown during enrollment, until the first code confirms it
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last time step a code was accepted for, so codes can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
+    // Accounts at external OpenID Connect providers linked to this user
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        // The provider's stable id for the user (the "sub" claim)
+        subject: {
+          type: String,
+          required: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Account lockouts, unlocks, suspensions and role changes, newest last
+    securityEvents: {
+      type: [
+        {
+          _id: false,
+          type: {
+            type: String,
+            enum: ['lockout', 'unlock', 'suspend', 'reactivate', 'role-change'],
+            required: true,
+          },
+          reason: String,
+          ip: String,
+          by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          at: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    // Suspended users can't sign in, and their existing sessions stop working
+    suspended: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    suspendedAt: Date,
+    suspendedReason: {
+      type: String,
+      maxlength: [200, 'Reason cannot be more than 200 characters'],
+    },
+    // Comments approved by a moderator; enough of them lets new comments skip the queue
+    approvedComments: {
+      type: Number,
+      default: 0,
+    },
+    // Marks the account deleted users' content is moved to; only set by
+    // getDeletedUserPlaceholder(), never from a request
+    isPlaceholder: {
+      type: Boolean,
+      default: false,
+      immutable: true,
+    },
   },
   { timestamps: true }
 );
 
+UserSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+
+// At most one placeholder account
+UserSchema.index(
+  { isPlaceholder: 1 },
+  { unique: true, partialFilterExpression: { isPlaceholder: true } }
+);
+
 // Hash password before saving
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -60,4 +216,240 @@ UserSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Store a hash of a new single-use token in `<prefix>TokenHash` and its expiry
+// in `<prefix>Expire`. Returns the token itself, which is only ever emailed.
+const createEmailToken = (user, prefix, lifetimeMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user[`${prefix}TokenHash`] = hashToken(token);
+  user[`${prefix}Expire`] = new Date(Date.now() + lifetimeMs);
+  return token;
+};
+
+// Start a password reset
+UserSchema.methods.createPasswordResetToken = function () {
+  return createEmailToken(this, 'resetPassword', RESET_TOKEN_MINUTES * 60 * 1000);
+};
+
+// Find the user a still-valid password reset token was issued to
+UserSchema.statics.findByResetToken = function (token) {
+  return this.findOne({
+    resetPasswordTokenHash: hashToken(String(token)),
+    resetPasswordExpire: { $gt: new Date() },
+  });
+};
+
+// Start (or restart) confirming the user's email address
+UserSchema.methods.createEmailVerificationToken = function () {
+  return createEmailToken(this, 'emailVerification', VERIFY_TOKEN_HOURS * 60 * 60 * 1000);
+};
+
+// Find the user a still-valid email verification token was issued to
+UserSchema.statics.findByVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(String(token)),
+    emailVerificationExpire: { $gt: new Date() },
+  });
+};
+
+// Start changing the user's email; it only changes once the new address is confirmed
+UserSchema.methods.createEmailChangeToken = function (newEmail) {
+  this.pendingEmail = newEmail;
+  return createEmailToken(this, 'emailChange', VERIFY_TOKEN_HOURS * 60 * 60 * 1000);
+};
+
+// Find the user a still-valid email change token was issued to
+UserSchema.statics.findByEmailChangeToken = function (token) {
+  return this.findOne({
+    emailChangeTokenHash: hashToken(String(token)),
+    emailChangeExpire: { $gt: new Date() },
+  }).select('+pendingEmail');
+};
+
+// Find the user behind an external sign-in, linking the identity to the account
+// with the same email (verified by the provider) or creating a new account
+UserSchema.statics.findOrCreateFromOidc = async function (providerId, claims) {
+  const identity = { provider: providerId, subject: String(claims.sub) };
+
+  const linked = await this.findOne({ identities: { $elemMatch: identity } });
+  if (linked) return linked;
+
+  // Only trust an address the provider has verified, or anyone could take over
+  // an account by registering its email with the provider
+  if (!claims.email || String(claims.email_verified) !== 'true') {
+    throw new ForbiddenError('Your account at this provider has no verified email address');
+  }
+
+  const email = claims.email.toLowerCase();
+  const existing = await this.findOne({ email });
+
+  if (existing) {
+    existing.identities.push(identity);
+    if (existing.isEmailVerified()) {
+      return existing.save();
+    }
+
+    // Anyone could have registered this unverified account with the owner's
+    // address, so whatever they set up stops working once the owner links it
+    existing.emailVerified = true;
+    existing.emailVerificationTokenHash = undefined;
+    existing.emailVerificationExpire = undefined;
+    existing.password = crypto.randomBytes(32).toString('hex');
+    existing.resetPasswordTokenHash = undefined;
+    existing.resetPasswordExpire = undefined;
+    existing.pendingEmail = undefined;
+    existing.emailChangeTokenHash = undefined;
+    existing.emailChangeExpire = undefined;
+    existing.twoFactor = { enabled: false };
+    await existing.save();
+
+    await Promise.all([
+      Session.revokeAll(existing._id, { reason: 'revoked' }),
+      AccessToken.deleteMany({ user: existing._id }),
+    ]);
+    return existing;
+  }
+
+  return this.create({
+    name: (claims.name || claims.preferred_username || email.split('@')[0]).slice(0, 50),
+    email,
+    // Never used to sign in; the user can set a real one with a password reset
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified: true,
+    identities: [identity],
+  });
+};
+
+// Replace the recovery codes; returns the new codes, which are only shown once
+UserSchema.methods.createRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString('hex').replace(/(.{5})/, '$1-')
+  );
+  this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Check a second factor: an authenticator code, or a recovery code which is
+// then used up. Needs '+twoFactor.secret +twoFactor.recoveryCodes
+// +twoFactor.lastUsedStep' selected; the caller saves the user.
+UserSchema.methods.verifySecondFactor = function ({ code, recoveryCode }) {
+  if (recoveryCode) {
+    // Accept the code with or without its dash
+    const normalized = String(recoveryCode)
+      .toLowerCase()
+      .replace(/[^0-9a-f]/g, '')
+      .replace(/(.{5})/, '$1-');
+    const hash = hashToken(normalized);
+    const index = this.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = totp.verify(this.twoFactor.secret, code, {
+    afterStep: this.twoFactor.lastUsedStep ?? -1,
+  });
+  if (step === null) return false;
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+UserSchema.methods.isSuspended = function () {
+  return this.suspended === true;
+};
+
+UserSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
+// Append to a user's security events, keeping the most recent ones
+UserSchema.statics.recordSecurityEvent = function (userId, event) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        securityEvents: {
+          $each: [{ ...event, at: new Date() }],
+          $slice: -MAX_SECURITY_EVENTS,
+        },
+      },
+    }
+  );
+};
+
+// Placeholder account that posts and comments of deleted users are moved to.
+// It is found by its flag, not its address, and is suspended, so nobody can
+// sign in as it.
+UserSchema.statics.getDeletedUserPlaceholder = async function () {
+  const existing = await this.findOne({ isPlaceholder: true });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      name: 'Deleted user',
+      // The address only has to be unique; it is reserved so nobody can sign up with it
+      email: `deleted-user-${crypto.randomBytes(6).toString('hex')}@example.com`,
+      isPlaceholder: true,
+      password: crypto.randomBytes(32).toString('hex'),
+      suspended: true,
+      suspendedAt: new Date(),
+      suspendedReason: 'Placeholder for deleted accounts',
+    });
+  } catch (err) {
+    // Another request created it first
+    if (err.code === 11000) return this.findOne({ isPlaceholder: true });
+    throw err;
+  }
+};
+
+UserSchema.statics.isReservedEmail = function (email) {
+  return RESERVED_EMAIL.test(String(email));
+};
+
+// Whether the user's comments can be published without moderation
+UserSchema.methods.isTrustedCommenter = function () {
+  const threshold = parseInt(process.env.COMMENT_TRUST_THRESHOLD, 10) || 3;
+  return hasPermission(this, 'comments:moderate') || this.approvedComments >= threshold;
+};
+
+// Move a user's count of approved comments up or down, never below zero
+UserSchema.statics.adjustApprovedComments = function (userId, change) {
+  return this.updateOne({ _id: userId }, [
+    {
+      $set: {
+        approvedComments: {
+          $max: [0, { $add: [{ $ifNull: ['$approvedComments', 0] }, change] }],
+        },
+      },
+    },
+  ]);
+};
+
+// Public profile returned to the client after login, including what the user may do
+UserSchema.methods.toAuthJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    avatar: this.avatar,
+    emailVerified: this.isEmailVerified(),
+    twoFactorEnabled: Boolean(this.twoFactor && this.twoFactor.enabled),
+    permissions: permissionsFor(this.role),
+  };
+};
+
+UserSchema.statics.RESET_TOKEN_MINUTES = RESET_TOKEN_MINUTES;
+UserSchema.statics.VERIFY_TOKEN_HOURS = VERIFY_TOKEN_HOURS;
+
+// Fields the admin user list can filter and sort on
+UserSchema.statics.FILTERABLE_FIELDS = [
+  'name',
+  'email',
+  'role',
+  'emailVerified',
+  'suspended',
+  'createdAt',
+];
+UserSchema.statics.SORTABLE_FIELDS = ['name', 'email', 'role', 'createdAt'];
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,133 @@
+// accessTokens.js - Routes for managing personal access tokens
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const AccessToken = require('../models/AccessToken');
+const { protect } = require('../middleware/auth');
+const { scopesFor } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { BadRequestError, ValidationError, NotFoundError } = require('../utils/errors');
+
+// Mounted at /api/auth/tokens. Tokens can't be used to manage tokens.
+const router = express.Router();
+
+router.use(protect);
+
+const auditTarget = (accessToken) => ({
+  type: 'AccessToken',
+  id: accessToken._id,
+  label: accessToken.name,
+});
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// @desc    List the current user's tokens and the scopes they can choose from
+// @route   GET /api/auth/tokens
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user._id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      scopes: scopesFor(req.user.role),
+      data: tokens,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Create a token; the token itself is only returned in this response
+// @route   POST /api/auth/tokens
+// @access  Private
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Please provide a token name')
+      .isLength({ max: 50 })
+      .withMessage('Token name cannot be more than 50 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('Please choose at least one scope'),
+    body('scopes.*').custom((scope, { req }) => {
+      if (!scopesFor(req.user.role).includes(scope)) {
+        throw new Error(`Scope '${scope}' is not available to your role`);
+      }
+      return true;
+    }),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+      .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+      .toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const existing = await AccessToken.countDocuments({ user: req.user._id });
+      if (existing >= MAX_TOKENS_PER_USER) {
+        return next(
+          new BadRequestError(
+            `You can have at most ${MAX_TOKENS_PER_USER} tokens; delete one first`
+          )
+        );
+      }
+
+      const { expiresInDays } = req.body;
+      const { accessToken, token } = await AccessToken.issue(req.user._id, {
+        name: req.body.name,
+        scopes: [...new Set(req.body.scopes)],
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+          : undefined,
+      });
+
+      await recordAudit(req, 'access-token.create', auditTarget(accessToken), {
+        after: { scopes: accessToken.scopes, expiresAt: accessToken.expiresAt || null },
+      });
+
+      res.status(201).json({
+        success: true,
+        token,
+        data: accessToken,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Delete a token; scripts using it stop working immediately
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const accessToken = mongoose.isValidObjectId(req.params.id)
+      ? await AccessToken.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!accessToken) {
+      return next(new NotFoundError('Token not found'));
+    }
+
+    await recordAudit(req, 'access-token.delete', auditTarget(accessToken));
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// auditLogs.js - Routes for reading the audit log
+
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+
+const router = express.Router();
+
+router.use(protect, requirePermission('audit:read'));
+
+const populateActor = { path: 'actor', select: 'name email' };
+
+// Most rows a single export returns
+const MAX_EXPORT_ROWS = parseInt(process.env.AUDIT_EXPORT_LIMIT, 10) || 50000;
+
+const CSV_COLUMNS = [
+  ['createdAt', (entry) => entry.createdAt.toISOString()],
+  ['actorId', (entry) => entry.actor],
+  ['actorEmail', (entry) => entry.actorEmail],
+  ['action', (entry) => entry.action],
+  ['targetType', (entry) => entry.target && entry.target.type],
+  ['targetId', (entry) => entry.target && entry.target.id],
+  ['targetLabel', (entry) => entry.target && entry.target.label],
+  ['before', (entry) => entry.before && JSON.stringify(entry.before)],
+  ['after', (entry) => entry.after && JSON.stringify(entry.after)],
+  ['ip', (entry) => entry.ip],
+  ['userAgent', (entry) => entry.userAgent],
+];
+
+// Quote a CSV cell. Cells that spreadsheets would run as formulas get a
+// leading apostrophe.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+// @desc    Query the audit log; filter with ?actor=, ?action=, ?target.type=,
+//          ?target.id=, ?createdAt[gte]=, plus sort and pagination
+// @route   GET /api/audit-logs
+// @access  Private/Admin
+router.get('/', advancedResults(AuditLog, populateActor), (req, res) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Export the entries matching the same filters as CSV, newest first
+// @route   GET /api/audit-logs/export
+// @access  Private/Admin
+router.get('/export', async (req, res, next) => {
+  try {
+    const filter = advancedResults.buildFilter(AuditLog, req.query);
+
+    const cursor = AuditLog.find(filter)
+      .sort('-createdAt')
+      .limit(MAX_EXPORT_ROWS)
+      .lean()
+      .cursor();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.write(csvRow(CSV_COLUMNS.map(([name]) => name)));
+
+    for await (const entry of cursor) {
+      res.write(csvRow(CSV_COLUMNS.map(([, value]) => value(entry))));
+    }
+
+    res.end();
+  } catch (err) {
+    // Once streaming has started the status can't change, so cut the file short
+    if (res.headersSent) {
+      console.error('Audit log export failed', err);
+      return res.end();
+    }
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,123 @@
 // auth.js - Routes for user authentication
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
 const { protect } = require('../middleware/auth');
+const { permissionsFor } = require('../config/permissions');
+const { signAccessToken, completeLogin, isTwoFactorRequired } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mail');
+const templates = require('../utils/mail/templates');
+const authThrottle = require('../utils/authThrottle');
+const { recordAudit, snapshot } = require('../utils/audit');
+const oidcRoutes = require('./oidc');
+const twoFactorRoutes = require('./twoFactor');
+const accessTokenRoutes = require('./accessTokens');
+const {
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+} = require('../utils/errors');
 
 const router = express.Router();
 
+// Sign-in with external OpenID Connect providers
+router.use('/oidc', oidcRoutes);
+
+// TOTP two-factor authentication
+router.use('/2fa', twoFactorRoutes);
+
+// Personal access tokens for scripts
+router.use('/tokens', accessTokenRoutes);
+
+// Fields users may change on their own profile through PUT /me
+const PROFILE_FIELDS = ['name', 'bio', 'avatar'];
+
+const auditTarget = (user) => ({ type: 'User', id: user._id, label: user.email });
+
+// Error refusing an attempt that is being throttled
+const tooManyAttempts = (throttle) =>
+  new TooManyRequestsError(
+    throttle.locked
+      ? `Too many attempts, temporarily locked. Try again in ${throttle.retryAfter} seconds`
+      : `Too many attempts. Try again in ${throttle.retryAfter} seconds`,
+    throttle.retryAfter
+  );
+
+// Count a login attempt against the email address and the IP address before the
+// password is checked. Resolves to { blocked, ... } for whichever key refused it,
+// or to the account's count.
+const reserveLoginAttempt = async (email, req) => {
+  const account = await authThrottle.reserveAttempt('account', email);
+  if (account.blocked) return account;
+
+  const ip = await authThrottle.reserveAttempt('ip', req.ip);
+  if (ip.blocked) {
+    await authThrottle.releaseAttempt('account', email);
+    return ip;
+  }
+
+  return account;
+};
+
+// A failed login that started a lockout is recorded against the account
+const recordFailedLogin = async (attempt, user, req, reason = 'Too many failed login attempts') => {
+  if (attempt.lockedNow && user) {
+    await User.recordSecurityEvent(user._id, { type: 'lockout', reason, ip: req.ip });
+  }
+};
+
+// Check the signed-in user's password before a sensitive change. Attempts count
+// against the account as logins do, so a stolen access token can't be used to
+// guess it. Throws when refused or wrong.
+const checkCurrentPassword = async (user, password, req) => {
+  const attempt = await authThrottle.reserveAttempt('account', user.email);
+  if (attempt.blocked) {
+    throw tooManyAttempts(attempt);
+  }
+
+  if (!(await user.comparePassword(password))) {
+    await recordFailedLogin(attempt, user, req, 'Too many wrong current passwords');
+    throw new BadRequestError('Current password is incorrect', 'INCORRECT_PASSWORD');
+  }
+
+  await authThrottle.clear('account', user.email);
+};
+
+// Count an email the user asked for, refusing it once they have asked too often
+const reserveMail = async (user) => {
+  const throttle = await authThrottle.reserveAttempt('mail', user._id);
+  if (throttle.blocked) {
+    throw tooManyAttempts(throttle);
+  }
+};
+
+// End access granted under a user's old password: their sessions, except the
+// one given, are revoked and their personal access tokens deleted, since whoever
+// knew the password may have made one. Resolves to how many of each were ended.
+const endAccessAfterPasswordChange = async (user, exceptSession) => {
+  const [sessions, tokens] = await Promise.all([
+    Session.revokeAll(user._id, { except: exceptSession, reason: 'revoked' }),
+    AccessToken.deleteMany({ user: user._id }),
+  ]);
+  return { revokedSessions: sessions.modifiedCount, deletedTokens: tokens.deletedCount };
+};
+
+const sendVerificationEmail = (user, token) =>
+  sendMail(
+    templates.emailVerification({
+      user,
+      token,
+      expiresInHours: User.VERIFY_TOKEN_HOURS,
+    })
+  );
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -18,7 +128,10 @@ router.post(
     body('email')
       .isEmail()
       .normalizeEmail()
-      .withMessage('Please provide a valid email'),
+      .withMessage('Please provide a valid email')
+      .bail()
+      .custom((email) => !User.isReservedEmail(email))
+      .withMessage('This email address is reserved'),
     body('password')
       .isLength({ min: 6 })
       .withMessage('Password must be at least 6 characters'),
@@ -27,47 +140,49 @@ router.post(
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-        });
+        return next(ValidationError.fromResult(errors));
       }
 
       const { name, email, password } = req.body;
 
+      // Every sign up counts, so one IP address can't create accounts in bulk
+      const throttle = await authThrottle.reserveAttempt('register', req.ip);
+      if (throttle.blocked) {
+        return next(tooManyAttempts(throttle));
+      }
+
       // Check if user already exists
       const existingUser = await User.findOne({ email });
       if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          error: 'User already exists with this email',
-        });
+        return next(new ConflictError('User already exists with this email', 'EMAIL_IN_USE'));
       }
 
-      // Create user
-      const user = await User.create({
+      // Create user; the account stays unverified until the emailed link is followed
+      const user = new User({
         name,
         email,
         password,
+        emailVerified: false,
       });
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
 
-      // Create token
-      const token = jwt.sign(
-        { id: user._id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
+      // A failed email shouldn't fail the sign up; the user can ask for another
+      await sendVerificationEmail(user, verificationToken).catch((err) =>
+        console.error(`Failed to send verification email to ${user.email}`, err)
       );
 
+      await recordAudit(req, 'user.register', auditTarget(user), {
+        actor: user,
+        after: snapshot(user, ['name', 'email', 'role']),
+      });
+
+      // Start a session, unless the role needs two-factor authentication set up first
+      const result = await completeLogin(user, req);
+
       res.status(201).json({
         success: true,
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          avatar: user.avatar,
-        },
+        ...result,
       });
     } catch (err) {
       next(err);
@@ -93,49 +208,259 @@ router.post(
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-        });
+        return next(ValidationError.fromResult(errors));
       }
 
       const { email, password } = req.body;
 
+      // Refuse while the account or the IP address is backing off or locked out
+      const attempt = await reserveLoginAttempt(email, req);
+      if (attempt.blocked) {
+        return next(tooManyAttempts(attempt));
+      }
+
       // Find user by email
       const user = await User.findOne({ email }).select('+password');
       if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid credentials',
-        });
+        return next(new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS'));
       }
 
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid credentials',
+        await recordFailedLogin(attempt, user, req);
+        return next(new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS'));
+      }
+
+      // A successful login resets the account's counter and doesn't count against the IP
+      await authThrottle.releaseAttempt('ip', req.ip);
+      const wasLocked = await authThrottle.clear('account', email);
+      if (wasLocked) {
+        await User.recordSecurityEvent(user._id, {
+          type: 'unlock',
+          reason: 'Lockout expired',
+          ip: req.ip,
         });
       }
 
-      // Create token
-      const token = jwt.sign(
-        { id: user._id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
-      );
+      // Start a session, or ask for the second factor first
+      const result = await completeLogin(user, req);
+
+      await recordAudit(req, 'user.login', auditTarget(user), {
+        actor: user,
+        after: { method: 'password', twoFactorPending: Boolean(result.interimToken) },
+      });
+
+      res.status(200).json({
+        success: true,
+        ...result,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('Please provide a refresh token')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      // Each refresh token works once; using an old one again revokes the session.
+      // Routine rotations aren't audited, they would drown out everything else.
+      const rotated = await Session.rotate(req.body.refreshToken, req);
+      if (!rotated) {
+        return next(
+          new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN')
+        );
+      }
+
+      const user = await User.findById(rotated.session.user);
+      if (!user || user.isSuspended()) {
+        await rotated.session.revoke();
+        return next(
+          new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN')
+        );
+      }
+
+      // Sessions started before two-factor authentication became mandatory for the
+      // user's role end here; the next login asks them to set it up
+      const hasTwoFactor = Boolean(user.twoFactor && user.twoFactor.enabled);
+      if (!hasTwoFactor && (await isTwoFactorRequired(user.role))) {
+        await rotated.session.revoke();
+        return next(
+          new UnauthorizedError(
+            'Two-factor authentication is now required, please log in again',
+            'TWO_FACTOR_SETUP_REQUIRED'
+          )
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        token: signAccessToken(user, rotated.session),
+        refreshToken: rotated.refreshToken,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    await recordAudit(req, 'session.logout', {
+      type: 'Session',
+      id: req.authSession._id,
+      label: req.authSession.device,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Log out of every session, including the current one
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res, next) => {
+  try {
+    const result = await Session.revokeAll(req.user._id);
+
+    await recordAudit(req, 'session.logout-all', auditTarget(req.user), {
+      after: { revokedSessions: result.modifiedCount },
+    });
+
+    res.status(200).json({
+      success: true,
+      revoked: result.modifiedCount,
+      data: {},
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .select('device userAgent ip createdAt lastUsedAt expiresAt')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session._id.equals(req.authSession._id),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res, next) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return next(new NotFoundError('Session not found'));
+    }
+
+    await session.revoke();
+
+    await recordAudit(req, 'session.revoke', {
+      type: 'Session',
+      id: session._id,
+      label: session.device,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post(
+  '/forgot-password',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user) {
+        const token = user.createPasswordResetToken();
+        await user.save();
+
+        try {
+          await sendMail(
+            templates.passwordReset({
+              user,
+              token,
+              expiresInMinutes: User.RESET_TOKEN_MINUTES,
+            })
+          );
+        } catch (err) {
+          user.resetPasswordTokenHash = undefined;
+          user.resetPasswordExpire = undefined;
+          await user.save();
+          return next(err);
+        }
 
+        await recordAudit(req, 'user.password-reset-request', auditTarget(user), { actor: null });
+      }
+
+      // Same answer whether or not the account exists, so emails can't be probed
       res.status(200).json({
         success: true,
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          avatar: user.avatar,
-        },
+        message: 'If an account exists for that email, a reset link has been sent',
       });
     } catch (err) {
       next(err);
@@ -143,6 +468,121 @@ router.post(
   }
 );
 
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('Please provide a reset token'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const user = await User.findByResetToken(req.body.token);
+      if (!user) {
+        return next(new BadRequestError('Invalid or expired reset token', 'INVALID_TOKEN'));
+      }
+
+      // The token works once
+      user.password = req.body.password;
+      user.resetPasswordTokenHash = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+
+      // Whoever knew the old password is signed out everywhere
+      const ended = await endAccessAfterPasswordChange(user);
+
+      await recordAudit(req, 'user.password-reset', auditTarget(user), {
+        actor: user,
+        after: ended,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password has been reset, please log in',
+        ...ended,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Confirm an email address with the token from the verification link
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('Please provide a verification token')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const user = await User.findByVerificationToken(req.body.token);
+      if (!user) {
+        return next(new BadRequestError('Invalid or expired verification token', 'INVALID_TOKEN'));
+      }
+
+      user.emailVerified = true;
+      user.emailVerificationTokenHash = undefined;
+      user.emailVerificationExpire = undefined;
+      await user.save();
+
+      await recordAudit(req, 'user.verify-email', auditTarget(user), {
+        actor: user,
+        after: { emailVerified: true },
+      });
+
+      res.status(200).json({
+        success: true,
+        user: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Send a new verification link to the current user
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified()) {
+      return next(new BadRequestError('Email address is already verified'));
+    }
+
+    await reserveMail(user);
+
+    // Replaces any earlier link
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, token);
+
+    await recordAudit(req, 'user.resend-verification', auditTarget(user));
+
+    res.status(200).json({
+      success: true,
+      message: `A new verification link has been sent to ${user.email}`,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -152,7 +592,11 @@ router.get('/me', protect, async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: user,
+      data: {
+        ...user.toObject(),
+        emailVerified: user.isEmailVerified(),
+        permissions: permissionsFor(user.role),
+      },
     });
   } catch (err) {
     next(err);
@@ -162,24 +606,215 @@ router.get('/me', protect, async (req, res, next) => {
 // @desc    Update user profile
 // @route   PUT /api/auth/me
 // @access  Private
-router.put('/me', protect, async (req, res, next) => {
-  try {
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      req.body,
-      {
+router.put(
+  '/me',
+  protect,
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Please provide a name')
+      .isLength({ max: 50 })
+      .withMessage('Name cannot be more than 50 characters'),
+    body('bio')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Bio cannot be more than 200 characters'),
+    body('avatar')
+      .optional()
+      .custom((value) => value === 'default-avatar.jpg' || /^\/uploads\/avatars\//.test(value))
+      .withMessage('Avatar must be an uploaded image'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      // Only these fields can be changed here; email and password have their own
+      // endpoints and role is managed by admins
+      const updates = {};
+      PROFILE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      const user = await User.findByIdAndUpdate(req.user.id, updates, {
         new: true,
         runValidators: true,
+      });
+
+      await recordAudit(req, 'user.update-profile', auditTarget(user), {
+        before: snapshot(req.user, PROFILE_FIELDS),
+        after: snapshot(user, PROFILE_FIELDS),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: user,
+        user: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Start changing the current user's email address
+// @route   PUT /api/auth/me/email
+// @access  Private
+router.put(
+  '/me/email',
+  protect,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email')
+      .bail()
+      .custom((email) => !User.isReservedEmail(email))
+      .withMessage('This email address is reserved'),
+    body('password').notEmpty().withMessage('Please provide your current password'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
       }
-    ).select('-password');
 
-    res.status(200).json({
-      success: true,
-      data: user,
-    });
-  } catch (err) {
-    next(err);
+      const user = await User.findById(req.user.id).select('+password');
+      await checkCurrentPassword(user, req.body.password, req);
+
+      const { email } = req.body;
+      if (email === user.email) {
+        return next(new BadRequestError('That is already your email address'));
+      }
+
+      if (await User.exists({ email })) {
+        return next(new ConflictError('User already exists with this email', 'EMAIL_IN_USE'));
+      }
+
+      await reserveMail(user);
+
+      const token = user.createEmailChangeToken(email);
+      await user.save();
+
+      await sendMail(
+        templates.emailChange({
+          user,
+          newEmail: email,
+          token,
+          expiresInHours: User.VERIFY_TOKEN_HOURS,
+        })
+      );
+      await sendMail(templates.emailChangeRequested({ user, newEmail: email })).catch((err) =>
+        console.error(`Failed to notify ${user.email} of an email change`, err)
+      );
+
+      await recordAudit(req, 'user.email-change-request', auditTarget(user), {
+        after: { pendingEmail: email },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `A confirmation link has been sent to ${email}`,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+// @desc    Confirm a new email address with the token from the emailed link
+// @route   POST /api/auth/confirm-email
+// @access  Public
+router.post(
+  '/confirm-email',
+  [body('token').isString().notEmpty().withMessage('Please provide a confirmation token')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const user = await User.findByEmailChangeToken(req.body.token);
+      if (!user) {
+        return next(new BadRequestError('Invalid or expired confirmation token', 'INVALID_TOKEN'));
+      }
+
+      // The address may have been taken since the change was requested
+      if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+        return next(new ConflictError('User already exists with this email', 'EMAIL_IN_USE'));
+      }
+
+      // Following the link proves the new address works
+      const previousEmail = user.email;
+      user.email = user.pendingEmail;
+      user.emailVerified = true;
+      user.pendingEmail = undefined;
+      user.emailChangeTokenHash = undefined;
+      user.emailChangeExpire = undefined;
+      await user.save();
+
+      await recordAudit(req, 'user.email-change', auditTarget(user), {
+        actor: user,
+        before: { email: previousEmail },
+        after: { email: user.email },
+      });
+
+      res.status(200).json({
+        success: true,
+        user: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Change the current user's password
+// @route   PUT /api/auth/me/password
+// @access  Private
+router.put(
+  '/me/password',
+  protect,
+  [
+    body('currentPassword').notEmpty().withMessage('Please provide your current password'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const user = await User.findById(req.user.id).select('+password');
+      await checkCurrentPassword(user, req.body.currentPassword, req);
+
+      user.password = req.body.newPassword;
+      await user.save();
+
+      // Sign out everywhere else; this session stays signed in
+      const ended = await endAccessAfterPasswordChange(user, req.authSession._id);
+
+      await recordAudit(req, 'user.password-change', auditTarget(user), { after: ended });
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed',
+        ...ended,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
 module.exports = router;
\ No newline at end of file
@@ -5,26 +5,28 @@ const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const Post = require('../models/Post');
 const advancedResults = require('../middleware/advancedResults');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { BadRequestError, ValidationError, NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
-// @desc    Get all categories
+// Fields summarized in the audit log
+const AUDIT_FIELDS = ['name', 'slug', 'description'];
+
+const auditTarget = (category) => ({ type: 'Category', id: category._id, label: category.name });
+
+// @desc    Get all categories, alphabetically; filter with ?name=, ?slug=, plus
+//          sort and pagination
 // @route   GET /api/categories
 // @access  Public
-router.get('/', advancedResults(Category), async (req, res, next) => {
-  try {
-    const categories = await Category.find();
-
-    res.status(200).json({
-      success: true,
-      count: categories.length,
-      data: categories,
-    });
-  } catch (err) {
-    next(err);
+router.get(
+  '/',
+  advancedResults(Category, null, { defaultSort: 'name', defaultLimit: 100 }),
+  (req, res) => {
+    res.status(200).json(res.advancedResults);
   }
-});
+);
 
 // @desc    Get single category
 // @route   GET /api/categories/:id
@@ -34,10 +36,7 @@ router.get('/:id', async (req, res, next) => {
     const category = await Category.findById(req.params.id);
 
     if (!category) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found',
-      });
+      return next(new NotFoundError('Category not found'));
     }
 
     res.status(200).json({
@@ -51,10 +50,10 @@ router.get('/:id', async (req, res, next) => {
 
 // @desc    Create new category
 // @route   POST /api/categories
-// @access  Private/Admin
+// @access  Private/Editor
 router.post(
   '/',
-  [protect, authorize('admin')],
+  [protect, requirePermission('categories:manage')],
   [
     body('name').notEmpty().withMessage('Please provide a category name'),
     body('description').optional().isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
@@ -63,14 +62,15 @@ router.post(
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-        });
+        return next(ValidationError.fromResult(errors));
       }
 
       const category = await Category.create(req.body);
 
+      await recordAudit(req, 'category.create', auditTarget(category), {
+        after: snapshot(category, AUDIT_FIELDS),
+      });
+
       res.status(201).json({
         success: true,
         data: category,
@@ -83,28 +83,30 @@ router.post(
 
 // @desc    Update category
 // @route   PUT /api/categories/:id
-// @access  Private/Admin
+// @access  Private/Editor
 router.put(
   '/:id',
-  [protect, authorize('admin')],
+  [protect, requirePermission('categories:manage')],
   async (req, res, next) => {
     try {
-      const category = await Category.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        {
+      const before = await Category.findById(req.params.id);
+
+      const category =
+        before &&
+        (await Category.findByIdAndUpdate(req.params.id, req.body, {
           new: true,
           runValidators: true,
-        }
-      );
+        }));
 
       if (!category) {
-        return res.status(404).json({
-          success: false,
-          error: 'Category not found',
-        });
+        return next(new NotFoundError('Category not found'));
       }
 
+      await recordAudit(req, 'category.update', auditTarget(category), {
+        before: snapshot(before, AUDIT_FIELDS),
+        after: snapshot(category, AUDIT_FIELDS),
+      });
+
       res.status(200).json({
         success: true,
         data: category,
@@ -117,31 +119,31 @@ router.put(
 
 // @desc    Delete category
 // @route   DELETE /api/categories/:id
-// @access  Private/Admin
+// @access  Private/Editor
 router.delete(
   '/:id',
-  [protect, authorize('admin')],
+  [protect, requirePermission('categories:manage')],
   async (req, res, next) => {
     try {
       const category = await Category.findById(req.params.id);
 
       if (!category) {
-        return res.status(404).json({
-          success: false,
-          error: 'Category not found',
-        });
+        return next(new NotFoundError('Category not found'));
       }
 
       // Check if category has posts
       const posts = await Post.find({ category: req.params.id });
       if (posts.length > 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Cannot delete category with existing posts',
-        });
+        return next(
+          new BadRequestError('Cannot delete category with existing posts', 'CATEGORY_IN_USE')
+        );
       }
 
-      await category.remove();
+      await category.deleteOne();
+
+      await recordAudit(req, 'category.delete', auditTarget(category), {
+        before: snapshot(category, AUDIT_FIELDS),
+      });
 
       res.status(200).json({
         success: true,
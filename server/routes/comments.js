@@ -0,0 +1,336 @@
+// comments.js - Routes for threaded post comments
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { protect, requireVerifiedEmail, optionalAuth, allowAccessToken } = require('../middleware/auth');
+const { scoreComment } = require('../utils/spamScorer');
+const { paginateByCursor } = require('../utils/cursorPagination');
+const { recordAudit, snapshot } = require('../utils/audit');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../utils/errors');
+
+// Mounted at /api/posts/:postId/comments
+const router = express.Router({ mergeParams: true });
+
+// Fields summarized in the audit log
+const AUDIT_FIELDS = ['post', 'parent', 'content', 'status', 'isDeleted'];
+
+const auditTarget = (comment) => ({
+  type: 'Comment',
+  id: comment._id,
+  label: comment.content.slice(0, 60),
+});
+
+// Find a post the user is allowed to see, so drafts can't be commented on
+const findVisiblePost = async (postIdOrSlug, user) => {
+  const post = await Post.findByIdOrSlug(postIdOrSlug).select('isPublished author');
+  return post && post.isVisibleTo(user) ? post : null;
+};
+
+// Find a comment, making sure it belongs to the post in the URL
+const findPostComment = async (postIdOrSlug, commentId, user) => {
+  const post = await findVisiblePost(postIdOrSlug, user);
+  if (!post) return null;
+  return Comment.findOne({ _id: commentId, post: post._id });
+};
+
+// Nest a flat, oldest-first list of replies under their top-level comments
+const buildThreads = (roots, replies) => {
+  const byId = new Map();
+
+  [...roots, ...replies].forEach((comment) => {
+    byId.set(comment._id.toString(), { ...comment.toJSON(), replies: [] });
+  });
+
+  replies.forEach((reply) => {
+    const parent = byId.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(byId.get(reply._id.toString()));
+    }
+  });
+
+  return roots.map((root) => byId.get(root._id.toString()));
+};
+
+// @desc    Get comment threads for a post, by ?page= or by ?cursor= (empty for
+//          the first page) with next and previous cursors
+// @route   GET /api/posts/:postId/comments
+// @access  Public
+router.get(
+  '/',
+  optionalAuth,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('sort')
+      .optional()
+      .isIn(['newest', 'oldest'])
+      .withMessage("Sort must be 'newest' or 'oldest'"),
+    query('cursor').optional().isString().withMessage('Invalid cursor'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      if (req.query.cursor !== undefined && req.query.page !== undefined) {
+        return next(new BadRequestError('Use either page or cursor, not both'));
+      }
+
+      const post = await findVisiblePost(req.params.postId, req.user);
+      if (!post) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const sort = req.query.sort === 'oldest' ? 'createdAt' : '-createdAt';
+
+      // Paginate top-level comments, then load every reply in those threads at once
+      const filter = { post: post._id, parent: null, status: 'approved' };
+      const total = await Comment.countDocuments(filter);
+      const rootQuery = Comment.find(filter).populate('user', 'name avatar');
+
+      let roots;
+      let pagination = {};
+      if (req.query.cursor !== undefined) {
+        ({ results: roots, pagination } = await paginateByCursor(rootQuery, {
+          sort,
+          limit,
+          cursor: req.query.cursor,
+        }));
+      } else {
+        const order = sort === 'createdAt' ? 1 : -1;
+        roots = await rootQuery
+          .sort({ createdAt: order, _id: order })
+          .skip((page - 1) * limit)
+          .limit(limit);
+
+        if (page * limit < total) {
+          pagination.next = { page: page + 1, limit };
+        }
+        if (page > 1) {
+          pagination.previous = { page: page - 1, limit };
+        }
+      }
+
+      const replies = await Comment.find({
+        root: { $in: roots.map((c) => c._id) },
+        status: 'approved',
+      })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('user', 'name avatar');
+
+      res.status(200).json({
+        success: true,
+        count: roots.length,
+        total,
+        maxDepth: Comment.MAX_DEPTH,
+        pagination,
+        data: buildThreads(roots, replies),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Add comment or reply to post
+// @route   POST /api/posts/:postId/comments
+// @access  Private
+router.post(
+  '/',
+  [allowAccessToken('comments:write'), protect, requireVerifiedEmail],
+  [
+    body('content').trim().notEmpty().withMessage('Please provide comment content'),
+    body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent comment'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const post = await findVisiblePost(req.params.postId, req.user);
+      if (!post) {
+        return next(new NotFoundError('Post not found'));
+      }
+
+      const comment = new Comment({
+        post: post._id,
+        user: req.user.id,
+        content: req.body.content,
+      });
+
+      if (req.body.parentId) {
+        const parent = await Comment.findOne({
+          _id: req.body.parentId,
+          post: post._id,
+          status: 'approved',
+        });
+        if (!parent) {
+          return next(new NotFoundError('Parent comment not found'));
+        }
+
+        if (parent.depth >= Comment.MAX_DEPTH) {
+          return next(
+            new BadRequestError(
+              `Replies cannot be nested more than ${Comment.MAX_DEPTH} levels deep`
+            )
+          );
+        }
+
+        comment.parent = parent._id;
+        comment.root = parent.root || parent._id;
+        comment.depth = parent.depth + 1;
+      }
+
+      // Spam goes straight to the spam folder, trusted commenters skip the queue
+      const { score, reasons, isSpam } = await scoreComment({
+        content: comment.content,
+        user: req.user,
+      });
+      comment.spamScore = score;
+      comment.spamReasons = reasons;
+      if (isSpam) {
+        comment.status = 'spam';
+      } else if (req.user.isTrustedCommenter()) {
+        comment.status = 'approved';
+      }
+
+      await comment.save();
+
+      await recordAudit(req, 'comment.create', auditTarget(comment), {
+        after: snapshot(comment, AUDIT_FIELDS),
+      });
+
+      await comment.populate('user', 'name avatar');
+
+      res.status(201).json({
+        success: true,
+        data: { ...comment.toJSON(), replies: [] },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Edit comment; edits by authors who aren't trusted yet wait for moderation again
+// @route   PUT /api/posts/:postId/comments/:id
+// @access  Private (author only)
+router.put(
+  '/:id',
+  [allowAccessToken('comments:write'), protect, requireVerifiedEmail],
+  [body('content').trim().notEmpty().withMessage('Please provide comment content')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const comment = await findPostComment(req.params.postId, req.params.id, req.user);
+
+      if (!comment || comment.isDeleted) {
+        return next(new NotFoundError('Comment not found'));
+      }
+
+      if (!comment.canEdit(req.user)) {
+        return next(new ForbiddenError('Not authorized to edit this comment'));
+      }
+
+      if (comment.content !== req.body.content) {
+        const before = snapshot(comment, AUDIT_FIELDS);
+        const wasApproved = before.status === 'approved';
+        comment.content = req.body.content;
+        comment.editedAt = Date.now();
+
+        // Re-check the new text, and send edits back through moderation unless the
+        // author is trusted, so approved comments can't be edited into anything
+        const { score, reasons, isSpam } = await scoreComment({
+          content: comment.content,
+          user: req.user,
+        });
+        comment.spamScore = score;
+        comment.spamReasons = reasons;
+        if (isSpam) {
+          comment.status = 'spam';
+        } else if (!req.user.isTrustedCommenter()) {
+          comment.status = 'pending';
+        }
+
+        await comment.save();
+
+        // The approval no longer counts towards the author's trust
+        if (wasApproved && comment.status !== 'approved') {
+          await User.adjustApprovedComments(comment.user, -1);
+        }
+
+        await recordAudit(req, 'comment.update', auditTarget(comment), {
+          before,
+          after: snapshot(comment, AUDIT_FIELDS),
+        });
+      }
+
+      await comment.populate('user', 'name avatar');
+
+      res.status(200).json({
+        success: true,
+        data: comment,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Delete comment (soft delete, replies are kept)
+// @route   DELETE /api/posts/:postId/comments/:id
+// @access  Private (author or admin)
+router.delete('/:id', [allowAccessToken('comments:write'), protect], async (req, res, next) => {
+  try {
+    const comment = await findPostComment(req.params.postId, req.params.id, req.user);
+
+    if (!comment || comment.isDeleted) {
+      return next(new NotFoundError('Comment not found'));
+    }
+
+    if (!comment.canDelete(req.user)) {
+      return next(new ForbiddenError('Not authorized to delete this comment'));
+    }
+
+    const before = snapshot(comment, AUDIT_FIELDS);
+    comment.isDeleted = true;
+    comment.deletedAt = Date.now();
+    comment.deletedBy = req.user.id;
+    await comment.save();
+
+    await recordAudit(req, 'comment.delete', auditTarget(comment), {
+      before,
+      after: snapshot(comment, AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: comment,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// moderation.js - Routes for the comment moderation queue
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Status each bulk action moves a comment to
+const ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam',
+  requeue: 'pending',
+};
+
+const auditTarget = (comment) => ({
+  type: 'Comment',
+  id: comment._id,
+  label: comment.content.slice(0, 60),
+});
+
+router.use(protect, requirePermission('comments:moderate'));
+
+// @desc    List comments in the moderation queue
+// @route   GET /api/moderation/comments
+// @access  Private/Admin
+router.get(
+  '/comments',
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'spam', 'rejected'])
+      .withMessage('Invalid comment status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const status = req.query.status || 'pending';
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 25;
+
+      const filter = { status, isDeleted: false };
+      const total = await Comment.countDocuments(filter);
+      // Oldest first so the queue is worked through in order; lean keeps the spam details
+      const comments = await Comment.find(filter)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email avatar approvedComments createdAt')
+        .populate('post', 'title slug')
+        .lean();
+
+      const pagination = {};
+      if (page * limit < total) {
+        pagination.next = { page: page + 1, limit };
+      }
+      if (page > 1) {
+        pagination.previous = { page: page - 1, limit };
+      }
+
+      res.status(200).json({
+        success: true,
+        count: comments.length,
+        total,
+        pagination,
+        data: comments,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Approve, reject, mark as spam or requeue several comments at once
+// @route   POST /api/moderation/comments/bulk
+// @access  Private/Admin
+router.post(
+  '/comments/bulk',
+  [
+    body('ids')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Please provide between 1 and 100 comment IDs'),
+    body('ids.*').isMongoId().withMessage('Invalid comment ID'),
+    body('action')
+      .isIn(Object.keys(ACTIONS))
+      .withMessage(`Action must be one of: ${Object.keys(ACTIONS).join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const status = ACTIONS[req.body.action];
+      const comments = await Comment.find({
+        _id: { $in: req.body.ids },
+        status: { $ne: status },
+      }).select('user status content');
+
+      // Work out how each author's approved count changes so trust follows moderation
+      const trustChanges = new Map();
+      comments.forEach((comment) => {
+        const userId = comment.user.toString();
+        const change = trustChanges.get(userId) || 0;
+        if (status === 'approved') {
+          trustChanges.set(userId, change + 1);
+        } else if (comment.status === 'approved') {
+          trustChanges.set(userId, change - 1);
+        }
+      });
+
+      await Comment.updateMany(
+        { _id: { $in: comments.map((comment) => comment._id) } },
+        {
+          status,
+          moderatedBy: req.user.id,
+          moderatedAt: Date.now(),
+        }
+      );
+
+      if (status === 'spam') {
+        // Posting spam forfeits any trust the author had built up
+        const spammers = [...new Set(comments.map((comment) => comment.user.toString()))];
+        await User.updateMany({ _id: { $in: spammers } }, { approvedComments: 0 });
+      } else {
+        await Promise.all(
+          [...trustChanges].map(([userId, change]) => User.adjustApprovedComments(userId, change))
+        );
+      }
+
+      // One entry per comment, so each comment's history can be looked up
+      await Promise.all(
+        comments.map((comment) =>
+          recordAudit(req, 'comment.moderate', auditTarget(comment), {
+            before: { status: comment.status },
+            after: { status },
+          })
+        )
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          status,
+          updated: comments.length,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// oidc.js - Routes for signing in with an external OpenID Connect provider
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const { getProviders, getProvider } = require('../config/oidc');
+const { startLogin, finishLogin } = require('../utils/oidc');
+const { completeLogin } = require('../utils/authTokens');
+const clientUrl = require('../utils/clientUrl');
+const { recordAudit } = require('../utils/audit');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+// Mounted at /api/auth/oidc
+const router = express.Router();
+
+// Signed cookie holding the state of the sign-in this browser started
+const STATE_COOKIE = 'oidc_state';
+
+const stateCookieOptions = (req) => ({
+  httpOnly: true,
+  signed: true,
+  // Lax still sends it on the provider's top-level redirect back to us
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: req.baseUrl,
+});
+
+// Cookies are signed with JWT_SECRET, which is only read once .env is loaded
+const readCookies = (req, res, next) => cookieParser(process.env.JWT_SECRET)(req, res, next);
+
+// Only allow returning to a page of the client, never to another site
+const safeReturnTo = (value) =>
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/';
+
+// Send the browser back to the client login page with an error message
+const redirectWithError = (res, message) =>
+  res.redirect(clientUrl(`/login?error=${encodeURIComponent(message)}`));
+
+// Load the provider from the URL, or send a 404
+const loadProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new NotFoundError('Sign-in provider not found'));
+  }
+
+  req.provider = provider;
+  next();
+};
+
+// @desc    List the providers users can sign in with
+// @route   GET /api/auth/oidc
+// @access  Public
+router.get('/', (req, res) => {
+  const providers = [...getProviders().values()].map(({ id, name }) => ({ id, name }));
+
+  res.status(200).json({
+    success: true,
+    count: providers.length,
+    data: providers,
+  });
+});
+
+// @desc    Redirect to the provider to sign in
+// @route   GET /api/auth/oidc/:provider/login?returnTo=/posts
+// @access  Public
+router.get('/:provider/login', loadProvider, async (req, res, next) => {
+  try {
+    const { url, state } = await startLogin(req.provider, safeReturnTo(req.query.returnTo));
+    res.cookie(STATE_COOKIE, state, {
+      ...stateCookieOptions(req),
+      maxAge: OidcState.TTL_MINUTES * 60 * 1000,
+    });
+    res.redirect(url);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Where the provider sends the user back to; starts an app session
+// @route   GET /api/auth/oidc/:provider/callback
+// @access  Public
+router.get('/:provider/callback', loadProvider, readCookies, async (req, res) => {
+  const browserState = req.signedCookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+
+  // The user cancelled or the provider refused
+  if (req.query.error) {
+    return redirectWithError(res, req.query.error_description || 'Sign-in was cancelled');
+  }
+
+  try {
+    const { claims, returnTo } = await finishLogin(req.provider, req.query, browserState);
+    const user = await User.findOrCreateFromOidc(req.provider.id, claims);
+    const { token, refreshToken, twoFactorRequired, interimToken } = await completeLogin(user, req);
+
+    await recordAudit(
+      req,
+      'user.login',
+      { type: 'User', id: user._id, label: user.email },
+      { actor: user, after: { method: `oidc:${req.provider.id}`, twoFactorPending: Boolean(interimToken) } }
+    );
+
+    // Tokens go in the fragment, which browsers never send to a server. Users
+    // with two-factor authentication get an interim token for the second step.
+    const fragment = new URLSearchParams(
+      interimToken
+        ? { interimToken, twoFactor: twoFactorRequired ? 'required' : 'setup', returnTo }
+        : { token, refreshToken, returnTo }
+    );
+    res.redirect(clientUrl(`/auth/callback#${fragment}`));
+  } catch (err) {
+    console.error(`Sign-in with ${req.provider.id} failed`, err);
+    redirectWithError(
+      res,
+      err instanceof AppError ? err.message : 'Sign-in failed, please try again'
+    );
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,241 @@
 // posts.js - Routes for blog posts
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
 const advancedResults = require('../middleware/advancedResults');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  protect,
+  requireVerifiedEmail,
+  requirePermission,
+  optionalAuth,
+  allowAccessToken,
+} = require('../middleware/auth');
+const { canActOn } = require('../config/permissions');
+const { parseTerms, highlight, buildSnippet } = require('../utils/search');
+const { htmlToText } = require('../utils/markdown');
+const publishScheduler = require('../utils/publishScheduler');
+const { recordAudit, snapshot } = require('../utils/audit');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../utils/errors');
 
 const router = express.Router();
 
-// @desc    Get all posts
+// Fields summarized in the audit log
+const AUDIT_FIELDS = ['slug', ...PostRevision.TRACKED_FIELDS];
+
+const auditTarget = (post) => ({ type: 'Post', id: post._id, label: post.title });
+
+// Fields clients may set on a post. Slugs, counters and dates are kept by the server.
+const EDITABLE_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'category',
+  'tags',
+  'featuredImage',
+  'isPublished',
+  'publishAt',
+];
+
+const editableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Re-route into other resource routers
+router.use('/:postId/comments', commentRoutes);
+router.use('/:postId/revisions', revisionRoutes);
+
+// Validation rules shared by create and update for the optional post fields
+const optionalPostFields = [
+  body('title').optional().isLength({ max: 100 }).withMessage('Title cannot be more than 100 characters'),
+  body('excerpt').optional().isLength({ max: 200 }).withMessage('Excerpt cannot be more than 200 characters'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('tags.*').isString().trim().notEmpty().withMessage('Tags cannot be empty'),
+  body('featuredImage').optional().isString().withMessage('Featured image must be a URL'),
+  body('isPublished').optional().isBoolean().withMessage('Published must be true or false'),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date')
+    .toDate(),
+];
+
+// An optional query parameter that may only appear once; repeating it would
+// turn its value into an array
+const singleParam = (name) =>
+  query(name).optional().isString().withMessage(`'${name}' can only be given once`).bail();
+
+// @desc    Get all posts (drafts only for their author and admins); filter with
+//          ?category=, ?author=, ?tags=, ?createdAt[gte]=, plus sort and pagination
 // @route   GET /api/posts
 // @access  Public
-router.get('/', advancedResults(Post), async (req, res, next) => {
-  try {
-    const posts = await Post.find()
-      .populate('author', 'name email')
-      .populate('category', 'name slug');
+router.get(
+  '/',
+  optionalAuth,
+  advancedResults(
+    Post,
+    [
+      { path: 'author', select: 'name email' },
+      { path: 'category', select: 'name slug' },
+    ],
+    {
+      baseFilter: (req) => Post.visibilityFilter(req.user),
+      select: '-contentHtml -toc',
+    }
+  ),
+  (req, res) => {
+    res.status(200).json(res.advancedResults);
+  }
+);
 
-    res.status(200).json({
-      success: true,
-      count: posts.length,
-      data: posts,
-    });
-  } catch (err) {
-    next(err);
+// @desc    Search posts by relevance
+// @route   GET /api/posts/search
+// @access  Public
+router.get(
+  '/search',
+  optionalAuth,
+  [
+    query('q')
+      .trim()
+      .notEmpty()
+      .withMessage('Please provide a search query')
+      .bail()
+      .isString()
+      .withMessage('Search query can only be given once'),
+    singleParam('category').trim().notEmpty(),
+    singleParam('tag').trim().notEmpty(),
+    singleParam('author').isMongoId().withMessage('Author must be a valid ID'),
+    singleParam('from').isISO8601().withMessage('From must be a valid date'),
+    singleParam('to').isISO8601().withMessage('To must be a valid date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const { q, tag, author, from, to } = req.query;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 10;
+
+      const filter = { $text: { $search: q }, ...Post.visibilityFilter(req.user) };
+
+      // Category may be given by ID or slug
+      if (req.query.category) {
+        const category = /^[a-f\d]{24}$/i.test(req.query.category)
+          ? await Category.findById(req.query.category)
+          : await Category.findOne({ slug: req.query.category });
+
+        if (!category) {
+          return res.status(200).json({
+            success: true,
+            count: 0,
+            total: 0,
+            pagination: {},
+            data: [],
+          });
+        }
+        filter.category = category._id;
+      }
+
+      if (tag) filter.tags = tag;
+      if (author) filter.author = author;
+
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const total = await Post.countDocuments(filter);
+      const posts = await Post.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('author', 'name avatar')
+        .populate('category', 'name slug')
+        .lean();
+
+      // Snippets come from the rendered text so Markdown syntax doesn't show up in them
+      const terms = parseTerms(q);
+      const data = posts.map(({ contentHtml, toc, ...post }) => ({
+        ...post,
+        highlights: {
+          title: highlight(post.title, terms),
+          snippet: buildSnippet(contentHtml ? htmlToText(contentHtml) : post.content, terms),
+        },
+      }));
+
+      const pagination = {};
+      if (page * limit < total) {
+        pagination.next = { page: page + 1, limit };
+      }
+      if (page > 1) {
+        pagination.previous = { page: page - 1, limit };
+      }
+
+      res.status(200).json({
+        success: true,
+        count: data.length,
+        total,
+        pagination,
+        data,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
-// @desc    Get single post
+// @desc    Get single post by ID or slug (drafts only for their author and admins)
 // @route   GET /api/posts/:id
 // @access  Public
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id)
+    let post = await Post.findByIdOrSlug(req.params.id)
       .populate('author', 'name email avatar')
-      .populate('category', 'name slug')
-      .populate({
-        path: 'comments',
-        populate: {
-          path: 'user',
-          select: 'name avatar',
-        },
-      });
+      .populate('category', 'name slug');
+
+    // Drafts don't exist as far as other users are concerned
+    if (post && !post.isVisibleTo(req.user)) {
+      post = null;
+    }
 
     if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found',
-      });
+      // A renamed post keeps its old slugs; send clients on to the current one
+      const renamed = await Post.findOne({ previousSlugs: req.params.id }).select(
+        'slug isPublished author'
+      );
+      if (renamed && renamed.isVisibleTo(req.user)) {
+        return res.redirect(301, `${req.baseUrl}/${renamed.slug}`);
+      }
+
+      return next(new NotFoundError('Post not found'));
     }
 
+    await post.ensureRendered();
+
     res.status(200).json({
       success: true,
       data: post,
@@ -66,34 +250,29 @@ router.get('/:id', async (req, res, next) => {
 // @access  Private
 router.post(
   '/',
-  [protect, authorize('admin')],
+  [allowAccessToken('posts:write'), protect, requireVerifiedEmail, requirePermission('posts:create')],
   [
     body('title').notEmpty().withMessage('Please provide a title'),
     body('content').notEmpty().withMessage('Please provide content'),
     body('category').notEmpty().withMessage('Please provide a category'),
+    ...optionalPostFields,
   ],
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-        });
+        return next(ValidationError.fromResult(errors));
       }
 
       // Check if category exists
       const category = await Category.findById(req.body.category);
       if (!category) {
-        return res.status(400).json({
-          success: false,
-          error: 'Category not found',
-        });
+        return next(new BadRequestError('Category not found', 'CATEGORY_NOT_FOUND'));
       }
 
       // Create post
       const post = await Post.create({
-        ...req.body,
+        ...editableFields(req.body),
         author: req.user.id,
       });
 
@@ -101,6 +280,13 @@ router.post(
       category.postCount += 1;
       await category.save();
 
+      await PostRevision.record(post, req.user.id, PostRevision.TRACKED_FIELDS);
+      publishScheduler.schedule(post);
+
+      await recordAudit(req, 'post.create', auditTarget(post), {
+        after: snapshot(post, AUDIT_FIELDS),
+      });
+
       res.status(201).json({
         success: true,
         data: post,
@@ -116,29 +302,67 @@ router.post(
 // @access  Private
 router.put(
   '/:id',
-  [protect, authorize('admin')],
+  [
+    allowAccessToken('posts:write'),
+    protect,
+    requireVerifiedEmail,
+    requirePermission('posts:update:own', 'posts:update:any'),
+  ],
+  [
+    body('title').optional().notEmpty().withMessage('Please provide a title'),
+    body('content').optional().notEmpty().withMessage('Please provide content'),
+    body('category').optional().notEmpty().withMessage('Please provide a category'),
+    ...optionalPostFields,
+  ],
   async (req, res, next) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
       let post = await Post.findById(req.params.id);
 
       if (!post) {
-        return res.status(404).json({
-          success: false,
-          error: 'Post not found',
-        });
+        return next(new NotFoundError('Post not found'));
       }
 
-      // Check if user owns the post (if not admin)
-      if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(401).json({
-          success: false,
-          error: 'Not authorized to update this post',
-        });
+      // Authors may only edit their own posts; editors may edit any
+      if (!canActOn(req.user, 'posts', 'update', post.author)) {
+        return next(new ForbiddenError('Not authorized to update this post'));
       }
 
-      post = await Post.findByIdAndUpdate(req.params.id, req.body, {
-        new: true,
-        runValidators: true,
+      // Move the post between categories if the editor picked a new one
+      const previousCategory = post.category.toString();
+      let newCategory;
+      if (req.body.category && req.body.category !== previousCategory) {
+        newCategory = await Category.findById(req.body.category);
+        if (!newCategory) {
+          return next(new BadRequestError('Category not found', 'CATEGORY_NOT_FOUND'));
+        }
+      }
+
+      await PostRevision.ensureBaseline(post);
+      const before = snapshot(post, AUDIT_FIELDS);
+
+      // Save through the document so the slug is regenerated when the title changes
+      post.set(editableFields(req.body));
+      const changedFields = PostRevision.TRACKED_FIELDS.filter((field) => post.isModified(field));
+      await post.save();
+
+      if (changedFields.length > 0) {
+        await PostRevision.record(post, req.user.id, changedFields);
+      }
+
+      publishScheduler.schedule(post);
+
+      if (newCategory) {
+        await Category.movePostCount(previousCategory, newCategory._id);
+      }
+
+      await recordAudit(req, 'post.update', auditTarget(post), {
+        before,
+        after: snapshot(post, AUDIT_FIELDS),
       });
 
       res.status(200).json({
@@ -156,27 +380,24 @@ router.put(
 // @access  Private
 router.delete(
   '/:id',
-  [protect, authorize('admin')],
+  [allowAccessToken('posts:write'), protect, requirePermission('posts:delete:own', 'posts:delete:any')],
   async (req, res, next) => {
     try {
       const post = await Post.findById(req.params.id);
 
       if (!post) {
-        return res.status(404).json({
-          success: false,
-          error: 'Post not found',
-        });
+        return next(new NotFoundError('Post not found'));
       }
 
-      // Check if user owns the post (if not admin)
-      if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(401).json({
-          success: false,
-          error: 'Not authorized to delete this post',
-        });
+      // Authors may only delete their own posts
+      if (!canActOn(req.user, 'posts', 'delete', post.author)) {
+        return next(new ForbiddenError('Not authorized to delete this post'));
       }
 
-      await post.remove();
+      await post.deleteOne();
+      await Comment.deleteMany({ post: post._id });
+      await PostRevision.deleteMany({ post: post._id });
+      publishScheduler.cancel(post._id);
 
       // Decrement category post count
       const category = await Category.findById(post.category);
@@ -186,63 +407,13 @@ router.delete(
         await category.save();
       }
 
-      res.status(200).json({
-        success: true,
-        data: {},
-      });
-    } catch (err) {
-      next(err);
-    }
-  }
-);
-
-// @desc    Add comment to post
-// @route   POST /api/posts/:id/comments
-// @access  Private
-router.post(
-  '/:id/comments',
-  [protect],
-  [
-    body('content').notEmpty().withMessage('Please provide comment content'),
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-        });
-      }
-
-      const post = await Post.findById(req.params.id);
-
-      if (!post) {
-        return res.status(404).json({
-          success: false,
-          error: 'Post not found',
-        });
-      }
-
-      post.comments.push({
-        content: req.body.content,
-        user: req.user.id,
+      await recordAudit(req, 'post.delete', auditTarget(post), {
+        before: snapshot(post, AUDIT_FIELDS),
       });
 
-      await post.save();
-
-      const populatedPost = await Post.findById(post._id)
-        .populate({
-          path: 'comments',
-          populate: {
-            path: 'user',
-            select: 'name avatar',
-          },
-        });
-
-      res.status(201).json({
+      res.status(200).json({
         success: true,
-        data: populatedPost.comments[populatedPost.comments.length - 1],
+        data: {},
       });
     } catch (err) {
       next(err);
@@ -250,38 +421,4 @@ router.post(
   }
 );
 
-// @desc    Search posts
-// @route   GET /api/posts/search
-// @access  Public
-router.get('/search', async (req, res, next) => {
-  try {
-    const { q } = req.query;
-
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide a search query',
-      });
-    }
-
-    const posts = await Post.find({
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { content: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } },
-      ],
-    })
-      .populate('author', 'name email')
-      .populate('category', 'name slug');
-
-    res.status(200).json({
-      success: true,
-      count: posts.length,
-      data: posts,
-    });
-  } catch (err) {
-    next(err);
-  }
-});
-
 module.exports = router;
\ No newline at end of file
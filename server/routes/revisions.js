@@ -0,0 +1,219 @@
+// revisions.js - Routes for post revision history
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Category = require('../models/Category');
+const { protect } = require('../middleware/auth');
+const { canActOn } = require('../config/permissions');
+const { diffSnapshots } = require('../utils/wordDiff');
+const { recordAudit, snapshot: auditSnapshot } = require('../utils/audit');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+} = require('../utils/errors');
+
+// Fields summarized in the audit log, as for other post changes
+const AUDIT_FIELDS = ['slug', ...PostRevision.TRACKED_FIELDS];
+
+// Mounted at /api/posts/:postId/revisions
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+
+// Load the post from the URL, or send a 404. Revisions are only open to users
+// who may edit the post.
+const loadPost = async (req, res, next) => {
+  try {
+    const post = await Post.findByIdOrSlug(req.params.postId);
+
+    if (!post) {
+      return next(new NotFoundError('Post not found'));
+    }
+
+    if (!canActOn(req.user, 'posts', 'update', post.author)) {
+      return next(new ForbiddenError('Not authorized to access revisions of this post'));
+    }
+
+    req.post = post;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+router.use(loadPost);
+
+// Show category names instead of IDs in snapshots and diffs
+const withCategoryNames = async (...snapshots) => {
+  const ids = snapshots.map((snapshot) => snapshot.category).filter(Boolean);
+  const categories = await Category.find({ _id: { $in: ids } }).select('name');
+  const names = new Map(categories.map((category) => [category._id.toString(), category.name]));
+
+  return snapshots.map((snapshot) => ({
+    ...snapshot,
+    category: snapshot.category
+      ? names.get(snapshot.category.toString()) || snapshot.category.toString()
+      : null,
+  }));
+};
+
+// @desc    List revisions of a post
+// @route   GET /api/posts/:postId/revisions
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const revisions = await PostRevision.find({ post: req.post._id })
+      .sort({ number: -1 })
+      .select('-changes')
+      .populate('editor', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Word-level diff between two revisions
+// @route   GET /api/posts/:postId/revisions/diff?from=1&to=2
+// @access  Private
+router.get(
+  '/diff',
+  [
+    query('from').isInt({ min: 1 }).withMessage('Please provide the revision to diff from').toInt(),
+    query('to').isInt({ min: 1 }).withMessage('Please provide the revision to diff to').toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const { from, to } = req.query;
+      const [fromSnapshot, toSnapshot] = await Promise.all([
+        PostRevision.snapshotAt(req.post._id, from),
+        PostRevision.snapshotAt(req.post._id, to),
+      ]);
+
+      if (!fromSnapshot || !toSnapshot) {
+        return next(new NotFoundError('Revision not found'));
+      }
+
+      const [before, after] = await withCategoryNames(fromSnapshot, toSnapshot);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          from,
+          to,
+          changes: diffSnapshots(before, after, PostRevision.TRACKED_FIELDS),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Get a post as it was at a revision
+// @route   GET /api/posts/:postId/revisions/:number
+// @access  Private
+router.get('/:number', async (req, res, next) => {
+  try {
+    const number = parseInt(req.params.number, 10);
+    const revision = await PostRevision.findOne({ post: req.post._id, number }).populate(
+      'editor',
+      'name email'
+    );
+
+    if (!revision) {
+      return next(new NotFoundError('Revision not found'));
+    }
+
+    const snapshot = await PostRevision.snapshotAt(req.post._id, number);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...revision.toObject(),
+        snapshot,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Restore a revision's content; the restore is saved as a new revision.
+//          Whether and when the post is published is left as it is.
+// @route   POST /api/posts/:postId/revisions/:number/restore
+// @access  Private
+router.post('/:number/restore', async (req, res, next) => {
+  try {
+    const number = parseInt(req.params.number, 10);
+    const snapshot = await PostRevision.snapshotAt(req.post._id, number);
+
+    if (!snapshot) {
+      return next(new NotFoundError('Revision not found'));
+    }
+
+    const { post } = req;
+    const previousCategory = post.category.toString();
+
+    if (snapshot.category && snapshot.category.toString() !== previousCategory) {
+      const category = await Category.exists({ _id: snapshot.category });
+      if (!category) {
+        return next(
+          new BadRequestError(
+            'The category of this revision no longer exists',
+            'CATEGORY_NOT_FOUND'
+          )
+        );
+      }
+    }
+
+    await PostRevision.ensureBaseline(post);
+    const before = auditSnapshot(post, AUDIT_FIELDS);
+
+    PostRevision.RESTORABLE_FIELDS.forEach((field) => {
+      if (snapshot[field] !== undefined) post.set(field, snapshot[field]);
+    });
+    const changedFields = PostRevision.RESTORABLE_FIELDS.filter((field) => post.isModified(field));
+
+    if (changedFields.length === 0) {
+      return next(new BadRequestError('The post already matches this revision'));
+    }
+
+    await post.save();
+    const revision = await PostRevision.record(post, req.user.id, changedFields, {
+      restoredFrom: number,
+    });
+
+    if (post.category.toString() !== previousCategory) {
+      await Category.movePostCount(previousCategory, post.category);
+    }
+
+    await recordAudit(req, 'post.restore', { type: 'Post', id: post._id, label: post.title }, {
+      before,
+      after: auditSnapshot(post, AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      revision: revision.number,
+      data: post,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// settings.js - Routes for site-wide settings
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Setting = require('../models/Setting');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(protect, requirePermission('settings:manage'));
+
+// @desc    Get the security policy
+// @route   GET /api/settings/security
+// @access  Private/Admin
+router.get('/security', async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorRequiredRoles: await Setting.getValue('twoFactorRequiredRoles', []),
+        roles: ROLES,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Update the security policy
+// @route   PUT /api/settings/security
+// @access  Private/Admin
+router.put(
+  '/security',
+  [
+    body('twoFactorRequiredRoles')
+      .isArray()
+      .withMessage('twoFactorRequiredRoles must be a list of roles'),
+    body('twoFactorRequiredRoles.*')
+      .isIn(ROLES)
+      .withMessage(`Roles must be one of: ${ROLES.join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(ValidationError.fromResult(errors));
+      }
+
+      const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+      const previous = await Setting.getValue('twoFactorRequiredRoles', []);
+      const setting = await Setting.setValue('twoFactorRequiredRoles', roles, req.user._id);
+
+      await recordAudit(
+        req,
+        'setting.update',
+        { type: 'Setting', id: setting._id, label: 'twoFactorRequiredRoles' },
+        { before: { twoFactorRequiredRoles: previous }, after: { twoFactorRequiredRoles: roles } }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequiredRoles: roles,
+          roles: ROLES,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,322 @@
+// twoFactor.js - Routes for TOTP two-factor authentication
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const totp = require('../utils/totp');
+const authThrottle = require('../utils/authThrottle');
+const { recordAudit } = require('../utils/audit');
+const {
+  INTERIM_PURPOSES,
+  issueTokens,
+  verifyInterimToken,
+  isTwoFactorRequired,
+} = require('../utils/authTokens');
+const {
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  TooManyRequestsError,
+} = require('../utils/errors');
+
+// Mounted at /api/auth/2fa
+const router = express.Router();
+
+const auditTarget = (user) => ({ type: 'User', id: user._id, label: user.email });
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const secondFactorFields = [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Please provide an authentication code or a recovery code');
+    }
+    return true;
+  }),
+];
+
+// Throw the request's validation errors, if it has any
+const assertValid = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) throw ValidationError.fromResult(errors);
+};
+
+// Count a second-factor attempt before checking it. Login, disabling and new
+// recovery codes share one counter per user, so guesses can't be spread across them.
+const reserveCodeAttempt = async (userId) => {
+  const throttle = await authThrottle.reserveAttempt('twoFactor', userId);
+  if (throttle.blocked) {
+    throw new TooManyRequestsError(
+      `Too many attempts. Try again in ${throttle.retryAfter} seconds`,
+      throttle.retryAfter
+    );
+  }
+  return throttle;
+};
+
+// A wrong code that started a lockout is recorded against the account
+const recordWrongCode = async (attempt, user, req) => {
+  if (attempt.lockedNow) {
+    await User.recordSecurityEvent(user._id, {
+      type: 'lockout',
+      reason: 'Too many wrong two-factor codes',
+      ip: req.ip,
+    });
+  }
+};
+
+// Enrollment works for signed-in users, and for users who must set up two-factor
+// authentication before their first session (with the interim token from login)
+const enrollmentAuth = async (req, res, next) => {
+  if (!req.body.interimToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const userId = verifyInterimToken(req.body.interimToken, INTERIM_PURPOSES.twoFactorSetup);
+    req.user = await User.findById(userId);
+  } catch (err) {
+    req.user = null;
+  }
+
+  if (!req.user) {
+    return next(new UnauthorizedError('Sign-in expired, please log in again', 'LOGIN_EXPIRED'));
+  }
+
+  req.enrollingAtLogin = true;
+  next();
+};
+
+// @desc    Finish logging in with a second factor
+// @route   POST /api/auth/2fa/login
+// @access  Public (needs the interim token from POST /api/auth/login)
+router.post(
+  '/login',
+  [body('interimToken').notEmpty().withMessage('Please log in again'), ...secondFactorFields],
+  async (req, res, next) => {
+    try {
+      assertValid(req);
+
+      let userId;
+      try {
+        userId = verifyInterimToken(req.body.interimToken, INTERIM_PURPOSES.twoFactorLogin);
+      } catch (err) {
+        return next(new UnauthorizedError('Sign-in expired, please log in again', 'LOGIN_EXPIRED'));
+      }
+
+      const attempt = await reserveCodeAttempt(userId);
+
+      const user = await User.findById(userId).select(SECRET_FIELDS);
+      if (!user || !user.twoFactor.enabled) {
+        return next(new UnauthorizedError('Sign-in expired, please log in again', 'LOGIN_EXPIRED'));
+      }
+
+      if (!user.verifySecondFactor(req.body)) {
+        await recordWrongCode(attempt, user, req);
+        return next(new BadRequestError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE'));
+      }
+
+      await user.save();
+      await authThrottle.clear('twoFactor', userId);
+
+      const { token, refreshToken } = await issueTokens(user, req);
+
+      await recordAudit(req, 'user.login', auditTarget(user), {
+        actor: user,
+        after: { method: req.body.recoveryCode ? 'recovery-code' : 'totp' },
+      });
+
+      res.status(200).json({
+        success: true,
+        token,
+        refreshToken,
+        user: user.toAuthJSON(),
+        recoveryCodesLeft: user.twoFactor.recoveryCodes.length,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Start enrolling: create a secret and its QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or the interim token from login)
+router.post('/setup', enrollmentAuth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return next(new BadRequestError('Two-factor authentication is already enabled'));
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = totp.otpauthUrl({
+      secret,
+      account: user.email,
+      issuer: process.env.TOTP_ISSUER || 'MERN Blog',
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Finish enrolling by confirming a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or the interim token from login)
+router.post(
+  '/enable',
+  enrollmentAuth,
+  [body('code').notEmpty().withMessage('Please provide the code from your authenticator app')],
+  async (req, res, next) => {
+    try {
+      assertValid(req);
+
+      const user = await User.findById(req.user._id).select(
+        `${SECRET_FIELDS} +twoFactor.pendingSecret`
+      );
+
+      if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+        return next(new BadRequestError('Start the setup first'));
+      }
+
+      const step = totp.verify(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return next(new BadRequestError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE'));
+      }
+
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      const recoveryCodes = user.createRecoveryCodes();
+      await user.save();
+
+      await recordAudit(req, 'user.2fa-enable', auditTarget(user), {
+        actor: user,
+        after: { twoFactorEnabled: true },
+      });
+
+      // Users made to enroll while logging in get their session now
+      const tokens = req.enrollingAtLogin ? await issueTokens(user, req) : {};
+
+      res.status(200).json({
+        success: true,
+        recoveryCodes,
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        user: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post(
+  '/disable',
+  protect,
+  [body('password').notEmpty().withMessage('Please provide your current password'), ...secondFactorFields],
+  async (req, res, next) => {
+    try {
+      assertValid(req);
+
+      const user = await User.findById(req.user._id).select(`${SECRET_FIELDS} +password`);
+
+      if (!user.twoFactor.enabled) {
+        return next(new BadRequestError('Two-factor authentication is not enabled'));
+      }
+
+      if (await isTwoFactorRequired(user.role)) {
+        return next(
+          new BadRequestError(`Two-factor authentication is required for the '${user.role}' role`)
+        );
+      }
+
+      const attempt = await reserveCodeAttempt(user._id);
+      const passwordMatches = await user.comparePassword(req.body.password);
+      if (!passwordMatches || !user.verifySecondFactor(req.body)) {
+        await recordWrongCode(attempt, user, req);
+        return next(
+          new BadRequestError('Password or authentication code is incorrect', 'INVALID_CREDENTIALS')
+        );
+      }
+
+      user.twoFactor = { enabled: false };
+      await user.save();
+      await authThrottle.clear('twoFactor', user._id);
+
+      await recordAudit(req, 'user.2fa-disable', auditTarget(user), {
+        after: { twoFactorEnabled: false },
+      });
+
+      res.status(200).json({
+        success: true,
+        user: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post(
+  '/recovery-codes',
+  protect,
+  [body('code').notEmpty().withMessage('Please provide the code from your authenticator app')],
+  async (req, res, next) => {
+    try {
+      assertValid(req);
+
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return next(new BadRequestError('Two-factor authentication is not enabled'));
+      }
+
+      const attempt = await reserveCodeAttempt(user._id);
+      if (!user.verifySecondFactor({ code: req.body.code })) {
+        await recordWrongCode(attempt, user, req);
+        return next(new BadRequestError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE'));
+      }
+
+      const recoveryCodes = user.createRecoveryCodes();
+      await user.save();
+      await authThrottle.clear('twoFactor', user._id);
+
+      await recordAudit(req, 'user.2fa-recovery-codes', auditTarget(user));
+
+      res.status(200).json({
+        success: true,
+        recoveryCodes,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// uploads.js - Routes for image uploads
+
+const express = require('express');
+const User = require('../models/User');
+const { protect, requireVerifiedEmail, requirePermission, allowAccessToken } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { processImage } = require('../utils/imageProcessor');
+
+const router = express.Router();
+
+// @desc    Upload a post featured image
+// @route   POST /api/uploads/images
+// @access  Private/Author
+router.post(
+  '/images',
+  [
+    allowAccessToken('posts:write'),
+    protect,
+    requireVerifiedEmail,
+    requirePermission('media:upload'),
+    uploadImage('image'),
+  ],
+  async (req, res, next) => {
+    try {
+      const urls = await processImage(req.file.buffer, 'posts');
+
+      res.status(201).json({
+        success: true,
+        data: urls,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Upload the current user's avatar
+// @route   POST /api/uploads/avatar
+// @access  Private
+router.post(
+  '/avatar',
+  [protect, uploadImage('avatar')],
+  async (req, res, next) => {
+    try {
+      const urls = await processImage(req.file.buffer, 'avatars');
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { avatar: urls.original },
+        { new: true }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: urls,
+        user: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
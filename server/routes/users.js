@@ -0,0 +1,334 @@
+// users.js - Routes for managing user accounts
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const { protect, requirePermission } = require('../middleware/auth');
+const advancedResults = require('../middleware/advancedResults');
+const { ROLES } = require('../config/permissions');
+const authThrottle = require('../utils/authThrottle');
+const { recordAudit } = require('../utils/audit');
+const { BadRequestError, ValidationError, NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use(protect, requirePermission('users:manage'));
+
+// Load the user from the URL, or send a 404
+const loadUser = async (req, res, next) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('+securityEvents')
+      : null;
+
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const auditTarget = (user) => ({ type: 'User', id: user._id, label: user.email });
+
+// Admins can't change their own role, suspend or delete themselves, so there is
+// always at least one admin left. The deleted-user placeholder can't be changed.
+const checkTargetAllowed = (req, res, next) => {
+  if (req.targetUser._id.equals(req.user._id)) {
+    return next(new BadRequestError('You cannot do this to your own account'));
+  }
+
+  if (req.targetUser.isPlaceholder) {
+    return next(new BadRequestError('The deleted-user placeholder cannot be changed'));
+  }
+
+  next();
+};
+
+// Throw the request's validation errors, if it has any
+const assertValid = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) throw ValidationError.fromResult(errors);
+};
+
+// @desc    List users; supports ?search=, ?role=, ?suspended=true, sort and pagination
+// @route   GET /api/users
+// @access  Private/Admin
+router.get('/', advancedResults(User, null, { searchFields: ['name', 'email'] }), (req, res) => {
+  res.status(200).json(res.advancedResults);
+});
+
+// @desc    Get a user with how much they have written
+// @route   GET /api/users/:id
+// @access  Private/Admin
+router.get('/:id', loadUser, async (req, res, next) => {
+  try {
+    const [posts, comments] = await Promise.all([
+      Post.countDocuments({ author: req.targetUser._id }),
+      Comment.countDocuments({ user: req.targetUser._id }),
+    ]);
+
+    const { securityEvents, ...user } = req.targetUser.toObject();
+
+    res.status(200).json({
+      success: true,
+      data: { ...user, counts: { posts, comments } },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+router.put(
+  '/:id/role',
+  loadUser,
+  checkTargetAllowed,
+  [body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)],
+  async (req, res, next) => {
+    try {
+      assertValid(req);
+
+      const user = req.targetUser;
+      const previousRole = user.role;
+
+      if (previousRole !== req.body.role) {
+        user.role = req.body.role;
+        await user.save();
+
+        await User.recordSecurityEvent(user._id, {
+          type: 'role-change',
+          reason: `Role changed from ${previousRole} to ${user.role}`,
+          ip: req.ip,
+          by: req.user._id,
+        });
+
+        await recordAudit(req, 'user.role-change', auditTarget(user), {
+          before: { role: previousRole },
+          after: { role: user.role },
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Suspend an account; the user is signed out everywhere
+// @route   POST /api/users/:id/suspend
+// @access  Private/Admin
+router.post(
+  '/:id/suspend',
+  loadUser,
+  checkTargetAllowed,
+  [
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot be more than 200 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      assertValid(req);
+
+      const user = req.targetUser;
+      if (user.isSuspended()) {
+        return next(new BadRequestError('User is already suspended'));
+      }
+
+      user.suspended = true;
+      user.suspendedAt = new Date();
+      user.suspendedReason = req.body.reason || undefined;
+      await user.save();
+
+      const { modifiedCount } = await Session.revokeAll(user._id, { reason: 'suspended' });
+
+      await User.recordSecurityEvent(user._id, {
+        type: 'suspend',
+        reason: req.body.reason || 'Suspended by an administrator',
+        ip: req.ip,
+        by: req.user._id,
+      });
+
+      await recordAudit(req, 'user.suspend', auditTarget(user), {
+        before: { suspended: false },
+        after: { suspended: true, reason: user.suspendedReason || null, revokedSessions: modifiedCount },
+      });
+
+      res.status(200).json({
+        success: true,
+        revokedSessions: modifiedCount,
+        data: user.toAuthJSON(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Reactivate a suspended account
+// @route   POST /api/users/:id/reactivate
+// @access  Private/Admin
+router.post('/:id/reactivate', loadUser, checkTargetAllowed, async (req, res, next) => {
+  try {
+    const user = req.targetUser;
+    if (!user.isSuspended()) {
+      return next(new BadRequestError('User is not suspended'));
+    }
+
+    user.suspended = false;
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    await user.save();
+
+    await User.recordSecurityEvent(user._id, {
+      type: 'reactivate',
+      reason: 'Reactivated by an administrator',
+      ip: req.ip,
+      by: req.user._id,
+    });
+
+    await recordAudit(req, 'user.reactivate', auditTarget(user), {
+      before: { suspended: true },
+      after: { suspended: false },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user.toAuthJSON(),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Delete a user. Their posts, comments and revisions move to another
+//          user (?reassignTo=<id>) or to the "Deleted user" placeholder.
+// @route   DELETE /api/users/:id
+// @access  Private/Admin
+router.delete(
+  '/:id',
+  loadUser,
+  checkTargetAllowed,
+  [query('reassignTo').optional().isMongoId().withMessage('reassignTo must be a valid user ID')],
+  async (req, res, next) => {
+    try {
+      assertValid(req);
+
+      const user = req.targetUser;
+      let replacement;
+
+      if (req.query.reassignTo) {
+        replacement = await User.findById(req.query.reassignTo);
+        if (!replacement || replacement._id.equals(user._id)) {
+          return next(new BadRequestError('Choose another existing user to reassign content to'));
+        }
+      } else {
+        replacement = await User.getDeletedUserPlaceholder();
+      }
+
+      const [posts, comments] = await Promise.all([
+        Post.updateMany({ author: user._id }, { author: replacement._id }),
+        Comment.updateMany({ user: user._id }, { user: replacement._id }),
+        PostRevision.updateMany({ editor: user._id }, { editor: replacement._id }),
+      ]);
+
+      // Moderation records are anonymized rather than credited to someone else
+      const placeholder = req.query.reassignTo ? await User.getDeletedUserPlaceholder() : replacement;
+      await Promise.all([
+        Comment.updateMany({ moderatedBy: user._id }, { moderatedBy: placeholder._id }),
+        Comment.updateMany({ deletedBy: user._id }, { deletedBy: placeholder._id }),
+      ]);
+
+      await Session.deleteMany({ user: user._id });
+      await AccessToken.deleteMany({ user: user._id });
+      await authThrottle.clear('account', user.email);
+      await user.deleteOne();
+
+      await recordAudit(req, 'user.delete', auditTarget(user), {
+        before: { name: user.name, email: user.email, role: user.role },
+        after: {
+          reassignedTo: replacement._id.toString(),
+          posts: posts.modifiedCount,
+          comments: comments.modifiedCount,
+        },
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          reassignedTo: { id: replacement._id, name: replacement.name },
+          posts: posts.modifiedCount,
+          comments: comments.modifiedCount,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// @desc    Lift a login lockout on an account
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+router.post('/:id/unlock', loadUser, async (req, res, next) => {
+  try {
+    const user = req.targetUser;
+    const wasLocked = await authThrottle.clear('account', user.email);
+
+    await User.recordSecurityEvent(user._id, {
+      type: 'unlock',
+      reason: 'Unlocked by an administrator',
+      ip: req.ip,
+      by: req.user._id,
+    });
+
+    await recordAudit(req, 'user.unlock', auditTarget(user), { after: { wasLocked } });
+
+    res.status(200).json({
+      success: true,
+      data: { wasLocked },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Lockout and unlock history of an account
+// @route   GET /api/users/:id/security-events
+// @access  Private/Admin
+router.get('/:id/security-events', loadUser, async (req, res, next) => {
+  try {
+    const lockout = await authThrottle.check('account', req.targetUser.email);
+    await req.targetUser.populate('securityEvents.by', 'name email');
+
+    res.status(200).json({
+      success: true,
+      locked: lockout.locked,
+      retryAfter: lockout.locked ? lockout.retryAfter : 0,
+      data: [...req.targetUser.securityEvents].reverse(),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+// generateApiClient.js - Write client service functions from the OpenAPI document
+//
+// Usage: npm run generate:client [-- <output file>]
+// Prints to stdout without an output file. Each tag becomes a service named by
+// its x-client-service, with a function per operation named by its operationId,
+// in the style of client/src/services/api.js. Operations that only redirect the
+// browser (no 2xx response) are left out. Uploads take a FormData as their data,
+// and files such as CSV exports resolve to a Blob.
+
+const fs = require('fs');
+const spec = require('../docs/openapi');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const SENDS_BODY = ['post', 'put', 'patch'];
+
+// '/posts/{id}' => '`/posts/${id}`', '/posts' => "'/posts'"
+const urlExpression = (path) =>
+  path.includes('{') ? `\`${path.replace(/{(\w+)}/g, '${$1}')}\`` : `'${path}'`;
+
+// Whether a successful response is a file rather than JSON
+const returnsFile = (operation) =>
+  Object.entries(operation.responses).some(
+    ([status, response]) =>
+      /^2/.test(status) && response.content && !response.content['application/json']
+  );
+
+const generateFunction = (path, method, operation) => {
+  const parameters = operation.parameters || [];
+  const pathParams = parameters.filter((param) => param.in === 'path').map((param) => param.name);
+  const hasQuery = parameters.some((param) => param.in === 'query');
+
+  const args = [...pathParams];
+  if (operation.requestBody) args.push(operation.requestBody.required ? 'data' : 'data = {}');
+  if (hasQuery) args.push('params = {}');
+
+  const config = [];
+  if (hasQuery) config.push('params');
+  if (returnsFile(operation)) config.push("responseType: 'blob'");
+
+  const callArgs = [urlExpression(path)];
+  if (SENDS_BODY.includes(method) && (operation.requestBody || config.length > 0)) {
+    callArgs.push(operation.requestBody ? 'data' : 'undefined');
+  }
+  if (config.length > 0) callArgs.push(`{ ${config.join(', ')} }`);
+
+  return [
+    `  // ${operation.summary}`,
+    `  ${operation.operationId}: async (${args.join(', ')}) => {`,
+    `    const response = await api.${method}(${callArgs.join(', ')});`,
+    '    return response.data;',
+    '  },',
+  ].join('\n');
+};
+
+const generate = () => {
+  const services = new Map(spec.tags.map((tag) => [tag.name, { tag, functions: [] }]));
+
+  Object.entries(spec.paths).forEach(([path, item]) => {
+    METHODS.filter((method) => item[method]).forEach((method) => {
+      const operation = item[method];
+      const returnsJson = Object.keys(operation.responses).some((status) => /^2/.test(status));
+      if (!returnsJson) return;
+
+      const service = services.get(operation.tags[0]);
+      service.functions.push(generateFunction(path, method, operation));
+    });
+  });
+
+  const blocks = [...services.values()].map(
+    ({ tag, functions }) =>
+      `// ${tag.name} API services\nexport const ${tag['x-client-service']} = {\n` +
+      `${functions.join('\n\n')}\n};`
+  );
+
+  return [
+    '// api.generated.js - Client services generated from the OpenAPI document',
+    '// by server/scripts/generateApiClient.js; regenerate rather than edit.',
+    '',
+    "import api from './api';",
+    '',
+    blocks.join('\n\n'),
+    '',
+  ].join('\n');
+};
+
+const output = process.argv[2];
+if (output) {
+  fs.writeFileSync(output, generate());
+  console.log(`Wrote ${output}`);
+} else {
+  process.stdout.write(generate());
+}
@@ -0,0 +1,64 @@
+// migrateComments.js - Move comments embedded in posts into the comments collection
+//
+// Usage: npm run migrate:comments
+// Safe to re-run: posts are only touched once their comments have been copied.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read the raw collection, since `comments` is no longer part of the Post schema
+  const posts = mongoose.connection.collection('posts');
+  const cursor = posts.find({ 'comments.0': { $exists: true } });
+
+  let postCount = 0;
+  let commentCount = 0;
+
+  for await (const post of cursor) {
+    const comments = post.comments
+      .filter((comment) => comment.user && comment.content)
+      .map((comment) => ({
+        _id: comment._id,
+        post: post._id,
+        user: comment.user,
+        content: comment.content,
+        // These were already public, so they don't go through moderation
+        status: 'approved',
+        createdAt: comment.createdAt,
+        updatedAt: comment.createdAt,
+      }));
+
+    if (comments.length > 0) {
+      // Keep the original _ids so a re-run after a partial failure skips what was copied
+      await Comment.bulkWrite(
+        comments.map((comment) => ({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: { $setOnInsert: comment },
+            upsert: true,
+          },
+        })),
+        { timestamps: false }
+      );
+    }
+
+    await posts.updateOne({ _id: post._id }, { $unset: { comments: '' } });
+
+    postCount += 1;
+    commentCount += comments.length;
+  }
+
+  console.log(`Migrated ${commentCount} comments from ${postCount} posts`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error('Comment migration failed', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
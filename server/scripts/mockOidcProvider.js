@@ -0,0 +1,216 @@
+// mockOidcProvider.js - Minimal OpenID Connect provider for local development and tests
+//
+// Usage: npm run mock:oidc
+// Then configure the blog with:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:4000
+//   OIDC_MOCK_CLIENT_ID=mern-blog
+//
+// The sign-in page lets you pick any email and name. Set MOCK_OIDC_AUTO_APPROVE=true
+// to skip it and sign in as MOCK_OIDC_EMAIL straight away, e.g. in automated tests.
+// Set MOCK_OIDC_EMAIL_VERIFIED=false to test providers that don't verify emails.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'mern-blog';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET;
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'jane@example.com';
+const DEFAULT_NAME = process.env.MOCK_OIDC_NAME || 'Jane Example';
+const EMAIL_VERIFIED = process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false';
+const AUTO_APPROVE = process.env.MOCK_OIDC_AUTO_APPROVE === 'true';
+
+// A fresh signing key on every start; clients fetch it from the JWKS endpoint
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued but unredeemed authorization codes, and issued access tokens
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Stable subject per email, like a real provider's user id
+const subjectFor = (email) =>
+  crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }],
+  });
+});
+
+// Redirect back to the client with a new authorization code
+const approve = (res, params, { email, name }) => {
+  const code = base64url(crypto.randomBytes(24));
+  codes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    user: { email, name },
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const url = new URL(params.redirect_uri);
+  url.searchParams.set('code', code);
+  if (params.state) url.searchParams.set('state', params.state);
+  res.redirect(url.toString());
+};
+
+const checkAuthorizeParams = (params) => {
+  if (params.client_id !== CLIENT_ID) return 'unknown client_id';
+  if (params.response_type !== 'code') return 'response_type must be code';
+  if (!params.redirect_uri) return 'redirect_uri is required';
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    return 'PKCE with S256 is required';
+  }
+  return null;
+};
+
+app.get('/authorize', (req, res) => {
+  const error = checkAuthorizeParams(req.query);
+  if (error) {
+    return res.status(400).send(escapeHtml(error));
+  }
+
+  if (AUTO_APPROVE) {
+    return approve(res, req.query, { email: DEFAULT_EMAIL, name: DEFAULT_NAME });
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<h1>Mock identity provider</h1>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Email <input name="email" type="email" value="${escapeHtml(DEFAULT_EMAIL)}" required></label></p>
+  <p><label>Name <input name="name" value="${escapeHtml(DEFAULT_NAME)}"></label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const error = checkAuthorizeParams(req.body);
+  if (error) {
+    return res.status(400).send(escapeHtml(error));
+  }
+
+  const { email, name, ...params } = req.body;
+  approve(res, params, { email, name: name || email });
+});
+
+// Client credentials from Basic auth or the form body
+const clientCredentials = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+app.post('/token', (req, res) => {
+  const client = clientCredentials(req);
+  if (client.id !== CLIENT_ID || (CLIENT_SECRET && client.secret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (req.body.grant_type !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.clientId !== client.id ||
+    grant.redirectUri !== req.body.redirect_uri
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = base64url(
+    crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest()
+  );
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const claims = {
+    sub: subjectFor(grant.user.email),
+    email: grant.user.email,
+    email_verified: EMAIL_VERIFIED,
+    name: grant.user.name,
+  };
+
+  const accessToken = base64url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, claims);
+
+  const idToken = jwt.sign({ ...claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m',
+  });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client id '${CLIENT_ID}')`);
+});
@@ -11,6 +11,14 @@ const path = require('path');
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
 const authRoutes = require('./routes/auth');
+const uploadRoutes = require('./routes/uploads');
+const moderationRoutes = require('./routes/moderation');
+const userRoutes = require('./routes/users');
+const settingRoutes = require('./routes/settings');
+const auditLogRoutes = require('./routes/auditLogs');
+const publishScheduler = require('./utils/publishScheduler');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const openapi = require('./middleware/openapi');
 
 // Load environment variables
 dotenv.config();
@@ -19,8 +27,15 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or "loopback") so req.ip is
+// the client's address; login throttling and sessions rely on it
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Link'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -35,30 +50,43 @@ if (process.env.NODE_ENV === 'development') {
   });
 }
 
+// API docs
+app.use('/api/docs', openapi.docs);
+
+// Check requests and responses against the API docs in development mode
+if (process.env.NODE_ENV === 'development') {
+  app.use(openapi.validate());
+}
+
 // API routes
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 
 // Root route
 app.get('/', (req, res) => {
   res.send('MERN Blog API is running');
 });
 
+// Unknown API routes
+app.use('/api', notFound);
+
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(err.statusCode || 500).json({
-    success: false,
-    error: err.message || 'Server Error',
-  });
-});
+app.use(errorHandler);
 
 // Connect to MongoDB and start server
 mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
+    publishScheduler
+      .start()
+      .catch((err) => console.error('Failed to start publish scheduler', err));
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
@@ -0,0 +1,152 @@
+// advancedResults.test.js - Query string filters, sorting and projections
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const {
+  buildFilter,
+  buildSort,
+  buildSelect,
+  keepSortFields,
+} = require('../middleware/advancedResults');
+
+const ID = '507f1f77bcf86cd799439011';
+const OTHER_ID = '507f1f77bcf86cd799439012';
+
+// Assert that fn throws the API's INVALID_QUERY error
+const assertInvalid = (fn, message) =>
+  assert.throws(fn, (err) => {
+    assert.equal(err.statusCode, 400);
+    assert.equal(err.code, 'INVALID_QUERY');
+    if (message) assert.match(err.message, message);
+    return true;
+  });
+
+describe('buildFilter', () => {
+  it('matches plain values by equality, cast to the field type', () => {
+    const filter = buildFilter(Post, { isPublished: 'true', viewCount: '3', author: ID });
+    assert.deepEqual(filter, {
+      isPublished: { $eq: true },
+      viewCount: { $eq: 3 },
+      author: { $eq: ID },
+    });
+  });
+
+  it('applies operators to the field type', () => {
+    const filter = buildFilter(Post, {
+      createdAt: { gte: '2024-01-01', lt: '2024-02-01' },
+      title: { contains: 'a.b' },
+    });
+    assert.deepEqual(filter.createdAt, {
+      $gte: new Date('2024-01-01'),
+      $lt: new Date('2024-02-01'),
+    });
+    assert.deepEqual(filter.title, { $regex: 'a\\.b', $options: 'i' });
+  });
+
+  it('splits in and nin lists and casts every item', () => {
+    assert.deepEqual(buildFilter(Post, { tags: { in: 'news,tech' } }), {
+      tags: { $in: ['news', 'tech'] },
+    });
+    assert.deepEqual(buildFilter(Post, { author: { nin: [ID, OTHER_ID] } }), {
+      author: { $nin: [ID, OTHER_ID] },
+    });
+    assertInvalid(() => buildFilter(Post, { author: { in: `${ID},nope` } }), /Invalid ID/);
+  });
+
+  it('ignores the parameters that control the query', () => {
+    const query = { page: '2', limit: '5', sort: 'title', select: 'title', cursor: '', search: 'x' };
+    assert.deepEqual(buildFilter(Post, query), {});
+  });
+
+  it('refuses fields outside FILTERABLE_FIELDS', () => {
+    assertInvalid(() => buildFilter(Post, { content: 'x' }), /Unknown filter field 'content'/);
+    assertInvalid(() => buildFilter(Post, { $where: 'sleep(1000)' }), /Unknown filter field/);
+  });
+
+  it('never filters on hidden fields', () => {
+    assertInvalid(() => buildFilter(User, { password: 'x' }), /Unknown filter field/);
+    assertInvalid(() => buildFilter(User, { resetPasswordTokenHash: 'x' }), /Unknown filter field/);
+  });
+
+  it('refuses unknown operators and operators of other types', () => {
+    assertInvalid(() => buildFilter(Post, { title: { regex: '.*' } }), /Unknown operator/);
+    assertInvalid(() => buildFilter(Post, { title: { gt: 'a' } }), /can't be used/);
+    assertInvalid(() => buildFilter(Post, { viewCount: { contains: '1' } }), /can't be used/);
+  });
+
+  it('refuses values that are not of the field type', () => {
+    assertInvalid(() => buildFilter(Post, { viewCount: 'many' }), /Invalid number/);
+    assertInvalid(() => buildFilter(Post, { viewCount: ' ' }), /Invalid number/);
+    assertInvalid(() => buildFilter(Post, { isPublished: 'yes' }), /Invalid boolean/);
+    assertInvalid(() => buildFilter(Post, { createdAt: { gte: 'soon' } }), /Invalid date/);
+    assertInvalid(() => buildFilter(Post, { category: 'news' }), /Invalid ID/);
+  });
+
+  it('refuses nested objects as values', () => {
+    assertInvalid(() => buildFilter(Post, { title: { eq: { $ne: null } } }), /Invalid value/);
+  });
+
+  it('asks for [in] when a field is repeated', () => {
+    assertInvalid(() => buildFilter(Post, { tags: ['a', 'b'] }), /tags\[in\]/);
+  });
+
+  it('accepts only true or false for exists', () => {
+    assert.deepEqual(buildFilter(Post, { publishAt: { exists: 'false' } }), {
+      publishAt: { $exists: false },
+    });
+    assertInvalid(() => buildFilter(Post, { publishAt: { exists: '1' } }), /true or false/);
+  });
+
+  it('searches the given fields with the text escaped', () => {
+    const filter = buildFilter(User, { search: 'a+b' }, { searchFields: ['name', 'email'] });
+    assert.deepEqual(filter.$or, [{ name: /a\+b/i }, { email: /a\+b/i }]);
+  });
+});
+
+describe('buildSort', () => {
+  it('uses the default when no sort is given', () => {
+    assert.equal(buildSort(Post, undefined), '-createdAt');
+    assert.equal(buildSort(Post, '', 'title'), 'title');
+  });
+
+  it('allows only SORTABLE_FIELDS', () => {
+    assert.equal(buildSort(Post, 'title,-createdAt'), 'title -createdAt');
+    assertInvalid(() => buildSort(Post, 'content'), /Unknown sort field 'content'/);
+    assertInvalid(() => buildSort(Post, ['title']), /comma-separated/);
+  });
+});
+
+describe('buildSelect', () => {
+  it('accepts a list of fields to include or to exclude', () => {
+    assert.equal(buildSelect(Post, 'title, slug'), 'title slug');
+    assert.equal(buildSelect(Post, '-content,-toc'), '-content -toc');
+  });
+
+  it('refuses to mix included and excluded fields', () => {
+    assertInvalid(() => buildSelect(Post, 'title,-content'), /all be included or all be excluded/);
+    assertInvalid(() => buildSelect(Post, '-_id,title'), /all be included or all be excluded/);
+  });
+
+  it('refuses hidden and unknown fields', () => {
+    assertInvalid(() => buildSelect(User, 'email,password'), /Unknown select field 'password'/);
+    assertInvalid(() => buildSelect(Post, 'secret'), /Unknown select field/);
+  });
+});
+
+describe('keepSortFields', () => {
+  it('adds _id and the sort fields to an inclusion list', () => {
+    assert.equal(keepSortFields('title slug', '-createdAt'), 'title slug _id createdAt');
+    assert.equal(keepSortFields('title', 'title'), 'title _id');
+  });
+
+  it('stops an exclusion list leaving out _id or the sort fields', () => {
+    assert.equal(keepSortFields('-content -viewCount', '-viewCount'), '-content');
+    assert.equal(keepSortFields('-_id -toc', 'title'), '-toc');
+  });
+
+  it('leaves an empty projection alone', () => {
+    assert.equal(keepSortFields('', '-createdAt'), '');
+  });
+});
@@ -0,0 +1,78 @@
+// auth.test.js - Auth routes, with the models they touch mocked out
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const AuditLog = require('../models/AuditLog');
+const { errorHandler } = require('../middleware/errorHandler');
+
+describe('POST /api/auth/reset-password', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('deletes access tokens as well as revoking sessions', async () => {
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'reader@example.com',
+      save: async () => user,
+    };
+    mock.method(User, 'findByResetToken', async () => user);
+    const revokeAll = mock.method(Session, 'revokeAll', async () => ({ modifiedCount: 2 }));
+    const deleteMany = mock.method(AccessToken, 'deleteMany', async () => ({ deletedCount: 3 }));
+    const audit = mock.method(AuditLog, 'create', async (entry) => entry);
+
+    const res = await fetch(`${baseUrl}/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: 'reset-token', password: 'new-password' }),
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.revokedSessions, 2);
+    assert.equal(body.deletedTokens, 3);
+    assert.equal(revokeAll.mock.calls[0].arguments[0], user._id);
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { user: user._id });
+
+    const entry = audit.mock.calls[0].arguments[0];
+    assert.equal(entry.action, 'user.password-reset');
+    assert.deepEqual(entry.after, { revokedSessions: 2, deletedTokens: 3 });
+  });
+
+  it('leaves access tokens alone when the token is wrong', async () => {
+    mock.method(User, 'findByResetToken', async () => null);
+    const deleteMany = mock.method(AccessToken, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+    const res = await fetch(`${baseUrl}/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: 'wrong-token', password: 'new-password' }),
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(deleteMany.mock.callCount(), 0);
+  });
+});
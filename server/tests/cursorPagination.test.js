@@ -0,0 +1,153 @@
+// cursorPagination.test.js - Opaque cursors and keyset pages
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { paginateByCursor, encodeCursor, decodeCursor } = require('../utils/cursorPagination');
+
+const ids = Array.from({ length: 5 }, (_, i) => `64b000000000000000000${i}00`.slice(-24));
+const docs = ids.map((_id, i) => ({ _id, viewCount: 10 - i }));
+
+const encode = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+// Assert that fn throws the API's INVALID_CURSOR error
+const assertInvalid = (fn, message) =>
+  assert.throws(fn, (err) => {
+    assert.equal(err.statusCode, 400);
+    assert.equal(err.code, 'INVALID_CURSOR');
+    if (message) assert.match(err.message, message);
+    return true;
+  });
+
+// Stand-in for a Mongoose query that records what was asked of it and
+// resolves to the given documents
+const fakeQuery = (results) => {
+  const calls = {};
+  const query = {
+    and: (conditions) => {
+      calls.and = conditions;
+      return query;
+    },
+    sort: (sort) => {
+      calls.sort = sort;
+      return query;
+    },
+    limit: (limit) => {
+      calls.limit = limit;
+      return Promise.resolve(results.slice(0, limit));
+    },
+  };
+  return { query, calls };
+};
+
+describe('cursor codec', () => {
+  it('round-trips a position', () => {
+    const cursor = encodeCursor(docs[1], '-viewCount', 'next');
+    assert.match(cursor, /^[\w-]+$/);
+    assert.deepEqual(decodeCursor(cursor, '-viewCount'), {
+      value: 9,
+      id: ids[1],
+      direction: 'next',
+    });
+  });
+
+  it('reads values through get() on documents', () => {
+    const doc = { _id: ids[0], get: (field) => ({ createdAt: '2024-01-01' })[field] };
+    assert.equal(decodeCursor(encodeCursor(doc, 'createdAt', 'prev'), 'createdAt').value, '2024-01-01');
+  });
+
+  it('keeps missing values as null', () => {
+    const cursor = encodeCursor({ _id: ids[0] }, 'publishedAt', 'next');
+    assert.equal(decodeCursor(cursor, 'publishedAt').value, null);
+  });
+
+  it('refuses cursors that are not its own', () => {
+    assertInvalid(() => decodeCursor('not a cursor!', '-createdAt'), /Invalid cursor/);
+    assertInvalid(() => decodeCursor(encode(null), '-createdAt'), /Invalid cursor/);
+    assertInvalid(
+      () => decodeCursor(encode({ s: '-createdAt', v: 1, id: 'nope', d: 'next' }), '-createdAt'),
+      /Invalid cursor/
+    );
+    assertInvalid(
+      () => decodeCursor(encode({ s: '-createdAt', v: 1, id: ids[0], d: 'up' }), '-createdAt'),
+      /Invalid cursor/
+    );
+  });
+
+  it('refuses operator objects as values', () => {
+    const cursor = encode({ s: '-createdAt', v: { $gt: '' }, id: ids[0], d: 'next' });
+    assertInvalid(() => decodeCursor(cursor, '-createdAt'), /Invalid cursor/);
+  });
+
+  it('refuses a cursor made for another sort order', () => {
+    const cursor = encodeCursor(docs[0], '-viewCount', 'next');
+    assertInvalid(() => decodeCursor(cursor, 'viewCount'), /different sort order/);
+  });
+});
+
+describe('paginateByCursor', () => {
+  it('reads the first page with one extra document to see if there is more', async () => {
+    const { query, calls } = fakeQuery(docs);
+    const { results, pagination } = await paginateByCursor(query, {
+      sort: '-viewCount',
+      limit: 2,
+      cursor: '',
+    });
+
+    assert.equal(calls.and, undefined);
+    assert.deepEqual(calls.sort, { viewCount: -1, _id: -1 });
+    assert.equal(calls.limit, 3);
+    assert.deepEqual(results, docs.slice(0, 2));
+    assert.equal(pagination.previous, undefined);
+    assert.deepEqual(decodeCursor(pagination.next.cursor, '-viewCount'), {
+      value: 9,
+      id: ids[1],
+      direction: 'next',
+    });
+  });
+
+  it('continues after the cursor', async () => {
+    const cursor = encodeCursor(docs[1], '-viewCount', 'next');
+    const { query, calls } = fakeQuery(docs.slice(2));
+    const { results, pagination } = await paginateByCursor(query, {
+      sort: '-viewCount',
+      limit: 3,
+      cursor,
+    });
+
+    assert.deepEqual(calls.and, [
+      {
+        $or: [
+          { viewCount: { $lt: 9 } },
+          { viewCount: 9, _id: { $lt: ids[1] } },
+          { viewCount: null },
+        ],
+      },
+    ]);
+    assert.deepEqual(results, docs.slice(2));
+    assert.equal(pagination.next, undefined);
+    assert.ok(pagination.previous.cursor);
+  });
+
+  it('reads backwards from a previous-page cursor and flips the page back', async () => {
+    const cursor = encodeCursor(docs[3], '-viewCount', 'prev');
+    const { query, calls } = fakeQuery([docs[2], docs[1], docs[0]]);
+    const { results, pagination } = await paginateByCursor(query, {
+      sort: '-viewCount',
+      limit: 2,
+      cursor,
+    });
+
+    assert.deepEqual(calls.sort, { viewCount: 1, _id: 1 });
+    assert.deepEqual(results, [docs[1], docs[2]]);
+    assert.ok(pagination.next);
+    assert.ok(pagination.previous);
+  });
+
+  it('only sorts by one field', async () => {
+    const { query } = fakeQuery(docs);
+    await assert.rejects(
+      paginateByCursor(query, { sort: 'title -createdAt', limit: 2, cursor: '' }),
+      /one field/
+    );
+  });
+});
@@ -0,0 +1,84 @@
+// openapi.test.js - Every route the server mounts is described in the API document
+//
+// The request validator lets undocumented routes through unchecked, so this is
+// what stops a new route from going without docs and validation.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const spec = require('../docs/openapi');
+
+const API_PREFIX = '/api';
+
+// The routers server.js mounts under /api, read from its source since requiring
+// it would connect to the database
+const mountedRouters = () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+  const modules = new Map(
+    [...source.matchAll(/const (\w+) = require\('(\.\/routes\/[\w/]+)'\)/g)].map(
+      ([, name, file]) => [name, file]
+    )
+  );
+
+  return [...source.matchAll(/app\.use\('(\/api\/[\w/-]+)', (\w+)\)/g)]
+    .filter(([, , name]) => modules.has(name))
+    .map(([, mountPath, name]) => ({
+      mountPath: mountPath.slice(API_PREFIX.length),
+      router: require(path.join('..', modules.get(name))),
+    }));
+};
+
+// The path a nested router is mounted at, from the pattern Express made of it,
+// e.g. ^(?:\/([^/]+?))\/comments\/?(?=\/|$) with key postId is /{postId}/comments
+const layerPath = (layer) => {
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/{${layer.keys[keyIndex++].name}}`)
+    .replace(/\\\//g, '/');
+};
+
+// "METHOD /path" for every route in a router and the routers inside it
+const listRoutes = (router, prefix) =>
+  router.stack.flatMap((layer) => {
+    if (layer.route) {
+      const routePath = `${prefix}${layer.route.path.replace(/:(\w+)/g, '{$1}')}`;
+      return Object.keys(layer.route.methods).map(
+        (method) => `${method.toUpperCase()} ${routePath.replace(/(.)\/$/, '$1')}`
+      );
+    }
+    if (layer.handle && layer.handle.stack) {
+      return listRoutes(layer.handle, `${prefix}${layerPath(layer)}`);
+    }
+    return [];
+  });
+
+// Paths are compared without parameter names, which may differ between the two
+const withoutParamNames = (route) => route.replace(/\{\w+\}/g, '{}');
+
+describe('OpenAPI document', () => {
+  const routes = mountedRouters().flatMap(({ mountPath, router }) =>
+    listRoutes(router, mountPath)
+  );
+
+  it('finds the mounted routes', () => {
+    assert.ok(routes.includes('GET /posts'));
+    assert.ok(routes.includes('PUT /posts/{postId}/comments/{id}'));
+    assert.ok(routes.includes('POST /auth/2fa/login'));
+  });
+
+  it('documents every mounted route', () => {
+    const documented = new Set(
+      Object.entries(spec.paths).flatMap(([specPath, operations]) =>
+        Object.keys(operations).map((method) =>
+          withoutParamNames(`${method.toUpperCase()} ${specPath}`)
+        )
+      )
+    );
+
+    const undocumented = routes.filter((route) => !documented.has(withoutParamNames(route)));
+    assert.deepEqual(undocumented, []);
+  });
+});
@@ -0,0 +1,51 @@
+// posts.test.js - Request checks of the post routes that need no database
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const postRoutes = require('../routes/posts');
+const { errorHandler } = require('../middleware/errorHandler');
+
+describe('GET /api/posts/search', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/posts', postRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/posts/search`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const search = async (queryString) => {
+    const res = await fetch(`${baseUrl}?${queryString}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('requires a query', async () => {
+    const { status, body } = await search('q=%20');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+  });
+
+  it('refuses repeated parameters instead of searching with an array', async () => {
+    for (const queryString of [
+      'q=a&q=b',
+      'q=a&tag=x&tag=y',
+      'q=a&category=x&category=y',
+      'q=a&author=507f1f77bcf86cd799439011&author=507f1f77bcf86cd799439012',
+      'q=a&from=2024-01-01&from=2024-02-01',
+    ]) {
+      const { status, body } = await search(queryString);
+      assert.equal(status, 400, queryString);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+      assert.match(body.details[0].message, /once/);
+    }
+  });
+});
@@ -0,0 +1,71 @@
+// session.test.js - Refresh token rotation
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const SESSION_ID = '507f1f77bcf86cd799439011';
+const req = { ip: '203.0.113.7' };
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Session.rotate', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('swaps the token in a single update that only matches the current one', async () => {
+    const findOneAndUpdate = mock.method(Session, 'findOneAndUpdate', async () => ({
+      _id: SESSION_ID,
+    }));
+    const updateOne = mock.method(Session, 'updateOne', async () => ({}));
+
+    const result = await Session.rotate(`${SESSION_ID}.secret`, req);
+
+    assert.equal(findOneAndUpdate.mock.callCount(), 1);
+    assert.equal(updateOne.mock.callCount(), 0);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter._id, SESSION_ID);
+    assert.equal(filter.refreshTokenHash, sha256('secret'));
+    assert.equal(filter.revokedAt, null);
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+
+    // The old hash is remembered, keeping only the most recent ones
+    assert.deepEqual(update.$push.previousTokenHashes.$each, [sha256('secret')]);
+    assert.ok(update.$push.previousTokenHashes.$slice < 0);
+    assert.equal(update.$set.ip, req.ip);
+
+    // The new token belongs to the session and matches the stored hash
+    const [sessionId, secret] = result.refreshToken.split('.');
+    assert.equal(sessionId, SESSION_ID);
+    assert.notEqual(secret, 'secret');
+    assert.equal(update.$set.refreshTokenHash, sha256(secret));
+  });
+
+  it('revokes the session when a rotated-out token comes back', async () => {
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+    const updateOne = mock.method(Session, 'updateOne', async () => ({}));
+
+    assert.equal(await Session.rotate(`${SESSION_ID}.stolen`, req), null);
+
+    assert.equal(updateOne.mock.callCount(), 1);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: SESSION_ID,
+      previousTokenHashes: sha256('stolen'),
+      revokedAt: null,
+    });
+    assert.equal(update.revokedReason, 'reuse');
+  });
+
+  it('rejects malformed tokens without a query', async () => {
+    const findOneAndUpdate = mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await Session.rotate('not-a-token', req), null);
+    assert.equal(await Session.rotate('nope.secret', req), null);
+    assert.equal(await Session.rotate(undefined, req), null);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,109 @@
+// totp.test.js - One-time and recovery codes for two-factor authentication
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+const User = require('../models/User');
+
+// The SHA-1 secret of the RFC 6238 test vectors, "12345678901234567890", in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('codeAt', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    // The RFC lists 8-digit codes; apps use their last 6 digits
+    assert.equal(totp.codeAt(SECRET, totp.stepAt(59 * 1000)), '287082');
+    assert.equal(totp.codeAt(SECRET, totp.stepAt(1111111109 * 1000)), '081804');
+    assert.equal(totp.codeAt(SECRET, totp.stepAt(2000000000 * 1000)), '279037');
+  });
+});
+
+describe('verify', () => {
+  const now = 1111111109 * 1000;
+  const step = totp.stepAt(now);
+
+  beforeEach(() => {
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts the current code and returns its step', () => {
+    assert.equal(totp.verify(SECRET, '081804'), step);
+    assert.equal(totp.verify(SECRET, '081 804'), step);
+  });
+
+  it('allows one step of clock drift either way, and no more', () => {
+    assert.equal(totp.verify(SECRET, totp.codeAt(SECRET, step - 1)), step - 1);
+    assert.equal(totp.verify(SECRET, totp.codeAt(SECRET, step + 1)), step + 1);
+    assert.equal(totp.verify(SECRET, totp.codeAt(SECRET, step - 2)), null);
+    assert.equal(totp.verify(SECRET, totp.codeAt(SECRET, step + 2)), null);
+  });
+
+  it('refuses codes from steps already used', () => {
+    assert.equal(totp.verify(SECRET, '081804', { afterStep: step }), null);
+    assert.equal(totp.verify(SECRET, '081804', { afterStep: step - 1 }), step);
+  });
+
+  it('refuses wrong and malformed codes', () => {
+    ['000000', '08180', '0818044', 'abcdef', '', null, undefined].forEach((code) => {
+      assert.equal(totp.verify(SECRET, code), null);
+    });
+  });
+
+  it('works with generated secrets', () => {
+    const secret = totp.generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(totp.verify(secret, totp.codeAt(secret, step)), step);
+  });
+});
+
+describe('User#verifySecondFactor', () => {
+  const now = 1111111109 * 1000;
+  const step = totp.stepAt(now);
+
+  // An unsaved user with two-factor authentication on; verifySecondFactor
+  // only changes the document, the routes save it
+  const enrolledUser = () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret1' });
+    user.twoFactor = { enabled: true, secret: SECRET };
+    return user;
+  };
+
+  beforeEach(() => {
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts a code once and refuses it again', () => {
+    const user = enrolledUser();
+    assert.equal(user.verifySecondFactor({ code: '081804' }), true);
+    assert.equal(user.twoFactor.lastUsedStep, step);
+    assert.equal(user.verifySecondFactor({ code: '081804' }), false);
+    assert.equal(user.verifySecondFactor({ code: totp.codeAt(SECRET, step - 1) }), false);
+    assert.equal(user.verifySecondFactor({ code: totp.codeAt(SECRET, step + 1) }), true);
+  });
+
+  it('refuses codes outside the drift window', () => {
+    const user = enrolledUser();
+    assert.equal(user.verifySecondFactor({ code: totp.codeAt(SECRET, step + 2) }), false);
+    assert.equal(user.twoFactor.lastUsedStep, undefined);
+  });
+
+  it('uses up each recovery code, with or without its dash', () => {
+    const user = enrolledUser();
+    const codes = user.createRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.ok(!user.twoFactor.recoveryCodes.includes(codes[0]), 'codes are stored hashed');
+
+    assert.equal(user.verifySecondFactor({ recoveryCode: codes[0].toUpperCase() }), true);
+    assert.equal(user.verifySecondFactor({ recoveryCode: codes[0] }), false);
+    assert.equal(user.verifySecondFactor({ recoveryCode: codes[1].replace('-', '') }), true);
+    assert.equal(user.twoFactor.recoveryCodes.length, 8);
+    assert.equal(user.verifySecondFactor({ recoveryCode: 'abcde-12345' }), false);
+  });
+});
@@ -0,0 +1,74 @@
+// audit.js - Record privileged actions in the audit log
+
+const AuditLog = require('../models/AuditLog');
+
+// Longer strings are cut in before/after summaries, e.g. post content
+const MAX_VALUE_LENGTH = 200;
+
+const summarizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(summarizeValue);
+  if (typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} characters)`;
+  }
+  return value;
+};
+
+// Summary of a document's fields for the before/after columns
+const snapshot = (doc, fields) => {
+  if (!doc) return null;
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+
+  return fields.reduce((summary, field) => {
+    summary[field] = summarizeValue(source[field]);
+    return summary;
+  }, {});
+};
+
+// Keep only the fields that differ between two snapshots
+const changedFields = (before, after) => {
+  const fields = Object.keys({ ...before, ...after }).filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+  return {
+    before: snapshot(before, fields),
+    after: snapshot(after, fields),
+  };
+};
+
+// Append an entry for the current request. `target` is { type, id, label }.
+// When both before and after are given, only the fields that changed are kept.
+// A failure is logged rather than failing the request, whose change has
+// already been made.
+const recordAudit = async (req, action, target, { before = null, after = null, actor } = {}) => {
+  const user = actor !== undefined ? actor : req.user;
+  const changes = before && after ? changedFields(before, after) : { before, after };
+
+  try {
+    await AuditLog.create({
+      actor: user ? user._id : null,
+      actorEmail: user ? user.email : undefined,
+      action,
+      target: {
+        type: target.type,
+        id: target.id,
+        label: target.label,
+      },
+      before: changes.before,
+      after: changes.after,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      accessToken: req.accessToken ? req.accessToken._id : undefined,
+    });
+  } catch (err) {
+    console.error(`Failed to record audit entry ${action}`, err);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  snapshot,
+};
@@ -0,0 +1,233 @@
+// authThrottle.js - Backoff and lockout for repeated sign-in and sign-up attempts,
+// and for mail users ask to be sent
+//
+// Each policy lets a few attempts through freely, then makes the caller wait
+// twice as long after every further one, and finally locks the key out for a
+// while. Counters are forgotten after `windowMs` without attempts.
+
+const AuthThrottle = require('../models/AuthThrottle');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const POLICIES = {
+  // Failed logins for one email address, from anywhere
+  account: {
+    freeAttempts: envInt('LOGIN_FREE_ATTEMPTS', 3),
+    lockoutAfter: envInt('LOGIN_LOCKOUT_AFTER', 10),
+    lockoutMs: envInt('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE,
+    baseDelayMs: SECOND,
+    maxDelayMs: MINUTE,
+    windowMs: 60 * MINUTE,
+  },
+  // Failed logins from one IP address, across all accounts
+  ip: {
+    freeAttempts: envInt('LOGIN_IP_FREE_ATTEMPTS', 10),
+    lockoutAfter: envInt('LOGIN_IP_LOCKOUT_AFTER', 50),
+    lockoutMs: envInt('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE,
+    baseDelayMs: SECOND,
+    maxDelayMs: MINUTE,
+    windowMs: 60 * MINUTE,
+  },
+  // Wrong two-factor codes for one account
+  twoFactor: {
+    freeAttempts: 3,
+    lockoutAfter: envInt('TWO_FACTOR_LOCKOUT_AFTER', 10),
+    lockoutMs: envInt('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE,
+    baseDelayMs: SECOND,
+    maxDelayMs: MINUTE,
+    windowMs: 60 * MINUTE,
+  },
+  // Emails one signed-in user asks for: verification links and email changes
+  mail: {
+    freeAttempts: envInt('MAIL_FREE_ATTEMPTS', 3),
+    lockoutAfter: envInt('MAIL_LOCKOUT_AFTER', 10),
+    lockoutMs: 60 * MINUTE,
+    baseDelayMs: 30 * SECOND,
+    maxDelayMs: 10 * MINUTE,
+    windowMs: 60 * MINUTE,
+  },
+  // Registrations from one IP address, successful or not
+  register: {
+    freeAttempts: envInt('REGISTER_FREE_ATTEMPTS', 5),
+    lockoutAfter: envInt('REGISTER_LOCKOUT_AFTER', 10),
+    lockoutMs: 60 * MINUTE,
+    baseDelayMs: 5 * SECOND,
+    maxDelayMs: 5 * MINUTE,
+    windowMs: 60 * MINUTE,
+  },
+};
+
+const throttleKey = (scope, id) => `${scope}:${String(id).toLowerCase()}`;
+
+// Whether an attempt is allowed right now. Resolves to
+// { blocked, locked, retryAfter } where retryAfter is in seconds.
+const check = async (scope, id) => {
+  const now = new Date();
+  const throttle = await AuthThrottle.findOne({
+    key: throttleKey(scope, id),
+    expiresAt: { $gt: now },
+  }).lean();
+
+  if (!throttle) {
+    return { blocked: false, locked: false, retryAfter: 0 };
+  }
+
+  const locked = Boolean(throttle.lockedUntil && throttle.lockedUntil > now);
+  const until = locked ? throttle.lockedUntil : throttle.nextAttemptAt;
+
+  if (!until || until <= now) {
+    return { blocked: false, locked: false, retryAfter: 0 };
+  }
+
+  return {
+    blocked: true,
+    locked,
+    retryAfter: Math.ceil((until - now) / SECOND),
+  };
+};
+
+// Update that counts an attempt, starting a new window if the old one has
+// expired, and sets the backoff or lockout the new count calls for. It runs as
+// one pipeline so concurrent attempts each get their own count.
+const countUpdate = (policy, key, now) => {
+  const lockedUntil = new Date(now.getTime() + policy.lockoutMs);
+  const windowEnd = new Date(now.getTime() + policy.windowMs);
+  const overLimit = { $gte: ['$attempts', policy.lockoutAfter] };
+  const delay = {
+    $min: [
+      {
+        $multiply: [
+          policy.baseDelayMs,
+          { $pow: [2, { $subtract: ['$attempts', policy.freeAttempts] }] },
+        ],
+      },
+      policy.maxDelayMs,
+    ],
+  };
+
+  return [
+    {
+      $set: {
+        key,
+        attempts: {
+          $cond: [
+            { $gt: [{ $ifNull: ['$expiresAt', now] }, now] },
+            { $add: [{ $ifNull: ['$attempts', 0] }, 1] },
+            1,
+          ],
+        },
+        lastAttemptAt: now,
+        createdAt: { $ifNull: ['$createdAt', now] },
+        updatedAt: now,
+      },
+    },
+    {
+      // Once the limit is reached, every further attempt in the window locks again
+      $set: {
+        lockedUntil: { $cond: [overLimit, lockedUntil, '$lockedUntil'] },
+        nextAttemptAt: {
+          $cond: [
+            { $and: [{ $gte: ['$attempts', policy.freeAttempts] }, { $not: [overLimit] }] },
+            { $add: [now, delay] },
+            '$nextAttemptAt',
+          ],
+        },
+        expiresAt: {
+          $cond: [overLimit, new Date(Math.max(windowEnd, lockedUntil)), windowEnd],
+        },
+      },
+    },
+  ];
+};
+
+// What countUpdate did, worked out from the document as it was before
+const countResult = (policy, previous, now) => {
+  const inWindow = Boolean(previous && previous.expiresAt > now);
+  const attempts = inWindow ? previous.attempts + 1 : 1;
+  const wasLocked = Boolean(previous && previous.lockedUntil && previous.lockedUntil > now);
+  const locked = attempts >= policy.lockoutAfter;
+
+  return {
+    attempts,
+    lockedNow: locked && !wasLocked,
+    lockedUntil: locked ? new Date(now.getTime() + policy.lockoutMs) : null,
+  };
+};
+
+// Count an attempt (a failed two-factor code, say) against a key and apply
+// backoff or lockout. Resolves to { attempts, lockedNow, lockedUntil },
+// where lockedNow is true only for the attempt that started a lockout.
+const recordAttempt = async (scope, id) => {
+  const policy = POLICIES[scope];
+  const key = throttleKey(scope, id);
+  const now = new Date();
+
+  const previous = await AuthThrottle.findOneAndUpdate({ key }, countUpdate(policy, key, now), {
+    upsert: true,
+    new: false,
+    timestamps: false,
+  }).lean();
+
+  return countResult(policy, previous, now);
+};
+
+// Count an attempt before it is made, unless the key is backing off or locked
+// out. Counting first means parallel attempts can't all pass the check before
+// the first failure is recorded. Resolves to { blocked, locked, retryAfter }
+// when refused, or to recordAttempt()'s result with blocked: false.
+const reserveAttempt = async (scope, id) => {
+  const policy = POLICIES[scope];
+  const key = throttleKey(scope, id);
+  const now = new Date();
+
+  // Two tries, since concurrent first attempts race to create the document
+  for (let tries = 0; tries < 2; tries += 1) {
+    try {
+      const previous = await AuthThrottle.findOneAndUpdate(
+        {
+          key,
+          lockedUntil: { $not: { $gt: now } },
+          nextAttemptAt: { $not: { $gt: now } },
+        },
+        countUpdate(policy, key, now),
+        { upsert: true, new: false, timestamps: false }
+      ).lean();
+
+      return { blocked: false, ...countResult(policy, previous, now) };
+    } catch (err) {
+      // The key exists but didn't match, so it is blocked (or was just created)
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  const state = await check(scope, id);
+  return { ...state, blocked: true, retryAfter: Math.max(state.retryAfter, 1) };
+};
+
+// Take back a reserved attempt that turned out to succeed, for keys whose
+// successes shouldn't count (an IP address, shared by many users)
+const releaseAttempt = (scope, id) =>
+  AuthThrottle.updateOne(
+    { key: throttleKey(scope, id), attempts: { $gt: 0 } },
+    { $inc: { attempts: -1 } },
+    { timestamps: false }
+  );
+
+// Forget a key's attempts, e.g. after a successful login or an admin unlock.
+// Resolves to whether the key was locked out.
+const clear = async (scope, id) => {
+  const throttle = await AuthThrottle.findOneAndDelete({ key: throttleKey(scope, id) });
+  return Boolean(throttle && throttle.lockedUntil);
+};
+
+module.exports = {
+  POLICIES,
+  check,
+  recordAttempt,
+  reserveAttempt,
+  releaseAttempt,
+  clear,
+};
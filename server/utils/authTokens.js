@@ -0,0 +1,86 @@
+// authTokens.js - Issue access and refresh tokens for a session
+
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { ForbiddenError } = require('./errors');
+
+// Purposes of interim tokens, which stand in for a session while a second
+// factor is pending. protect() never accepts them, since they have no session.
+const INTERIM_PURPOSES = {
+  twoFactorLogin: '2fa-login',
+  twoFactorSetup: '2fa-setup',
+};
+
+// Access tokens are short-lived; clients renew them with the refresh token
+const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, email: user.email, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+  });
+
+// Suspended users can't start sessions
+const assertNotSuspended = (user) => {
+  if (user.isSuspended()) {
+    throw new ForbiddenError('Your account has been suspended', 'ACCOUNT_SUSPENDED');
+  }
+};
+
+// Start a new session for a user who just signed in.
+// Resolves to { token, refreshToken, session }.
+const issueTokens = async (user, req) => {
+  assertNotSuspended(user);
+  const { session, refreshToken } = await Session.start(user, req);
+  return { token: signAccessToken(user, session), refreshToken, session };
+};
+
+const signInterimToken = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+// Resolves to the user id an interim token was issued to; throws if the token is
+// invalid, expired or meant for something else
+const verifyInterimToken = (token, purpose) => {
+  const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new Error('Wrong token purpose');
+  }
+  return decoded.id;
+};
+
+// Whether admins have made two-factor authentication mandatory for a role
+const isTwoFactorRequired = async (role) => {
+  const roles = await Setting.getValue('twoFactorRequiredRoles', []);
+  return roles.includes(role);
+};
+
+// Finish signing in a user whose password (or external identity) checked out.
+// Resolves to the response body: tokens and the user, or an interim token when
+// the user still has to enter a second factor or set one up first.
+const completeLogin = async (user, req) => {
+  assertNotSuspended(user);
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return {
+      twoFactorRequired: true,
+      interimToken: signInterimToken(user, INTERIM_PURPOSES.twoFactorLogin),
+    };
+  }
+
+  if (await isTwoFactorRequired(user.role)) {
+    return {
+      twoFactorSetupRequired: true,
+      interimToken: signInterimToken(user, INTERIM_PURPOSES.twoFactorSetup),
+    };
+  }
+
+  const { token, refreshToken } = await issueTokens(user, req);
+  return { token, refreshToken, user: user.toAuthJSON() };
+};
+
+module.exports = {
+  INTERIM_PURPOSES,
+  signAccessToken,
+  issueTokens,
+  verifyInterimToken,
+  isTwoFactorRequired,
+  completeLogin,
+};
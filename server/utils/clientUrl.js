@@ -0,0 +1,7 @@
+// clientUrl.js - Links to pages of the client application
+
+// Absolute URL of a client page, e.g. clientUrl('/login')
+const clientUrl = (pathname) =>
+  `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '')}${pathname}`;
+
+module.exports = clientUrl;
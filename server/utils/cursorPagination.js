@@ -0,0 +1,107 @@
+// cursorPagination.js - Keyset pagination with opaque cursors
+//
+// Pages are read by position in the sort order instead of by skipping, so deep
+// pages stay fast and posts published between requests don't shift the feed.
+// Documents are ordered by one sort field with _id breaking ties, and a cursor
+// records the sort field value and _id of the document it points at.
+
+const { BadRequestError } = require('./errors');
+
+const queryError = (message) => new BadRequestError(message, 'INVALID_CURSOR');
+
+// "-createdAt" => { field: 'createdAt', order: -1 }
+const parseSort = (sort) => {
+  if (/[\s,]/.test(sort.trim())) {
+    throw queryError('Cursor pagination can only sort by one field');
+  }
+  const field = sort.trim().replace(/^-/, '');
+  return { field, order: sort.trim().startsWith('-') ? -1 : 1 };
+};
+
+const valueOf = (doc, field) => (typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+
+const encodeCursor = (doc, sort, direction) => {
+  const { field } = parseSort(sort);
+  const value = valueOf(doc, field);
+  return Buffer.from(
+    JSON.stringify({ s: sort, v: value === undefined ? null : value, id: doc._id, d: direction })
+  ).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw queryError('Invalid cursor');
+  }
+
+  if (
+    !position ||
+    typeof position.id !== 'string' ||
+    !/^[a-f\d]{24}$/i.test(position.id) ||
+    !['next', 'prev'].includes(position.d) ||
+    (position.v !== null && typeof position.v === 'object')
+  ) {
+    throw queryError('Invalid cursor');
+  }
+  if (position.s !== sort) {
+    throw queryError('The cursor was made for a different sort order');
+  }
+
+  return { value: position.v, id: position.id, direction: position.d };
+};
+
+// Documents after (value, id) when reading in the given order. MongoDB sorts
+// missing and null values before everything else.
+const afterFilter = (field, order, value, id) => {
+  const op = order === 1 ? '$gt' : '$lt';
+  const conditions = [{ [field]: value, _id: { [op]: id } }];
+
+  if (value === null) {
+    if (order === 1) conditions.push({ [field]: { $ne: null } });
+  } else {
+    conditions.unshift({ [field]: { [op]: value } });
+    if (order === -1) conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
+
+// Run a find() query for one page of `limit` documents in `sort` order
+// ("-createdAt" style), starting after `cursor`, or at the start when there
+// is none. Returns the documents and pagination with next/previous cursors.
+const paginateByCursor = async (query, { sort, limit, cursor }) => {
+  const { field, order } = parseSort(sort);
+  const position = cursor ? decodeCursor(cursor, sort) : null;
+
+  // A "prev" cursor reads backwards from its document, then flips the page back
+  const backwards = Boolean(position && position.direction === 'prev');
+  const scanOrder = backwards ? -order : order;
+
+  if (position) {
+    query.and([afterFilter(field, scanOrder, position.value, position.id)]);
+  }
+
+  const docs = await query.sort({ [field]: scanOrder, _id: scanOrder }).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const results = docs.slice(0, limit);
+  if (backwards) results.reverse();
+
+  const hasNext = backwards || hasMore;
+  const hasPrevious = backwards ? hasMore : Boolean(position);
+
+  const pagination = { limit };
+  if (results.length > 0) {
+    if (hasNext) {
+      pagination.next = { cursor: encodeCursor(results[results.length - 1], sort, 'next'), limit };
+    }
+    if (hasPrevious) {
+      pagination.previous = { cursor: encodeCursor(results[0], sort, 'prev'), limit };
+    }
+  }
+
+  return { results, pagination };
+};
+
+module.exports = { paginateByCursor, encodeCursor, decodeCursor };
@@ -0,0 +1,83 @@
+// errors.js - Error classes for API error responses
+//
+// The error handler sends every error in the same shape:
+//   { success: false, error: 'Post not found', code: 'NOT_FOUND' }
+// Errors about particular fields add details, e.g.
+//   details: [{ field: 'title', message: 'Please provide a title', location: 'body' }]
+
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', details) {
+    super(message, 400, code, details);
+  }
+}
+
+// Input that failed validation, with one detail per problem field
+class ValidationError extends AppError {
+  constructor(details, message = (details[0] && details[0].message) || 'Validation failed') {
+    super(message, 400, 'VALIDATION_FAILED', details);
+  }
+
+  // From an express-validator validationResult()
+  static fromResult(result) {
+    return new ValidationError(
+      result.array().map((err) => ({
+        field: err.path,
+        message: err.msg,
+        location: err.location,
+      }))
+    );
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized to access this route', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, 404, code);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details) {
+    super(message, 409, code, details);
+  }
+}
+
+// The handler also sends retryAfter (in seconds) in the body and a Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, 429, 'TOO_MANY_REQUESTS');
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
@@ -0,0 +1,5 @@
+// escapeRegex.js - Escape user input for safe use inside a RegExp
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,74 @@
+// imageProcessor.js - Stores uploaded images and generates resized variants
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { BadRequestError } = require('./errors');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Generated sizes. `fit: cover` crops to the exact box, `inside` only scales down.
+const VARIANTS = {
+  thumbnail: { width: 150, height: 150, fit: 'cover' },
+  card: { width: 600, height: 338, fit: 'cover' },
+  full: { width: 1600, fit: 'inside' },
+};
+
+// Formats sharp must detect in the file itself, regardless of the MIME type the client sent
+const ALLOWED_FORMATS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  gif: 'gif',
+};
+
+// Process an uploaded image buffer into `uploads/<folder>/<id>/`.
+// Resolves to the public URLs of the original and every variant.
+const processImage = async (buffer, folder) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    metadata = {};
+  }
+
+  const extension = ALLOWED_FORMATS[metadata.format];
+  if (!extension) {
+    throw new BadRequestError('Uploaded file is not a valid image', 'INVALID_IMAGE');
+  }
+
+  const id = crypto.randomBytes(12).toString('hex');
+  const dir = path.join(UPLOADS_DIR, folder, id);
+  const baseUrl = `/uploads/${folder}/${id}`;
+
+  await fs.mkdir(dir, { recursive: true });
+
+  try {
+    await fs.writeFile(path.join(dir, `original.${extension}`), buffer);
+
+    const urls = { original: `${baseUrl}/original.${extension}` };
+
+    await Promise.all(
+      Object.entries(VARIANTS).map(async ([name, { width, height, fit }]) => {
+        await sharp(buffer)
+          .rotate()
+          .resize({ width, height, fit, withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toFile(path.join(dir, `${name}.webp`));
+        urls[name] = `${baseUrl}/${name}.webp`;
+      })
+    );
+
+    return urls;
+  } catch (err) {
+    // Don't leave half-written variants behind
+    await fs.rm(dir, { recursive: true, force: true });
+    throw err;
+  }
+};
+
+module.exports = {
+  processImage,
+  VARIANTS,
+};
@@ -0,0 +1,63 @@
+// index.js - Send mail through the configured transport
+//
+// MAIL_TRANSPORT picks the transport: 'smtp', 'file' (default; messages are
+// written to MAIL_DIR) or 'memory' (tests).
+
+const path = require('path');
+const {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+} = require('./transports');
+
+let transport = null;
+
+const createConfiguredTransport = () => {
+  switch (process.env.MAIL_TRANSPORT || 'file') {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case 'memory':
+      return createMemoryTransport();
+    case 'file':
+      return createFileTransport({
+        dir: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'),
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT '${process.env.MAIL_TRANSPORT}'`);
+  }
+};
+
+// The transport in use, created from the environment on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createConfiguredTransport();
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with a memory transport in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Send a message built by one of the templates
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || 'MERN Blog <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+};
@@ -0,0 +1,99 @@
+// templates.js - Content of the emails the application sends
+
+const clientUrl = require('../clientUrl');
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const passwordReset = ({ user, token, expiresInMinutes }) => {
+  const url = clientUrl(`/reset-password/${token}`);
+
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password for your account. If it was you, open this link to choose a new one:',
+      '',
+      url,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can be used once. If you didn't ask for it, you can ignore this email.`,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone asked to reset the password for your account. If it was you, follow this link to choose a new one:</p>
+<p><a href="${escapeHtml(url)}">Reset my password</a></p>
+<p>The link expires in ${expiresInMinutes} minutes and can be used once. If you didn't ask for it, you can ignore this email.</p>`,
+  };
+};
+
+const emailVerification = ({ user, token, expiresInHours }) => {
+  const url = clientUrl(`/verify-email/${token}`);
+
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Thanks for signing up. Open this link to confirm your email address:',
+      '',
+      url,
+      '',
+      `The link expires in ${expiresInHours} hours. You can't comment or write posts until your address is confirmed.`,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Thanks for signing up. Follow this link to confirm your email address:</p>
+<p><a href="${escapeHtml(url)}">Confirm my email address</a></p>
+<p>The link expires in ${expiresInHours} hours. You can't comment or write posts until your address is confirmed.</p>`,
+  };
+};
+
+const emailChange = ({ user, newEmail, token, expiresInHours }) => {
+  const url = clientUrl(`/confirm-email/${token}`);
+
+  return {
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Open this link to use ${newEmail} for your account instead of ${user.email}:`,
+      '',
+      url,
+      '',
+      `The link expires in ${expiresInHours} hours. Until then your account keeps its current address.`,
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Follow this link to use ${escapeHtml(newEmail)} for your account instead of ${escapeHtml(user.email)}:</p>
+<p><a href="${escapeHtml(url)}">Confirm my new email address</a></p>
+<p>The link expires in ${expiresInHours} hours. Until then your account keeps its current address.</p>`,
+  };
+};
+
+// Sent to the old address so an unexpected change doesn't go unnoticed
+const emailChangeRequested = ({ user, newEmail }) => ({
+  to: user.email,
+  subject: 'Your email address is being changed',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `Someone asked to change the email address of your account to ${newEmail}. The change happens once the new address is confirmed.`,
+    '',
+    "If this wasn't you, change your password right away.",
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone asked to change the email address of your account to ${escapeHtml(newEmail)}. The change happens once the new address is confirmed.</p>
+<p>If this wasn't you, change your password right away.</p>`,
+});
+
+module.exports = {
+  passwordReset,
+  emailVerification,
+  emailChange,
+  emailChangeRequested,
+};
@@ -0,0 +1,60 @@
+// transports.js - Ways of delivering outgoing mail
+//
+// A transport is an object with a name and an async send(message) method, where
+// message is { from, to, subject, text, html }.
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Deliver through an SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass } = {}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+// Write each message to a JSON file, for development without a mail server
+const createFileTransport = ({ dir }) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const safeRecipient = String(message.to).replace(/[^\w.@-]+/g, '_');
+    const file = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+    return { file };
+  },
+});
+
+// Keep messages in memory, for tests
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, date: new Date() });
+      return { index: sent.length - 1 };
+    },
+    // Most recent message sent to an address
+    lastTo: (to) => [...sent].reverse().find((message) => message.to === to),
+    clear: () => {
+      sent.length = 0;
+    },
+  };
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
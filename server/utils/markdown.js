@@ -0,0 +1,146 @@
+// markdown.js - Render post Markdown to sanitized HTML with a table of contents
+
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+// Bump when rendering or sanitizing changes so cached HTML on posts is regenerated
+const RENDER_VERSION = 1;
+
+const WORDS_PER_MINUTE = 200;
+
+const md = new MarkdownIt({
+  html: false, // raw HTML in posts is shown as text, never rendered
+  linkify: true,
+  typographer: true,
+  highlight: (code, language) => {
+    if (language && hljs.getLanguage(language)) {
+      try {
+        const { value } = hljs.highlight(code, { language, ignoreIllegals: true });
+        return `<pre class="hljs"><code class="hljs language-${language}">${value}</code></pre>`;
+      } catch (err) {
+        // Fall through to plain rendering
+      }
+    }
+    return `<pre class="hljs"><code class="hljs">${md.utils.escapeHtml(code)}</code></pre>`;
+  },
+});
+
+const sanitizeOptions = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img',
+    'h1',
+    'h2',
+    'del',
+    's',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    th: ['style'],
+    td: ['style'],
+    ol: ['start'],
+    pre: ['class'],
+    code: ['class'],
+    span: ['class'],
+  },
+  allowedClasses: {
+    pre: ['hljs'],
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*'],
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    // External links open in a new tab and don't pass on referrer or ranking
+    a: (tagName, attribs) => {
+      if (/^https?:\/\//i.test(attribs.href || '')) {
+        return {
+          tagName,
+          attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' },
+        };
+      }
+      return { tagName, attribs };
+    },
+  },
+};
+
+// Turn heading text into a URL fragment
+const slugifyHeading = (text) =>
+  text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-') || 'section';
+
+// Strip tags and collapse whitespace
+const htmlToText = (html) =>
+  sanitizeHtml(html || '', { allowedTags: [], allowedAttributes: {} })
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Render Markdown. Returns { html, toc, wordCount, readingTime }, where toc
+// is [{ level, text, id }] and readingTime is in minutes.
+const renderMarkdown = (markdown = '') => {
+  const env = {};
+  const tokens = md.parse(markdown, env);
+  const toc = [];
+  const usedIds = new Set();
+
+  // Give every heading a unique id and collect it for the table of contents
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+
+    const inline = tokens[index + 1];
+    const text = (inline.children || [])
+      .filter((child) => child.type === 'text' || child.type === 'code_inline')
+      .map((child) => child.content)
+      .join('')
+      .trim();
+
+    // "-2" style suffixes can collide with headings that end in a number, so
+    // keep counting until the id is free
+    const base = slugifyHeading(text);
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix += 1) {
+      id = `${base}-${suffix}`;
+    }
+    usedIds.add(id);
+
+    token.attrSet('id', id);
+    toc.push({ level: Number(token.tag.slice(1)), text, id });
+  });
+
+  const html = sanitizeHtml(md.renderer.render(tokens, md.options, env), sanitizeOptions);
+  const text = htmlToText(html);
+  const wordCount = text ? text.split(' ').length : 0;
+
+  return {
+    html,
+    toc,
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+  };
+};
+
+module.exports = {
+  renderMarkdown,
+  htmlToText,
+  RENDER_VERSION,
+};
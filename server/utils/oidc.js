@@ -0,0 +1,96 @@
+// oidc.js - Authorization code flow with PKCE against external OIDC providers
+
+const { Issuer, generators } = require('openid-client');
+const OidcState = require('../models/OidcState');
+const { callbackUrl } = require('../config/oidc');
+const { BadRequestError } = require('./errors');
+
+// Discovered clients by provider id; discovery runs once per provider
+const clients = new Map();
+
+const getClient = (provider) => {
+  if (!clients.has(provider.id)) {
+    const client = Issuer.discover(provider.issuer).then(
+      (issuer) =>
+        new issuer.Client({
+          client_id: provider.clientId,
+          client_secret: provider.clientSecret,
+          redirect_uris: [callbackUrl(provider.id)],
+          response_types: ['code'],
+          token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none',
+        })
+    );
+    // Retry discovery on the next login if the provider was unreachable
+    client.catch(() => clients.delete(provider.id));
+    clients.set(provider.id, client);
+  }
+  return clients.get(provider.id);
+};
+
+// Start a sign-in. Resolves to { url, state }: the provider URL to send the user
+// to, and the state, which the caller binds to the browser (see finishLogin)
+const startLogin = async (provider, returnTo) => {
+  const client = await getClient(provider);
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await OidcState.create({
+    state,
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    returnTo,
+  });
+
+  const url = client.authorizationUrl({
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+
+  return { url, state };
+};
+
+// Finish a sign-in from the provider's callback query. browserState is the state
+// the browser was given by startLogin; it must match, or someone could send the
+// user their own callback link and sign them in to the wrong account. Resolves to
+// { claims, returnTo }, where claims are the verified ID token claims.
+const finishLogin = async (provider, query, browserState) => {
+  if (!browserState || browserState !== String(query.state)) {
+    throw new BadRequestError('Sign-in was started in another browser, please try again');
+  }
+
+  const pending = await OidcState.consume(query.state, provider.id);
+  if (!pending) {
+    throw new BadRequestError('Sign-in request expired or was already used, please try again');
+  }
+
+  const client = await getClient(provider);
+  const { code, state, iss } = query;
+  const params = { code, state, ...(iss && { iss }) };
+
+  // Checks the state, the PKCE verifier, the nonce and the ID token signature
+  const tokenSet = await client.callback(callbackUrl(provider.id), params, {
+    state: pending.state,
+    nonce: pending.nonce,
+    code_verifier: pending.codeVerifier,
+  });
+
+  let claims = tokenSet.claims();
+
+  // Some providers only put the email in the userinfo response
+  if (!claims.email && tokenSet.access_token) {
+    claims = { ...(await client.userinfo(tokenSet)), ...claims };
+  }
+
+  return { claims, returnTo: pending.returnTo };
+};
+
+module.exports = {
+  startLogin,
+  finishLogin,
+};
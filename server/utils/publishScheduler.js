@@ -0,0 +1,104 @@
+// publishScheduler.js - Publishes scheduled posts at their publishAt time
+//
+// Pending jobs are the unpublished posts with a publishAt date, so nothing is
+// lost on restart: start() reloads them from MongoDB and re-arms the timers.
+
+const Post = require('../models/Post');
+
+// setTimeout can't wait longer than ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Safety net for timers lost to clock changes or posts scheduled by another instance
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const timers = new Map();
+let sweepTimer = null;
+
+// Publish one post if it is still due. The conditional update makes this safe
+// to run from several server instances at once.
+const publish = async (postId) => {
+  timers.delete(postId.toString());
+
+  try {
+    const result = await Post.updateOne(
+      { _id: postId, isPublished: false, publishAt: { $ne: null, $lte: new Date() } },
+      [{ $set: { isPublished: true, publishedAt: '$publishAt', publishAt: null } }]
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Published scheduled post ${postId}`);
+    }
+  } catch (err) {
+    console.error(`Failed to publish scheduled post ${postId}`, err);
+  }
+};
+
+// Cancel any pending timer for a post
+const cancel = (postId) => {
+  const key = postId.toString();
+  if (timers.has(key)) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+};
+
+// Arm (or re-arm) the timer for a post from its current publishAt/isPublished state
+const schedule = (post) => {
+  cancel(post._id);
+
+  if (post.isPublished || !post.publishAt) {
+    return;
+  }
+
+  const delay = new Date(post.publishAt).getTime() - Date.now();
+
+  if (delay <= 0) {
+    publish(post._id);
+    return;
+  }
+
+  const timer = setTimeout(
+    () => (delay > MAX_TIMEOUT_MS ? schedule(post) : publish(post._id)),
+    Math.min(delay, MAX_TIMEOUT_MS)
+  );
+  // Don't keep the process alive just for a scheduled post
+  timer.unref();
+  timers.set(post._id.toString(), timer);
+};
+
+// Load every pending scheduled post from MongoDB and arm its timer
+const loadPending = async () => {
+  const pending = await Post.find({ isPublished: false, publishAt: { $ne: null } }).select(
+    'isPublished publishAt'
+  );
+  pending.forEach(schedule);
+  return pending.length;
+};
+
+// Start the scheduler; call once the database connection is open
+const start = async () => {
+  const count = await loadPending();
+  console.log(`Publish scheduler started with ${count} scheduled posts`);
+
+  if (!sweepTimer) {
+    sweepTimer = setInterval(() => {
+      loadPending().catch((err) => console.error('Publish scheduler sweep failed', err));
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+  }
+};
+
+// Stop all timers (used on shutdown)
+const stop = () => {
+  timers.forEach((timer) => clearTimeout(timer));
+  timers.clear();
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  schedule,
+  cancel,
+};
@@ -0,0 +1,78 @@
+// search.js - Helpers for full-text post search
+
+const escapeRegex = require('./escapeRegex');
+
+const SNIPPET_LENGTH = 160;
+
+// Split a search query into the plain words worth highlighting.
+// Negated terms (-word) are dropped and quoted phrases are split into words.
+const parseTerms = (query) =>
+  [
+    ...new Set(
+      query
+        .split(/\s+/)
+        .filter((word) => word && !word.startsWith('-'))
+        .map((word) => word.replace(/[^\w]/g, '').toLowerCase())
+        .filter((word) => word.length > 1)
+    ),
+  ];
+
+// Build a case-insensitive regex matching any term at the start of a word,
+// so that stemmed matches ("run" for "running") are highlighted too
+const termsRegex = (terms) =>
+  terms.length ? new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\w*`, 'gi') : null;
+
+// Split text into [{ text, match }] segments so clients can highlight without rendering HTML
+const highlight = (text, terms) => {
+  const regex = termsRegex(terms);
+  if (!text || !regex) {
+    return text ? [{ text, match: false }] : [];
+  }
+
+  const segments = [];
+  let lastIndex = 0;
+  let found;
+
+  while ((found = regex.exec(text)) !== null) {
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+};
+
+// Cut a window of text around the first matching term and highlight it
+const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) return [];
+
+  const plain = text.replace(/\s+/g, ' ').trim();
+  const regex = termsRegex(terms);
+  const firstMatch = regex ? plain.search(regex) : -1;
+
+  let start = firstMatch > length / 3 ? firstMatch - Math.floor(length / 3) : 0;
+  // Don't start in the middle of a word
+  if (start > 0) {
+    const space = plain.indexOf(' ', start);
+    start = space === -1 || space > firstMatch ? start : space + 1;
+  }
+  const end = Math.min(plain.length, start + length);
+
+  let snippet = plain.slice(start, end);
+  if (start > 0) snippet = `…${snippet}`;
+  if (end < plain.length) snippet = `${snippet}…`;
+
+  return highlight(snippet, terms);
+};
+
+module.exports = {
+  parseTerms,
+  highlight,
+  buildSnippet,
+};
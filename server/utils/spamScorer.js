@@ -0,0 +1,76 @@
+// spamScorer.js - Rule-based spam scoring for new comments
+
+const Comment = require('../models/Comment');
+
+// Score at or above which a comment is marked as spam outright
+const SPAM_THRESHOLD = parseInt(process.env.SPAM_THRESHOLD, 10) || 4;
+
+// Words that are almost never legitimate in blog comments. Extend with SPAM_BLOCKLIST=word,word
+const DEFAULT_BLOCKLIST = ['viagra', 'casino', 'crypto giveaway', 'payday loan', 'buy followers'];
+const BLOCKLIST = [
+  ...DEFAULT_BLOCKLIST,
+  ...(process.env.SPAM_BLOCKLIST || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean),
+];
+
+// How many comments in the window counts as flooding
+const FREQUENCY_WINDOW_MS = 10 * 60 * 1000;
+const FREQUENCY_LIMIT = 5;
+
+// Accounts younger than this are treated with more suspicion
+const NEW_ACCOUNT_AGE_MS = 24 * 60 * 60 * 1000;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Score a comment before it is saved. Resolves to { score, reasons, isSpam }.
+const scoreComment = async ({ content, user }) => {
+  let score = 0;
+  const reasons = [];
+  const text = content.toLowerCase();
+
+  const links = (content.match(LINK_PATTERN) || []).length;
+  if (links > 0) {
+    // One link is common in genuine comments; every extra one is suspicious
+    const linkScore = links - 1 + (links >= 3 ? 2 : 0);
+    if (linkScore > 0) {
+      score += linkScore;
+      reasons.push(`Contains ${links} links`);
+    }
+  }
+
+  const blocked = BLOCKLIST.filter((word) => text.includes(word));
+  if (blocked.length > 0) {
+    score += blocked.length * 3;
+    reasons.push(`Contains blocklisted words: ${blocked.join(', ')}`);
+  }
+
+  const recent = await Comment.countDocuments({
+    user: user._id,
+    createdAt: { $gte: new Date(Date.now() - FREQUENCY_WINDOW_MS) },
+  });
+  if (recent >= FREQUENCY_LIMIT) {
+    score += 3;
+    reasons.push(`Posted ${recent} comments in the last ${FREQUENCY_WINDOW_MS / 60000} minutes`);
+  } else if (recent >= Math.ceil(FREQUENCY_LIMIT / 2)) {
+    score += 1;
+    reasons.push(`Posted ${recent} comments in the last ${FREQUENCY_WINDOW_MS / 60000} minutes`);
+  }
+
+  if (user.createdAt && Date.now() - new Date(user.createdAt).getTime() < NEW_ACCOUNT_AGE_MS) {
+    score += links > 0 ? 2 : 1;
+    reasons.push(links > 0 ? 'New account posting links' : 'New account');
+  }
+
+  return {
+    score,
+    reasons,
+    isSpam: score >= SPAM_THRESHOLD,
+  };
+};
+
+module.exports = {
+  scoreComment,
+  SPAM_THRESHOLD,
+};
@@ -0,0 +1,101 @@
+// totp.js - Time-based one-time passwords (RFC 6238) for two-factor authentication
+//
+// Uses the parameters authenticator apps expect by default: HMAC-SHA1, six
+// digits and a 30 second step.
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bits = input
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 secret');
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step a moment falls in
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for a secret at a time step
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code, allowing `window` steps of clock drift either way. Resolves to
+// the matching time step, or null. Steps at or before `afterStep` are refused
+// so a code can't be used twice.
+const verify = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = stepAt();
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = codeAt(secret, step);
+    if (
+      step > afterStep &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// URL authenticator apps read from the enrollment QR code
+const otpauthUrl = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  generateSecret,
+  verify,
+  otpauthUrl,
+  codeAt,
+  stepAt,
+};
@@ -0,0 +1,35 @@
+// wordDiff.js - Word-level diffs between post revisions
+
+const { diffWords } = require('diff');
+
+// Render a stored field value as text for diffing
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// Diff two values word by word into [{ value, type }] segments,
+// where type is 'added', 'removed' or 'unchanged'
+const wordDiff = (before, after) =>
+  diffWords(toText(before), toText(after)).map((part) => ({
+    value: part.value,
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+  }));
+
+// Diff every field that differs between two snapshots
+const diffSnapshots = (from, to, fields) =>
+  fields.reduce((result, field) => {
+    const before = toText(from[field]);
+    const after = toText(to[field]);
+    if (before !== after) {
+      result[field] = wordDiff(before, after);
+    }
+    return result;
+  }, {});
+
+module.exports = {
+  wordDiff,
+  diffSnapshots,
+};